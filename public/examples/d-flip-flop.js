@@ -46,91 +46,29 @@
  * - Memory cells (when arranged in arrays)
  * 
  * IMPLEMENTATION NOTES:
- * - Uses FeedbackNode to store Q state
- * - prevCLK FeedbackNode enables edge detection
- * - MUX logic: Q_next = risingEdge ? D : Q
+ * - A FlipFlopNode of type "D" holds Q and detects the clock edge itself
+ * - `delay` is the clock-to-output delay of Q and the delay of the Q̄ inverter
  */
 
 import { Circuit } from "../lib/circuit.js";
-import { InputNode, GateNode, FeedbackNode, ClockNode } from "../lib/nodes.js";
-import { STANDARD_GATES } from "../lib/common-gates.js";
+import { InputNode, GateNode, ClockNode, FlipFlopNode } from "../lib/nodes.js";
 
 export function createDFlipFlop(delay = 0) {
     // Input: D (data to store)
     const D = new InputNode(0);
     
     // Clock signal (managed by circuit.setClock())
-    const CLK = new ClockNode();
+    const CLK = new ClockNode("CLK");
 
-    // MEMORY: Q feedback node stores the current state
-    // Initialized to 0 (flip-flop starts in reset state)
-    const Q = new FeedbackNode(null, 0, delay, "Q");
-
-    // EDGE DETECTION: We need to detect rising edges (0→1 transitions)
-    // Store the previous clock value to compare
-    const prevCLK = new FeedbackNode(null, 0, delay, "prevCLK");
-
-    // Rising edge occurs when:
-    // - Current clock is 1 (CLK = 1), AND
-    // - Previous clock was 0 (prevCLK = 0)
-    // This gives us a single-tick pulse on 0→1 transitions
-    const risingEdge = new GateNode(
-        "AND",
-        [
-            CLK,
-            new GateNode("NOT", [prevCLK], delay, "NOT_prevCLK")
-        ],
-        delay,
-        "RisingEdge"
-    );
-
-    // CAPTURE LOGIC: Implement a 2-to-1 MUX
-    // - If rising edge: capture new value from D
-    // - If not rising edge: hold previous value in Q
-    // 
-    // MUX implementation using gates:
-    // Output = (Sel AND A) OR (NOT Sel AND B)
-    // where Sel = risingEdge, A = D, B = Q
-    const nextQ = new GateNode(
-        "OR",
-        [
-            // Path 1: Capture D when rising edge
-            new GateNode("AND", [risingEdge, D], delay, "Capture_D"),
-            
-            // Path 2: Hold Q when not rising edge
-            new GateNode(
-                "AND",
-                [new GateNode("NOT", [risingEdge], delay, "NOT_edge"), Q],
-                delay,
-                "Hold_Q"
-            )
-        ],
-        delay,
-        "NextQ"
-    );
-
-    // FEEDBACK CONNECTIONS:
-    // Q feeds back the next value (creating memory)
-    Q.inputNode = nextQ;
-    
-    // prevCLK feeds back current clock (for edge detection next cycle)
-    prevCLK.inputNode = CLK;
+    // MEMORY: Q captures D on every rising edge of CLK and holds it in
+    // between. Initialized to 0 (flip-flop starts in reset state)
+    const Q = new FlipFlopNode("D", [D], { clock: CLK, delay }, "Q");
 
     // COMPLEMENTARY OUTPUT: Q̄ (Q-bar/NOT Q)
     // Always the opposite of Q
     const Q_NOT = new GateNode("NOT", [Q], delay, "Q_NOT");
 
-    // Create circuit with Q and Q̄ outputs
-    const circuit = new Circuit("DFlipFlop", [Q, Q_NOT]);
-    
-    // Register gates
-    circuit.registerGate("AND", STANDARD_GATES.AND);
-    circuit.registerGate("OR", STANDARD_GATES.OR);
-    circuit.registerGate("NOT", STANDARD_GATES.NOT);
-    
-    // Register feedback nodes for proper state management
-    circuit.registerFeedbackNode(Q);
-    circuit.registerFeedbackNode(prevCLK);
-
-    return circuit;
+    // Create circuit with Q and Q̄ outputs; the circuit finds the flip-flop
+    // by itself, so nothing needs registering
+    return new Circuit("DFlipFlop", [Q, Q_NOT]);
 }
@@ -36,7 +36,6 @@
 
 import { Circuit } from "../lib/circuit.js";
 import { InputNode, GateNode } from "../lib/nodes.js";
-import { STANDARD_GATES } from "../lib/common-gates.js";
 
 /**
  * 2-TO-4 DECODER
@@ -72,8 +71,5 @@ export function create2to4Decoder(delay = 0) {
 	const O3 = new GateNode("AND", [I1, I0], delay, "O3");
 
 	const circuit = new Circuit("Decoder2to4", [O0, O1, O2, O3]);
-	circuit.registerGate("AND", STANDARD_GATES.AND);
-	circuit.registerGate("NOT", STANDARD_GATES.NOT);
-
 	return circuit;
 }
@@ -59,7 +59,6 @@
 
 import { Circuit } from "../lib/circuit.js";
 import { InputNode, GateNode, CompositeNode, SubCircuitOutputNode } from "../lib/nodes.js";
-import { STANDARD_GATES } from "../lib/common-gates.js";
 import { createHalfAdder } from "./half-adder.js";
 import { CircuitRegistry } from "../new-visuals/circuit-registry.js";
 
@@ -96,8 +95,6 @@ export function createFullAdder(delay = 0) {
 
     // Create the circuit with Sum and Cout as outputs
     const circuit = new Circuit("FullAdder", [Sum, Cout]);
-    circuit.registerGate("OR", STANDARD_GATES.OR);
-
     return circuit;
 }
 
@@ -36,7 +36,6 @@
 
 import { Circuit } from "../lib/circuit.js";
 import { InputNode, GateNode } from "../lib/nodes.js";
-import { STANDARD_GATES } from "../lib/common-gates.js";
 
 export function createHalfAdder(delay = 0) {
   // Input bits to add
@@ -53,10 +52,5 @@ export function createHalfAdder(delay = 0) {
 
   // Create circuit with Sum as first output, Carry as second
   const circuit = new Circuit("HalfAdder", [Sum, Carry]);
-
-  // Register the gates we use
-  circuit.registerGate("XOR", STANDARD_GATES.XOR);
-  circuit.registerGate("AND", STANDARD_GATES.AND);
-
   return circuit;
 }
@@ -53,60 +53,20 @@
  */
 
 import { Circuit } from "../lib/circuit.js";
-import { InputNode, GateNode, FeedbackNode, ClockNode } from "../lib/nodes.js";
-import { STANDARD_GATES } from "../lib/common-gates.js";
+import { InputNode, GateNode, ClockNode, FlipFlopNode } from "../lib/nodes.js";
 
 export function createJKFlipFlop(delay = 0) {
 	// Inputs
 	const J = new InputNode(0); // Set input
 	const K = new InputNode(1); // Reset input
-	const CLK = new ClockNode();
+	const CLK = new ClockNode("CLK");
 
-	// State storage
-	const Q = new FeedbackNode(null, 0, delay, "Q");
-	const prevCLK = new FeedbackNode(null, 0, delay, "prevCLK");
-
-	// Rising edge detection
-	const risingEdge = new GateNode("AND", [CLK, new GateNode("NOT", [prevCLK], delay)], delay, "RisingEdge");
-
-	// JK LOGIC: Q_next = (J AND NOT Q) OR (NOT K AND Q)
-	//
-	// Break this down:
-	// Part 1: J AND NOT Q - "Try to set"
-	//   This is 1 when J=1 and Q=0 (trying to set from 0 to 1)
-	const trySet = new GateNode("AND", [J, new GateNode("NOT", [Q], delay, "NOT_Q")], delay, "TrySet");
-
-	// Part 2: NOT K AND Q - "Try to hold high"
-	//   This is 1 when K=0 and Q=1 (trying to keep Q at 1)
-	const tryHold = new GateNode("AND", [new GateNode("NOT", [K], delay, "NOT_K"), Q], delay, "TryHold");
-
-	// Combine: Q is 1 if we're setting OR holding
-	const nextQValue = new GateNode("OR", [trySet, tryHold], delay, "NextQValue");
-
-	// Only update on rising edge (MUX: risingEdge ? nextQValue : Q)
-	const nextQ = new GateNode(
-		"OR",
-		[
-			new GateNode("AND", [risingEdge, nextQValue], delay, "Update"),
-			new GateNode("AND", [new GateNode("NOT", [risingEdge], delay), Q], delay, "Hold")
-		],
-		delay,
-		"NextQ"
-	);
-
-	// Connect feedback
-	Q.inputNode = nextQ;
-	prevCLK.inputNode = CLK;
+	// State storage: on each rising edge of CLK,
+	// Q_next = (J AND NOT Q) OR (NOT K AND Q)
+	const Q = new FlipFlopNode("JK", [J, K], { clock: CLK, delay }, "Q");
 
 	// Complementary output
 	const Q_NOT = new GateNode("NOT", [Q], delay, "Q_NOT");
 
-	const circuit = new Circuit("JKFlipFlop", [Q, Q_NOT]);
-	circuit.registerGate("AND", STANDARD_GATES.AND);
-	circuit.registerGate("OR", STANDARD_GATES.OR);
-	circuit.registerGate("NOT", STANDARD_GATES.NOT);
-	circuit.registerFeedbackNode(Q);
-	circuit.registerFeedbackNode(prevCLK);
-
-	return circuit;
+	return new Circuit("JKFlipFlop", [Q, Q_NOT]);
 }
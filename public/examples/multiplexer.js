@@ -46,7 +46,6 @@
 
 import { Circuit } from "../lib/circuit.js";
 import { InputNode, GateNode } from "../lib/nodes.js";
-import { STANDARD_GATES } from "../lib/common-gates.js";
 
 /**
  * 2-TO-1 MULTIPLEXER
@@ -74,10 +73,6 @@ export function create2to1Mux(delay = 0) {
 	const output = new GateNode("OR", [path0, path1], delay, "Output");
 
 	const circuit = new Circuit("Mux2to1", [output]);
-	circuit.registerGate("AND", STANDARD_GATES.AND);
-	circuit.registerGate("OR", STANDARD_GATES.OR);
-	circuit.registerGate("NOT", STANDARD_GATES.NOT);
-
 	return circuit;
 }
 
@@ -138,9 +133,5 @@ export function create4to1Mux(delay = 0) {
 	const output = new GateNode("OR", [temp, temp2], delay, "Output");
 
 	const circuit = new Circuit("Mux4to1", [output]);
-	circuit.registerGate("AND", STANDARD_GATES.AND);
-	circuit.registerGate("OR", STANDARD_GATES.OR);
-	circuit.registerGate("NOT", STANDARD_GATES.NOT);
-
 	return circuit;
 }
@@ -33,7 +33,7 @@
  * TIMING CONSIDERATION:
  * The ripple carry causes delay - bit 3's sum must wait for carries
  * from bits 0, 1, and 2 to propagate. For faster addition, use
- * "carry lookahead" adders (not implemented here).
+ * "carry lookahead" adders (see carry-lookahead-adder.js).
  *
  * INPUTS:
  *   Input[0-3] = A[0-3]  (first 4-bit number, LSB to MSB)
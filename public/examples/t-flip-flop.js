@@ -49,52 +49,16 @@
  */
 
 import { Circuit } from "../lib/circuit.js";
-import { InputNode, GateNode, FeedbackNode, ClockNode } from "../lib/nodes.js";
-import { STANDARD_GATES } from "../lib/common-gates.js";
+import { InputNode, ClockNode, FlipFlopNode } from "../lib/nodes.js";
 
 export function createTFlipFlop(delay = 0) {
     // Input: T (toggle control)
     const T = new InputNode(0);
-    const CLK = new ClockNode();
+    const CLK = new ClockNode("CLK");
 
-    // State storage
-    const Q = new FeedbackNode(null, 0, delay, "Q");
-    const prevCLK = new FeedbackNode(null, 0, delay, "prevCLK");
+    // State storage: toggles on a rising edge of CLK while T=1, which is
+    // Q_next = Q XOR T
+    const Q = new FlipFlopNode("T", [T], { clock: CLK, delay }, "Q");
 
-    // Rising edge detection (same as D flip-flop)
-    const risingEdge = new GateNode(
-        "AND",
-        [CLK, new GateNode("NOT", [prevCLK], delay)],
-        delay,
-        "RisingEdge"
-    );
-
-    // Toggle signal: Only toggle when BOTH rising edge AND T=1
-    const toggleSignal = new GateNode(
-        "AND",
-        [risingEdge, T],
-        delay,
-        "ToggleSignal"
-    );
-
-    // TOGGLE LOGIC: Q_next = Q XOR toggleSignal
-    // XOR truth table shows this implements toggle:
-    // - Q=0, toggle=0 → 0 (hold)
-    // - Q=0, toggle=1 → 1 (toggle)
-    // - Q=1, toggle=0 → 1 (hold)
-    // - Q=1, toggle=1 → 0 (toggle)
-    const nextQ = new GateNode("XOR", [Q, toggleSignal], delay, "NextQ");
-
-    // Connect feedback
-    Q.inputNode = nextQ;
-    prevCLK.inputNode = CLK;
-
-    const circuit = new Circuit("TFlipFlop", [Q]);
-    circuit.registerGate("AND", STANDARD_GATES.AND);
-    circuit.registerGate("NOT", STANDARD_GATES.NOT);
-    circuit.registerGate("XOR", STANDARD_GATES.XOR);
-    circuit.registerFeedbackNode(Q);
-    circuit.registerFeedbackNode(prevCLK);
-
-    return circuit;
+    return new Circuit("TFlipFlop", [Q]);
 }
@@ -0,0 +1,491 @@
+import {
+  InputNode,
+  LiteralNode,
+  GateNode,
+  SubCircuitOutputNode,
+} from "./nodes.js";
+import { Circuit } from "./circuit.js";
+import { collectNodes } from "./graph.js";
+
+export const FALSE = 0;
+export const TRUE = 1;
+
+// Gates without a dedicated operation are expanded over their inputs, so
+// their input count is limited
+const MAX_EXPANDED_INPUTS = 12;
+
+/**
+ * Reduced ordered binary decision diagrams. A BDD is a node id; ids 0 and 1
+ * are the constants FALSE and TRUE. Every other node tests one variable and
+ * has a `low` (variable is 0) and a `high` child. Nodes are unique, so two
+ * functions are equal exactly when their ids are.
+ *
+ * Variables are numbered 0 to variableCount - 1 and tested in the order
+ * given by `order` (top first), which defaults to their numbering.
+ * reorder() improves the order by sifting; node ids keep their functions
+ * through reordering.
+ */
+export class BDD {
+  constructor(variableCount, { order = null } = {}) {
+    this.variableCount = variableCount;
+    this.order = order
+      ? [...order]
+      : Array.from({ length: variableCount }, (_, i) => i);
+    if (
+      this.order.length !== variableCount ||
+      new Set(this.order).size !== variableCount ||
+      this.order.some((v) => !(v >= 0 && v < variableCount))
+    ) {
+      throw new Error(
+        `BDD variable order must list each of the ${variableCount} variables once.`,
+      );
+    }
+    this.levels = new Array(variableCount);
+    this.order.forEach((v, level) => (this.levels[v] = level));
+
+    // Terminals sit below every variable
+    this.vars = [variableCount, variableCount];
+    this.lows = [FALSE, TRUE];
+    this.highs = [FALSE, TRUE];
+    this.unique = new Map();
+    this.cache = new Map();
+  }
+
+  /**
+   * The function that is 1 when variable `v` is 1.
+   */
+  variable(v) {
+    if (!(v >= 0 && v < this.variableCount)) {
+      throw new Error(`BDD has no variable ${v}.`);
+    }
+    return this.#node(v, FALSE, TRUE);
+  }
+
+  not(f) {
+    return this.ite(f, FALSE, TRUE);
+  }
+
+  and(f, g) {
+    return this.ite(f, g, FALSE);
+  }
+
+  or(f, g) {
+    return this.ite(f, TRUE, g);
+  }
+
+  xor(f, g) {
+    return this.ite(f, this.not(g), g);
+  }
+
+  /**
+   * If-then-else: `g` where `f` is 1 and `h` where it is 0. Every other
+   * operation is built on this one.
+   */
+  ite(f, g, h) {
+    if (f === TRUE) return g;
+    if (f === FALSE) return h;
+    if (g === h) return g;
+    if (g === TRUE && h === FALSE) return f;
+
+    const key = `${f},${g},${h}`;
+    const cached = this.cache.get(key);
+    if (cached !== undefined) return cached;
+
+    const level = Math.min(this.#level(f), this.#level(g), this.#level(h));
+    const v = this.order[level];
+    const [f0, f1] = this.#cofactors(f, level);
+    const [g0, g1] = this.#cofactors(g, level);
+    const [h0, h1] = this.#cofactors(h, level);
+    const result = this.#node(v, this.ite(f0, g0, h0), this.ite(f1, g1, h1));
+    this.cache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Variable values that make `f` 1, or null when `f` is FALSE. Variables the
+   * path does not test are 0.
+   * @returns {number[] | null}
+   */
+  satisfyingAssignment(f) {
+    if (f === FALSE) return null;
+    const values = new Array(this.variableCount).fill(0);
+    while (f !== TRUE) {
+      // Reduced nodes never have both children FALSE
+      if (this.highs[f] !== FALSE) {
+        values[this.vars[f]] = 1;
+        f = this.highs[f];
+      } else {
+        f = this.lows[f];
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Number of assignments to all the variables that make `f` 1.
+   */
+  satCount(f) {
+    const memo = new Map();
+    // Assignments to the variables at this node's level and below
+    const count = (g) => {
+      if (g <= TRUE) return g;
+      if (memo.has(g)) return memo.get(g);
+      const level = this.#level(g);
+      const result =
+        count(this.lows[g]) * 2 ** (this.#level(this.lows[g]) - level - 1) +
+        count(this.highs[g]) * 2 ** (this.#level(this.highs[g]) - level - 1);
+      memo.set(g, result);
+      return result;
+    };
+    return count(f) * 2 ** this.#level(f);
+  }
+
+  /**
+   * Number of distinct non-terminal nodes reachable from the given BDDs.
+   */
+  size(roots) {
+    return this.#reachable(roots).size;
+  }
+
+  /**
+   * The variables `f` depends on, top first.
+   */
+  support(f) {
+    const vars = new Set();
+    for (const g of this.#reachable([f])) vars.add(this.vars[g]);
+    return [...vars].sort((a, b) => this.levels[a] - this.levels[b]);
+  }
+
+  /**
+   * Rudell's sifting: moves each variable, biggest first, through every
+   * level by swapping neighbouring levels, and leaves it where the BDDs of
+   * `roots` were smallest. Only `roots` (and what they reach) are kept;
+   * other node ids become invalid.
+   * @returns {number} The size of `roots` afterwards.
+   */
+  reorder(roots) {
+    this.#collectGarbage(roots);
+    this.byVar = Array.from({ length: this.variableCount }, () => new Set());
+    for (const f of this.unique.values()) this.byVar[this.vars[f]].add(f);
+
+    const sizes = this.byVar.map((ids) => ids.size);
+    const variables = [...this.order].sort((a, b) => sizes[b] - sizes[a]);
+    for (const v of variables) {
+      let best = this.size(roots);
+      let bestLevel = this.levels[v];
+      const visit = (level) => {
+        this.#swap(level);
+        const size = this.size(roots);
+        if (size < best) {
+          best = size;
+          bestLevel = this.levels[v];
+        }
+      };
+      while (this.levels[v] < this.variableCount - 1) visit(this.levels[v]);
+      while (this.levels[v] > 0) visit(this.levels[v] - 1);
+      while (this.levels[v] < bestLevel) this.#swap(this.levels[v]);
+    }
+
+    this.byVar = null;
+    this.#collectGarbage(roots);
+    return this.size(roots);
+  }
+
+  /**
+   * Value of `f` for an array of variable values.
+   */
+  evaluate(f, values) {
+    while (f > TRUE) {
+      f = values[this.vars[f]] ? this.highs[f] : this.lows[f];
+    }
+    return f;
+  }
+
+  #node(v, low, high) {
+    if (low === high) return low;
+    const key = `${v},${low},${high}`;
+    let id = this.unique.get(key);
+    if (id === undefined) {
+      id = this.vars.length;
+      this.vars.push(v);
+      this.lows.push(low);
+      this.highs.push(high);
+      this.unique.set(key, id);
+      this.byVar?.[v].add(id);
+    }
+    return id;
+  }
+
+  // Exchanges the variables at `level` and `level + 1`. Nodes of the upper
+  // variable that test the lower one are rewritten in place, so every id
+  // still stands for the same function.
+  #swap(level) {
+    const x = this.order[level];
+    const y = this.order[level + 1];
+    for (const f of [...this.byVar[x]]) {
+      const low = this.lows[f];
+      const high = this.highs[f];
+      if (this.vars[low] !== y && this.vars[high] !== y) continue;
+
+      const [f00, f01] =
+        this.vars[low] === y ? [this.lows[low], this.highs[low]] : [low, low];
+      const [f10, f11] =
+        this.vars[high] === y
+          ? [this.lows[high], this.highs[high]]
+          : [high, high];
+      const newLow = this.#node(x, f00, f10);
+      const newHigh = this.#node(x, f01, f11);
+
+      this.unique.delete(`${x},${low},${high}`);
+      this.byVar[x].delete(f);
+      this.vars[f] = y;
+      this.lows[f] = newLow;
+      this.highs[f] = newHigh;
+      this.unique.set(`${y},${newLow},${newHigh}`, f);
+      this.byVar[y].add(f);
+    }
+    this.order[level] = y;
+    this.order[level + 1] = x;
+    this.levels[y] = level;
+    this.levels[x] = level + 1;
+  }
+
+  // Forgets every node `roots` do not reach
+  #collectGarbage(roots) {
+    const live = this.#reachable(roots);
+    for (const [key, f] of this.unique) {
+      if (!live.has(f)) this.unique.delete(key);
+    }
+    this.cache.clear();
+  }
+
+  #reachable(roots) {
+    const seen = new Set();
+    const stack = [...roots];
+    while (stack.length > 0) {
+      const f = stack.pop();
+      if (f <= TRUE || seen.has(f)) continue;
+      seen.add(f);
+      stack.push(this.lows[f], this.highs[f]);
+    }
+    return seen;
+  }
+
+  #level(f) {
+    return f <= TRUE ? this.variableCount : this.levels[this.vars[f]];
+  }
+
+  #cofactors(f, level) {
+    if (this.#level(f) !== level) return [f, f];
+    return [this.lows[f], this.highs[f]];
+  }
+}
+
+/**
+ * Inputs in the order a depth-first walk from the outputs reaches them, then
+ * any unused ones. This keeps related inputs (like the bits of two adder
+ * operands) close together, which usually makes for small BDDs.
+ */
+export function circuitInputOrder(circuit, n = circuit.inputLength) {
+  const order = [];
+  for (const node of collectNodes(circuit.rootNodes)) {
+    if (node instanceof InputNode && !order.includes(node.index)) {
+      order.push(node.index);
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    if (!order.includes(i)) order.push(i);
+  }
+  return order;
+}
+
+/**
+ * Builds a Circuit from BDDs: one 2-input multiplexer per node, selected by
+ * the node's variable, which is read from input node i for variable i.
+ * Nodes shared between the BDDs become shared gates; nodes that just pass a
+ * variable through, or invert it, become the input or a NOT gate. Every
+ * variable is an input, even one that no BDD depends on.
+ * @param {BDD} bdd
+ * @param {number[]} roots One BDD per output.
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ * @param {string[]} [options.inputNames] Names of the variables' inputs.
+ * @returns {Circuit}
+ */
+export function bddToCircuit(
+  bdd,
+  roots,
+  { name = "BDD", inputNames = [] } = {},
+) {
+  const inputs = Array.from(
+    { length: bdd.variableCount },
+    (_, v) => new InputNode(v, inputNames[v] ?? `IN${v}`),
+  );
+  const nodes = new Map();
+  const nodeFor = (f) => {
+    if (f <= TRUE) return new LiteralNode(f, String(f));
+    if (nodes.has(f)) return nodes.get(f);
+    const input = inputs[bdd.vars[f]];
+    const low = bdd.lows[f];
+    const high = bdd.highs[f];
+    let node;
+    if (low === FALSE && high === TRUE) {
+      node = input;
+    } else if (low === TRUE && high === FALSE) {
+      node = new GateNode("NOT", [input]);
+    } else {
+      node = new GateNode("MUX2", [nodeFor(low), nodeFor(high), input]);
+    }
+    nodes.set(f, node);
+    return node;
+  };
+  return new Circuit(name, roots.map(nodeFor), { inputs });
+}
+
+/**
+ * The truth table of several BDDs, as rows where some inputs are "-": each
+ * row covers every combination of its "-" inputs, and all of those give
+ * the row's outputs. The rows are disjoint and cover every combination, but
+ * there are only as many as the BDDs need, not 2^inputs.
+ * @returns {Array<{ inputs: Array<0 | 1 | "-">, outputs: number[] }>}
+ */
+export function symbolicTruthTable(bdd, roots) {
+  const rows = [];
+  const inputs = new Array(bdd.variableCount).fill("-");
+  const walk = (fs) => {
+    const tested = fs.filter((f) => f > TRUE);
+    if (tested.length === 0) {
+      rows.push({ inputs: [...inputs], outputs: [...fs] });
+      return;
+    }
+    const top = tested.reduce((a, b) =>
+      bdd.levels[bdd.vars[b]] < bdd.levels[bdd.vars[a]] ? b : a,
+    );
+    const variable = bdd.vars[top];
+    for (const value of [0, 1]) {
+      inputs[variable] = value;
+      walk(
+        fs.map((f) =>
+          bdd.vars[f] === variable ? (value ? bdd.highs[f] : bdd.lows[f]) : f,
+        ),
+      );
+    }
+    inputs[variable] = "-";
+  };
+  walk(roots);
+  return rows;
+}
+
+/**
+ * BDDs of a combinational circuit's outputs, with input i read as the BDD
+ * variable `inputs[i]` (variable i by default). Sub-circuits are expanded in
+ * place.
+ *
+ * Only 1-bit combinational logic is supported.
+ * @param {Circuit} circuit
+ * @param {BDD} bdd
+ * @param {number[]} [inputs]
+ * @returns {number[]} One BDD per output.
+ */
+export function circuitBdds(circuit, bdd, inputs = null) {
+  const variables = Array.from({ length: circuit.inputLength }, (_, i) =>
+    bdd.variable(inputs ? inputs[i] : i),
+  );
+  return outputBdds(circuit, bdd, variables, new Map());
+}
+
+function outputBdds(circuit, bdd, variables, memo) {
+  return circuit.rootNodes.map((node) =>
+    bddOf(node, circuit, bdd, variables, memo),
+  );
+}
+
+function bddOf(node, circuit, bdd, variables, memo) {
+  if (memo.has(node)) return memo.get(node);
+  if ((node.width ?? 1) > 1) {
+    throw new Error(
+      `BDDs only support 1-bit signals, but "${node.name}" is ${node.width} bits wide.`,
+    );
+  }
+
+  let result;
+  if (node instanceof InputNode) {
+    result = variables[node.index];
+  } else if (node instanceof LiteralNode) {
+    result = node.value ? TRUE : FALSE;
+  } else if (node instanceof GateNode) {
+    const gateFunc = node.resolveGate(circuit);
+    if (typeof gateFunc !== "function") {
+      throw new Error(`Gate "${node.gateType}" is not registered.`);
+    }
+    result = gateBdd(
+      bdd,
+      node,
+      gateFunc,
+      node.inputNodes.map((child) =>
+        bddOf(child, circuit, bdd, variables, memo),
+      ),
+    );
+  } else if (node instanceof SubCircuitOutputNode) {
+    // Every composite owns its sub-circuit's nodes, so one memo serves all
+    const composite = node.compositeNode;
+    if (!memo.has(composite)) {
+      const subInputs = composite.inputNodes.map((child) =>
+        bddOf(child, circuit, bdd, variables, memo),
+      );
+      memo.set(
+        composite,
+        outputBdds(composite.subCircuit, bdd, subInputs, memo),
+      );
+    }
+    result = memo.get(composite)[node.outputIndex];
+  } else {
+    throw new Error(
+      `BDDs do not support ${node.constructor.name} "${node.name}".`,
+    );
+  }
+
+  memo.set(node, result);
+  return result;
+}
+
+function gateBdd(bdd, node, gateFunc, inputs) {
+  const fold = (op, start) =>
+    inputs.reduce((f, g) => op.call(bdd, f, g), start);
+  switch (node.gateType) {
+    case "BUF":
+      return inputs[0];
+    case "NOT":
+      return bdd.not(inputs[0]);
+    case "AND":
+      return fold(bdd.and, TRUE);
+    case "NAND":
+      return bdd.not(fold(bdd.and, TRUE));
+    case "OR":
+      return fold(bdd.or, FALSE);
+    case "NOR":
+      return bdd.not(fold(bdd.or, FALSE));
+    case "XOR":
+      return fold(bdd.xor, FALSE);
+    case "XNOR":
+      return bdd.not(fold(bdd.xor, FALSE));
+  }
+
+  if (inputs.length > MAX_EXPANDED_INPUTS) {
+    throw new Error(
+      `BDDs support at most ${MAX_EXPANDED_INPUTS} inputs on ${node.gateType} gates, but "${node.name}" has ${inputs.length}.`,
+    );
+  }
+  // Shannon expansion over the gate's inputs, first input on top
+  const expand = (bits) =>
+    bits.length === inputs.length
+      ? gateFunc(bits)
+        ? TRUE
+        : FALSE
+      : bdd.ite(
+          inputs[bits.length],
+          expand([...bits, 1]),
+          expand([...bits, 0]),
+        );
+  return expand([]);
+}
@@ -0,0 +1,302 @@
+import { ClockNode, FeedbackNode, FlipFlopNode, isDelayed } from "./nodes.js";
+import { collectNodes } from "./graph.js";
+import { parseExpression } from "./expression-parser.js";
+import { SatSolver, encodeCircuit, previousClockKey } from "./sat.js";
+import { Trace, traceSignalNames } from "./trace.js";
+
+// A name ending in this reads the signal's value one tick earlier
+const PREVIOUS = "_prev";
+
+/**
+ * Builds an assertion for Circuit.addAssertion(). The expression uses the
+ * parseExpression() syntax; each name in it reads the input, output,
+ * FeedbackNode, flip-flop or clock of that name as evaluate() leaves it,
+ * and NAME_prev reads its value one tick earlier. Every expression the
+ * source defines as an output must be 1.
+ * @param {Circuit} circuit
+ * @param {string} name
+ * @param {string} expression
+ * @returns {{ name: string, expression: string, monitor: Circuit,
+ *   reads: Array<{ signal: string, previous: boolean }> }}
+ *   The assertion, with `reads` giving the signal behind each input of the
+ *   monitor circuit, then behind each of its ClockNodes.
+ */
+export function createAssertion(circuit, name, expression) {
+  if (circuit.assertions.some((assertion) => assertion.name === name)) {
+    throw new Error(`Assertion "${name}" already exists.`);
+  }
+  const signals = circuitSignals(circuit);
+  if (signals.has(name)) {
+    throw new Error(
+      `Assertion "${name}" has the name of a signal of "${circuit.name}".`,
+    );
+  }
+
+  const monitor = parseExpression(expression, { name });
+  if (monitor.feedbackNodes.length > 0) {
+    throw new Error(
+      `Assertion "${name}" defines "${monitor.feedbackNodes[0].name}" in terms of itself; use ${monitor.feedbackNodes[0].name}${PREVIOUS} for last tick's value.`,
+    );
+  }
+  const reads = [
+    ...monitor.getInputNames(),
+    ...monitorClocks(monitor).map((node) => node.name),
+  ].map((read) => {
+    if (signals.has(read)) return { signal: read, previous: false };
+    const signal = read.slice(0, -PREVIOUS.length);
+    if (read.endsWith(PREVIOUS) && signals.has(signal)) {
+      return { signal, previous: true };
+    }
+    throw new Error(
+      `Assertion "${name}" reads "${read}", which is not an input, output, FeedbackNode, flip-flop or clock of "${circuit.name}".`,
+    );
+  });
+  for (const { signal } of reads) {
+    if (signals.get(signal) === null) {
+      throw new Error(
+        `Assertion "${name}" reads "${signal}", which names more than one signal of "${circuit.name}".`,
+      );
+    }
+  }
+  return { name, expression, monitor, reads };
+}
+
+/**
+ * Bounded model checking: unrolls the circuit for `depth` ticks from its
+ * initial state into one SAT problem and searches for inputs (and levels
+ * of the setClock() clock) that break an assertion. Depths are tried in
+ * turn, so a failure found is as short as possible. Assertions that read
+ * NAME_prev signals are checked from the second tick on.
+ *
+ * Every tick is one evaluate(). FeedbackNodes and flip-flops start from
+ * their initial values, with the clock low before the first tick, and need
+ * zero delay; named clocks are not supported.
+ * @param {Circuit} circuit
+ * @param {Object} [options]
+ * @param {number} [options.depth] Ticks to check.
+ * @returns {{ holds: boolean, depth: number, assertion: string | null,
+ *   tick: number | null, trace: Trace | null }}
+ *   When an assertion can fail, the first one to fail and the tick it fails
+ *   on, with a trace of the inputs, clock, outputs and assertion values of
+ *   a run that breaks it, replayed on a copy of the circuit.
+ */
+export function checkAssertions(circuit, { depth = 10 } = {}) {
+  if (!Number.isInteger(depth) || depth < 1) {
+    throw new Error(
+      `checkAssertions() needs a depth of at least 1 tick, got ${depth}.`,
+    );
+  }
+  if (circuit.assertions.length === 0) {
+    throw new Error(`"${circuit.name}" has no assertions to check.`);
+  }
+  const nodes = collectNodes([...circuit.rootNodes, ...circuit.feedbackNodes], {
+    throughFeedback: true,
+  });
+  const stateNodes = nodes.filter(
+    (node) => node instanceof FeedbackNode || node instanceof FlipFlopNode,
+  );
+  for (const node of stateNodes) {
+    if (isDelayed(node.delay)) {
+      throw new Error(
+        `Bounded model checking needs zero-delay FeedbackNodes and flip-flops, but "${node.name}" has a delay.`,
+      );
+    }
+    if (node.initialValue !== 0 && node.initialValue !== 1) {
+      throw new Error(
+        `Bounded model checking needs a 0 or 1 initial value, but "${node.name}" starts as ${node.initialValue}.`,
+      );
+    }
+  }
+  const clocks = nodes.filter((node) => node instanceof ClockNode);
+  const named = clocks.find((node) => node.domain);
+  if (named) {
+    throw new Error(
+      `Bounded model checking drives the setClock() clock, not named clock "${named.domain}".`,
+    );
+  }
+  const signals = circuitSignals(circuit);
+
+  const solver = new SatSolver();
+  const one = solver.newVariable();
+  solver.addClause([one]);
+  let state = new Map(
+    stateNodes.map((node) => [node, node.initialValue ? one : -one]),
+  );
+  // A fresh copy has seen the clock low, like every flip-flop when built
+  stateNodes
+    .filter((node) => node instanceof FlipFlopNode)
+    .forEach((node) => state.set(previousClockKey(node), -one));
+  const ticks = [];
+  for (let tick = 0; tick < depth; tick++) {
+    const encoding = encodeCircuit(circuit, solver, { state });
+    ticks.push(tickLiterals(encoding));
+    state = encoding.next;
+
+    // One variable per assertion that is set when it may fail on this tick
+    const failures = [];
+    for (const assertion of circuit.assertions) {
+      if (tick === 0 && assertion.reads.some((read) => read.previous)) {
+        continue;
+      }
+      const literals = assertion.reads.map(({ signal, previous }) =>
+        signalLiteral(signals.get(signal), ticks[tick - (previous ? 1 : 0)]),
+      );
+      const inputCount = assertion.monitor.inputLength;
+      const check = encodeCircuit(assertion.monitor, solver, {
+        inputs: literals.slice(0, inputCount),
+        state: new Map(
+          monitorClocks(assertion.monitor).map((node, i) => [
+            node,
+            literals[inputCount + i],
+          ]),
+        ),
+      });
+      const failure = solver.newVariable();
+      solver.addClause([-failure, ...check.outputs.map((output) => -output)]);
+      failures.push(failure);
+    }
+
+    const anyFailure = solver.newVariable();
+    solver.addClause([-anyFailure, ...failures]);
+    const model = solver.solve([anyFailure]);
+    if (model) {
+      const valueOf = (literal) =>
+        literal > 0 ? model[literal] : 1 - model[-literal];
+      return replay(
+        circuit,
+        ticks.map(({ inputs }) => inputs.map(valueOf)),
+        clocks.length > 0
+          ? ticks.map(({ byNode }) => valueOf(byNode.get(clocks[0])))
+          : null,
+      );
+    }
+    // None can fail on this tick, which helps with the later ones
+    failures.forEach((failure) => solver.addClause([-failure]));
+  }
+  return { holds: true, depth, assertion: null, tick: null, trace: null };
+}
+
+// Signal name -> { kind, index } for inputs and outputs, { kind, node } for
+// FeedbackNodes, flip-flops and clocks, or null for a name several signals
+// share. Outputs that are a FeedbackNode or flip-flop name the same signal
+// twice.
+function circuitSignals(circuit) {
+  const signals = new Map();
+  const add = (name, signal) => {
+    if (name === null || name === undefined) return;
+    const existing = signals.get(name);
+    if (existing === undefined) {
+      signals.set(name, signal);
+    } else if (existing?.node !== signal.node || !signal.node) {
+      signals.set(name, null);
+    }
+  };
+  circuit
+    .getInputNames()
+    .forEach((name, index) => add(name, { kind: "input", index }));
+  circuit.rootNodes.forEach((node, index) =>
+    add(node.name, {
+      kind: "output",
+      index,
+      node: isState(node) ? node : undefined,
+    }),
+  );
+  for (const node of collectNodes(
+    [...circuit.rootNodes, ...circuit.feedbackNodes],
+    { throughFeedback: true },
+  )) {
+    if (isState(node) || node instanceof ClockNode) {
+      add(node.name, { kind: "state", node });
+    }
+  }
+  return signals;
+}
+
+function isState(node) {
+  return node instanceof FeedbackNode || node instanceof FlipFlopNode;
+}
+
+function monitorClocks(monitor) {
+  return collectNodes(monitor.rootNodes).filter(
+    (node) => node instanceof ClockNode,
+  );
+}
+
+function tickLiterals(encoding) {
+  const byNode = new Map(
+    encoding.state.map(({ node, literal }) => [node, literal]),
+  );
+  // FeedbackNodes and flip-flops read as they are after the tick, like
+  // outputs
+  encoding.next.forEach((literal, node) => byNode.set(node, literal));
+  return { inputs: encoding.inputs, outputs: encoding.outputs, byNode };
+}
+
+function signalLiteral(signal, literals) {
+  if (signal.kind === "input") return literals.inputs[signal.index];
+  if (signal.kind === "output") return literals.outputs[signal.index];
+  return literals.byNode.get(signal.node);
+}
+
+// Runs the failing stimulus on a fresh copy, with each assertion's value
+// recorded beside the signals
+function replay(circuit, vectors, clockLevels) {
+  const copy = circuit.clone();
+  const { inputNames, clockNames, outputNames } = traceSignalNames(copy, {
+    clock: clockLevels !== null,
+  });
+  const trace = new Trace({ inputNames, outputNames, startTick: 0 });
+  const nodes = collectNodes([...copy.rootNodes, ...copy.feedbackNodes], {
+    throughFeedback: true,
+  });
+  const stateNodes = nodes.filter(isState);
+  const clocks = nodes.filter((node) => node instanceof ClockNode);
+
+  let previous = null;
+  for (let tick = 0; tick < vectors.length; tick++) {
+    if (clockLevels) copy.setClock(clockLevels[tick]);
+    const outputs = copy.tick(vectors[tick]);
+
+    const values = {};
+    inputNames.forEach((name, i) => (values[name] = vectors[tick][i]));
+    clockNames.forEach((name) => (values[name] = copy.clock));
+    outputNames.forEach((name, i) => (values[name] = outputs[i]));
+    const current = { ...values };
+    stateNodes.forEach((node) => (current[node.name] = node.currentValue));
+    clocks.forEach((node) => (current[node.name] = copy.clock));
+
+    for (const assertion of circuit.assertions) {
+      const checked = previous || !assertion.reads.some((r) => r.previous);
+      const holds =
+        !checked ||
+        assertionHolds(assertion, (read) =>
+          read.previous ? previous[read.signal] : current[read.signal],
+        );
+      values[assertion.name] = holds ? 1 : 0;
+    }
+    trace.record(values);
+    previous = current;
+  }
+
+  const tick = vectors.length - 1;
+  const failed = circuit.assertions.find(
+    (assertion) => trace.valueAt(assertion.name, tick) === 0,
+  );
+  if (!failed) {
+    throw new Error(
+      `The failure found on tick ${tick} of "${circuit.name}" does not show up when simulated.`,
+    );
+  }
+  return { holds: false, depth: tick + 1, assertion: failed.name, tick, trace };
+}
+
+function assertionHolds(assertion, valueOf) {
+  const { monitor, reads } = assertion;
+  const values = reads.map(valueOf);
+  const clocks = values.slice(monitor.inputLength);
+  const [outputs] = monitor.evaluateMany(
+    [values.slice(0, monitor.inputLength)],
+    clocks.length > 0 ? clocks[0] : null,
+  );
+  return outputs.every((value) => value === 1);
+}
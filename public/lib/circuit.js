@@ -4,47 +4,283 @@ import {
   LiteralNode,
   InputNode,
   GateNode,
+  LutNode,
   FeedbackNode,
   CompositeNode,
   SubCircuitOutputNode,
+  SliceNode,
+  ConcatNode,
+  RomNode,
+  RamNode,
+  SequentialNode,
+  FlipFlopNode,
+  LatchNode,
+  TIMING_CORNERS,
+  isDelayed,
+  clockLevelAt,
 } from "./nodes.js";
 
 // Import the helper classes and functions
 import { Scheduler } from "./scheduler.js";
+import { Trace, traceSignalNames } from "./trace.js";
+import { CompiledCircuit, isUnsupportedByCompile } from "./compiler.js";
+import { collectNodes } from "./graph.js";
+import { findCombinationalLoops, diagnoseOscillation } from "./diagnostics.js";
+import { analyzeTiming } from "./timing-analysis.js";
+import { transitionWaveforms, hazardType } from "./hazards.js";
+import { circuitCovers, espresso, rowCube } from "./espresso.js";
+import { mapToUniversalGates } from "./tech-mapping.js";
+import { checkEquivalence } from "./equivalence.js";
+import {
+  BDD,
+  circuitBdds,
+  circuitInputOrder,
+  symbolicTruthTable,
+} from "./bdd.js";
+import { findInputs, findAllInputs } from "./sat.js";
+import { createAssertion, checkAssertions } from "./bmc.js";
 import { arraysEqual, createDefaultContext } from "./utils.js"; // Assuming arraysEqual is in utils.js
-import { STANDARD_GATES } from "./common-gates.js";
+import {
+  fourValuedGate,
+  LOGIC_X,
+  resolveStandardGate,
+} from "./common-gates.js";
+
+const LOGIC_MODES = ["binary", "four-valued"];
+const SIMPLIFY_METHODS = ["auto", "exact", "espresso"];
+// simplify({ method: "auto" }) switches to Espresso above this many inputs
+const EXACT_SIMPLIFY_MAX_INPUTS = 10;
 
 export class Circuit {
+  // The roots and FeedbackNodes the last combinational loop check passed
+  // for, so that truth tables do not search every row's clone for loops
+  // again: clone() hands the verdict on to its same-shaped copy. Gates
+  // rewired in place after that are not checked again.
+  #loopFreeRoots = null;
+
+  // The flip-flops and memories #updateState() clocks, and the structure
+  // (see #findSequentialNodes) they were collected from, so that delta
+  // cycles do not walk the whole circuit. Like #loopFreeRoots, gates
+  // rewired in place are not noticed.
+  #sequentialNodes = null;
+  #sequentialNodesFor = null;
+
   /**
-   * rootNodes can be a single Node or an array of Node objects.
+   * rootNodes can be a single Node or an array of Node objects. `inputs`
+   * lists InputNodes that belong to the circuit even when no output reads
+   * them, so that they still count in inputLength and getInputNames().
    */
-  constructor(name, rootNodes) {
+  constructor(name, rootNodes, { inputs = [] } = {}) {
     this.name = name;
     this.rootNodes = Array.isArray(rootNodes) ? rootNodes : [rootNodes]; // timing
+    this.declaredInputs = inputs;
     this.totalTicks = 0;
     this.currentTick = 0;
     this.clock = 0;
-    this.prevClock = 0; // feedback + gates
+    this.prevClock = 0;
+    this.clocks = {}; // named clocks, see addClock()
     this.feedbackNodes = [];
+    this.assertions = []; // see addAssertion()
     this.gateRegistry = {};
+    this.logicMode = "binary";
+    this.unknownInitialState = false;
+    this.timingCorner = "typ";
     this.scheduler = new Scheduler();
     this.history = [];
   }
 
+  /**
+   * Switch between plain 0/1 simulation ("binary") and 0/1/X/Z simulation
+   * ("four-valued"). In four-valued mode the standard gates propagate X, and
+   * the TRI (tri-state buffer) and RESOLVE (multi-driver bus) gates become
+   * available. With `unknownInitialState`, FeedbackNodes, flip-flops, RAM
+   * words and synchronous memory reads start as X instead of their initial
+   * values, so missing resets show up. This is part of the mode: the state starts over as X (or from
+   * the initial values again when it is turned off), and clone() starts
+   * from X for as long as it is on.
+   */
+  setLogicMode(mode, { unknownInitialState = false } = {}) {
+    if (!LOGIC_MODES.includes(mode)) {
+      throw new Error(
+        `Unknown logic mode "${mode}". Expected one of: ${LOGIC_MODES.join(", ")}.`,
+      );
+    }
+    this.logicMode = mode;
+
+    const startUnknown = mode === "four-valued" && unknownInitialState;
+    if (startUnknown !== this.unknownInitialState) {
+      this.unknownInitialState = startUnknown;
+      this.#resetState();
+    }
+  }
+
+  // Puts FeedbackNodes, flip-flops and memories back at their starting
+  // values, X for all of them under unknownInitialState
+  #resetState() {
+    const unknown = this.unknownInitialState;
+    const nodes = collectNodes([...this.rootNodes, ...this.feedbackNodes], {
+      throughFeedback: true,
+    });
+    for (const node of nodes) {
+      if (node instanceof FeedbackNode || node instanceof FlipFlopNode) {
+        node.currentValue = unknown ? LOGIC_X : node.initialValue;
+      } else if (node instanceof RomNode) {
+        node.readData = unknown ? LOGIC_X : 0;
+        if (node instanceof RamNode) {
+          node.contents = unknown
+            ? node.contents.map(() => LOGIC_X)
+            : node.initialContents.slice();
+        }
+      }
+    }
+  }
+
+  /**
+   * Return to the initial state, as in a fresh clone(false): tick 0,
+   * FeedbackNodes, flip-flops and memories at their starting values (see
+   * setLogicMode), pending delayed updates and history dropped, and named
+   * clocks restarted from tick 0 with their edges queued again.
+   */
+  reset() {
+    this.totalTicks = 0;
+    this.currentTick = 0;
+    this.clock = 0;
+    this.prevClock = 0;
+    this.scheduler.clear();
+    this.history = [];
+    this.#resetState();
+    const nodes = collectNodes([...this.rootNodes, ...this.feedbackNodes], {
+      throughFeedback: true,
+    });
+    for (const node of nodes) {
+      if (node instanceof GateNode) {
+        node.lastValue = 0;
+      } else if (node instanceof SequentialNode) {
+        node.prevClockLevel = 0;
+        node.pending = null;
+      } else if (node instanceof CompositeNode) {
+        node.subCircuit.reset();
+        node.lastEvaluationTick = -1;
+      }
+    }
+    for (const clock of Object.values(this.clocks)) this.#restartClock(clock);
+  }
+
+  /**
+   * Choose which of the { min, typ, max } delays every gate and feedback
+   * node uses, here and in all sub-circuits.
+   */
+  setTimingCorner(corner) {
+    if (!TIMING_CORNERS.includes(corner)) {
+      throw new Error(
+        `Unknown timing corner "${corner}". Expected one of: ${TIMING_CORNERS.join(", ")}.`,
+      );
+    }
+    this.timingCorner = corner;
+    this.#forEachNode((node) => {
+      if (node instanceof CompositeNode)
+        node.subCircuit.setTimingCorner(corner);
+    });
+  }
+
+  /**
+   * Replays the recorded history (inputs and clock level of every tick) on a
+   * fresh copy of this circuit at another timing corner, e.g. "max" for
+   * worst-case timing.
+   * @returns {Array<Array<number>>} The outputs of every replayed tick.
+   */
+  rerunAtCorner(corner) {
+    const replay = this.clone(false);
+    replay.setTimingCorner(corner);
+    return this.history.map((entry) => {
+      replay.setClock(entry.clock);
+      return replay.evaluate(entry.inputs);
+    });
+  }
+
   setClock(value) {
     this.prevClock = this.clock;
 
     this.clock = value;
   }
 
-  getClock() {
-    return this.clock;
+  /**
+   * Adds a named clock that the scheduler toggles on its own as ticks
+   * advance. ClockNodes created with this name as their domain read it.
+   * Each period starts low and ends high for `period * dutyCycle` ticks;
+   * `phase` shifts the waveform later by that many ticks.
+   */
+  addClock(name, options = {}) {
+    if (this.clocks[name]) {
+      throw new Error(`Clock "${name}" already exists.`);
+    }
+    const clock = this.#clockWaveform(name, options);
+    clock.level = clockLevelAt(clock, this.totalTicks);
+    clock.prevLevel = clock.level;
+    this.clocks[name] = clock;
+    this.#scheduleClockEdge(clock, this.totalTicks);
   }
 
-  getEdgeTrigger() {
-    if (this.clock === this.prevClock) {
+  #clockWaveform(name, { period, dutyCycle = 0.5, phase = 0 } = {}) {
+    if (!Number.isInteger(period) || period < 2) {
+      throw new Error(
+        `Clock "${name}" needs a whole period of at least 2 ticks, got ${period}.`,
+      );
+    }
+    const highTicks = Math.round(period * dutyCycle);
+    if (highTicks < 1 || highTicks >= period) {
+      throw new Error(
+        `Clock "${name}" duty cycle ${dutyCycle} leaves no high or no low tick in a ${period}-tick period.`,
+      );
+    }
+    if (!Number.isInteger(phase)) {
+      throw new Error(`Clock "${name}" phase must be a whole number of ticks.`);
+    }
+
+    return { name, period, dutyCycle, phase, highTicks };
+  }
+
+  // Back to the clock's level at tick 0, with its first edge queued
+  #restartClock(clock) {
+    clock.level = clockLevelAt(clock, 0);
+    clock.prevLevel = clock.level;
+    this.#scheduleClockEdge(clock, 0);
+  }
+
+  // Queue the clock's next level change after `fromTick`; each edge queues
+  // the one after it
+  #scheduleClockEdge(clock, fromTick) {
+    let edgeTick = fromTick + 1;
+    while (clockLevelAt(clock, edgeTick) === clock.level) edgeTick++;
+
+    const event = this.scheduler.scheduleEvent(
+      edgeTick,
+      () => {
+        clock.level = clockLevelAt(clock, edgeTick);
+        this.#scheduleClockEdge(clock, edgeTick);
+      },
+      `Clock '${clock.name}' ${clockLevelAt(clock, edgeTick) ? "rises" : "falls"}`,
+    );
+    event.clock = clock.name;
+  }
+
+  /**
+   * Level of the clock driven by setClock(), or of a named clock.
+   */
+  getClock(name = null) {
+    if (name === null) return this.clock;
+    const clock = this.clocks[name];
+    if (!clock) throw new Error(`Unknown clock "${name}".`);
+    return clock.level;
+  }
+
+  getEdgeTrigger(name = null) {
+    const level = this.getClock(name);
+    const prevLevel =
+      name === null ? this.prevClock : this.clocks[name].prevLevel;
+    if (level === prevLevel) {
       return "SAME";
-    } else if (this.clock > this.prevClock) {
+    } else if (level > prevLevel) {
       return "POSITIVE EDGE TRIGGER";
     } else {
       return "NEGATIVE EDGE TRIGGER";
@@ -53,9 +289,31 @@ export class Circuit {
 
   registerGate(name, func) {
     this.gateRegistry[name] = func;
+    // A registered gate decides the width of its gates, even where it
+    // shadows a standard gate with a multi-bit result
+    this.#forEachNode((node) => {
+      if (
+        node instanceof GateNode &&
+        !(node instanceof LutNode) &&
+        node.gateType === name
+      ) {
+        node.setOutputWidth(func.outputWidth);
+      }
+    });
   }
+  /**
+   * The function for a gate type: a registered gate, or else a standard one
+   * (see resolveStandardGate), so circuits built only from standard gates
+   * need no registerGate() calls. In four-valued mode a registered gate is
+   * used through its four-valued version (see fourValuedGate), so it still
+   * passes X and Z on instead of computing with them as numbers.
+   */
   getGate(name) {
-    return this.gateRegistry[name];
+    const registered = this.gateRegistry[name];
+    if (!registered) return resolveStandardGate(name, this.logicMode);
+    return this.logicMode === "four-valued"
+      ? fourValuedGate(name, registered)
+      : registered;
   }
   registerFeedbackNode(node) {
     if (!this.feedbackNodes.includes(node)) {
@@ -63,71 +321,31 @@ export class Circuit {
     }
   } // ----------------------------------------------------- // 4.2) Compute inputLength & outputLength // -----------------------------------------------------
 
-  #computeInputLength(node, visited = new Set()) {
-    if (!node || visited.has(node)) return -Infinity;
-    visited.add(node);
-
-    let highest = -1;
-    if (node instanceof InputNode) {
-      highest = node.index;
-    } else if (node instanceof GateNode) {
-      for (const child of node.inputNodes) {
-        highest = Math.max(highest, this.#computeInputLength(child, visited));
-      }
-    } else if (node instanceof FeedbackNode) {
-      if (node.inputNode) {
-        highest = Math.max(
-          highest,
-          this.#computeInputLength(node.inputNode, visited),
-        );
-      }
-    } else if (node instanceof CompositeNode) {
-      for (const child of node.inputNodes) {
-        highest = Math.max(highest, this.#computeInputLength(child, visited));
-      }
-    } else if (node instanceof SubCircuitOutputNode) {
-      highest = Math.max(
-        highest,
-        this.#computeInputLength(node.compositeNode, visited),
-      );
-    }
-    return highest;
-  }
-
   get inputLength() {
     let highest = -1;
-    for (const node of this.rootNodes) {
-      highest = Math.max(highest, this.#computeInputLength(node));
-    }
-    return highest < 0 ? 0 : highest + 1;
+    this.#forEachNode((node) => {
+      if (node instanceof InputNode) highest = Math.max(highest, node.index);
+    });
+    return highest + 1;
   }
 
   get outputLength() {
     return this.rootNodes.length;
   }
 
+  #forEachNode(callback) {
+    collectNodes([...this.rootNodes, ...this.declaredInputs], {
+      throughFeedback: true,
+    }).forEach(callback);
+  }
+
   getInputNames() {
     const names = new Array(this.inputLength).fill(null);
-    const visited = new Set();
-
-    const traverse = (node) => {
-      if (!node || visited.has(node)) return;
-      visited.add(node);
-
-      if (node instanceof InputNode) {
-        if (!names[node.index]) names[node.index] = node.name;
-      } else if (node instanceof GateNode || node instanceof CompositeNode) {
-        node.inputNodes.forEach(traverse);
-      } else if (node instanceof FeedbackNode) {
-        if (node.inputNode) traverse(node.inputNode);
-      } else if (node instanceof SubCircuitOutputNode) {
-        traverse(node.compositeNode);
+    this.#forEachNode((node) => {
+      if (node instanceof InputNode && !names[node.index]) {
+        names[node.index] = node.name;
       }
-    };
-
-    for (const node of this.rootNodes) {
-      traverse(node);
-    }
+    });
 
     // Fallback: If any input doesn't have a name, default to IN{index}
     for (let i = 0; i < names.length; i++) {
@@ -137,6 +355,26 @@ export class Circuit {
     return names;
   }
 
+  /**
+   * Bit width of each input port (1 for plain single-bit inputs).
+   */
+  getInputWidths() {
+    const widths = new Array(this.inputLength).fill(1);
+    this.#forEachNode((node) => {
+      if (node instanceof InputNode) {
+        widths[node.index] = Math.max(widths[node.index], node.width ?? 1);
+      }
+    });
+    return widths;
+  }
+
+  /**
+   * Bit width of each output (1 for plain single-bit outputs).
+   */
+  getOutputWidths() {
+    return this.rootNodes.map((node) => node.width ?? 1);
+  }
+
   /**
    * EVALUATE FUNCTION - COMPREHENSIVE EXPLANATION
    *
@@ -170,45 +408,29 @@ export class Circuit {
     if (inputs.length !== this.inputLength) {
       console.warn(`Expected ${this.inputLength} inputs, got ${inputs.length}`);
     }
+    if (this.totalTicks === 0) this.#assertNoCombinationalLoops();
     this.currentTick = this.totalTicks;
     const subHistory = [];
 
     let iteration = 1;
-    const queueBefore = [...this.scheduler.events];
+    // Delta cycles record how many events were pending rather than copies
+    // of the queue, which would cost O(n log n) per cycle on busy circuits
+    const pendingBefore = this.scheduler.size;
+    for (const clock of Object.values(this.clocks)) {
+      clock.prevLevel = clock.level;
+    }
     const events = this.scheduler.consumeEventsForTick(this.currentTick);
     events.forEach((e) => e.callback());
 
-    // FIX: Two-phase feedback update
-    // Phase 1: Capture all new feedback values (using OLD feedback values)
-    const feedbackUpdates = this.feedbackNodes.map((fb) => {
-      if (!fb.inputNode) return null;
-      const newValue = fb.inputNode.evaluate(this, inputs);
-      return { node: fb, value: newValue };
-    });
-
-    // Phase 2: Apply all updates simultaneously
-    feedbackUpdates.forEach((update) => {
-      if (update && update.node.delay === 0) {
-        update.node.currentValue = update.value;
-      } else if (update && update.node.delay > 0) {
-        const targetTick = this.currentTick + update.node.delay;
-        this.scheduler.scheduleEvent(
-          targetTick,
-          () => {
-            update.node.currentValue = update.value;
-          },
-          `Update ${update.node.name} to ${update.value}`,
-        );
-      }
-    });
+    this.#updateState(inputs);
 
     let oldOutputs = this.rootNodes.map((n) => n.evaluate(this, inputs));
 
     subHistory.push({
       deltaCycle: iteration,
-      queueBefore,
+      pendingBefore,
       consumedEvents: events,
-      queueAfter: [...this.scheduler.events],
+      pendingAfter: this.scheduler.size,
       outputs: [...oldOutputs],
     });
 
@@ -217,31 +439,11 @@ export class Circuit {
       iteration < maxDeltaCycles
     ) {
       iteration++;
-      const queueBeforeLoop = [...this.scheduler.events];
+      const pendingBeforeLoop = this.scheduler.size;
       const eventsLoop = this.scheduler.consumeEventsForTick(this.currentTick);
       eventsLoop.forEach((e) => e.callback());
 
-      // FIX: Two-phase update in loop too
-      const feedbackUpdatesLoop = this.feedbackNodes.map((fb) => {
-        if (!fb.inputNode) return null;
-        const newValue = fb.inputNode.evaluate(this, inputs);
-        return { node: fb, value: newValue };
-      });
-
-      feedbackUpdatesLoop.forEach((update) => {
-        if (update && update.node.delay === 0) {
-          update.node.currentValue = update.value;
-        } else if (update && update.node.delay > 0) {
-          const targetTick = this.currentTick + update.node.delay;
-          this.scheduler.scheduleEvent(
-            targetTick,
-            () => {
-              update.node.currentValue = update.value;
-            },
-            `Update ${update.node.name} to ${update.value}`,
-          );
-        }
-      });
+      this.#updateState(inputs);
 
       const newOutputs = this.rootNodes.map((n) => n.evaluate(this, inputs));
 
@@ -251,26 +453,43 @@ export class Circuit {
 
       subHistory.push({
         deltaCycle: iteration,
-        queueBefore: queueBeforeLoop,
+        pendingBefore: pendingBeforeLoop,
         consumedEvents: eventsLoop,
-        queueAfter: [...this.scheduler.events],
+        pendingAfter: this.scheduler.size,
         outputs: [...newOutputs],
       });
       oldOutputs = newOutputs;
     }
 
     const isStable = !this.scheduler.hasEventsForTick(this.currentTick);
+    let oscillatingNodes;
     if (!isStable && iteration >= maxDeltaCycles) {
+      // Nodes still updating in the last delta cycles are the ones on the loop
+      oscillatingNodes = [
+        ...new Set(
+          subHistory
+            .slice(-2)
+            .flatMap((cycle) => cycle.consumedEvents)
+            .map((event) => event.node?.name ?? event.description),
+        ),
+      ];
       console.warn(
-        `Circuit "${this.name}" did not stabilize after ${maxDeltaCycles} delta cycles at tick ${this.currentTick}`,
+        `Circuit "${this.name}" did not stabilize after ${maxDeltaCycles} delta cycles at tick ${this.currentTick}; still changing: ${oscillatingNodes.join(", ")}`,
       );
     }
 
     this.history.push({
       tick: this.totalTicks,
       inputs: [...inputs],
+      clock: this.clock,
+      ...(Object.keys(this.clocks).length > 0 && {
+        clocks: Object.fromEntries(
+          Object.values(this.clocks).map((clock) => [clock.name, clock.level]),
+        ),
+      }),
       subHistory,
       unstable: !isStable,
+      ...(oscillatingNodes && { oscillatingNodes }),
     });
     this.totalTicks++;
     return oldOutputs;
@@ -280,6 +499,271 @@ export class Circuit {
     return this.evaluate(inputs);
   }
 
+  // FIX: Two-phase state update for feedback nodes, flip-flops and memories
+  #updateState(inputs) {
+    // Phase 1: Capture all new feedback values (using OLD feedback values)
+    const feedbackUpdates = this.feedbackNodes.map((fb) => {
+      if (!fb.inputNode) return null;
+      const newValue = fb.inputNode.evaluate(this, inputs);
+      return { node: fb, value: newValue };
+    });
+    const sequential = this.#findSequentialNodes();
+    sequential.forEach((node) => node.sample(this, inputs));
+
+    // Phase 2: Apply all updates simultaneously
+    feedbackUpdates.forEach((update) => {
+      if (update && !isDelayed(update.node.delay)) {
+        update.node.currentValue = update.value;
+      } else if (update) {
+        update.node.scheduleUpdate(this, update.value);
+      }
+    });
+    sequential.forEach((node) => node.commit(this));
+  }
+
+  // Flip-flops and memories are found rather than registered like
+  // FeedbackNodes, and found again whenever the roots, the FeedbackNodes or
+  // what those read change, so that ones wired in later (e.g. through a
+  // FeedbackNode's inputNode) are clocked too
+  #findSequentialNodes() {
+    const structure = [
+      ...this.rootNodes,
+      ...this.feedbackNodes,
+      ...this.feedbackNodes.map((fb) => fb.inputNode),
+    ];
+    if (
+      this.#sequentialNodes === null ||
+      !arraysEqual(this.#sequentialNodesFor, structure)
+    ) {
+      this.#sequentialNodes = collectNodes(
+        [...this.rootNodes, ...this.feedbackNodes],
+        { throughFeedback: true },
+      ).filter((node) => node instanceof SequentialNode);
+      this.#sequentialNodesFor = structure;
+    }
+    return this.#sequentialNodes;
+  }
+
+  /**
+   * Runs the circuit for `ticks` ticks and records what every input, clock
+   * and output did.
+   *
+   * `stimulus` sets the inputs, as one of:
+   * - a function of the tick (counted from the start of the run) that
+   *   returns the inputs,
+   * - a list of timed changes, e.g. [{ tick: 0, inputs: { EN: 1 } }, { tick: 6, inputs: { EN: 0 } }],
+   * - a repeating pattern, e.g. { repeat: [[0, 1], [1, 1]], hold: 2 }, where
+   *   each entry applies for `hold` ticks (default 1).
+   * Inputs are a full array or an object keyed by input name or index.
+   * Inputs left out keep their previous value, starting from 0.
+   *
+   * `clock` drives the setClock() clock on every tick: either a function of
+   * the tick returning the level, or { period, dutyCycle, phase } as for
+   * addClock(). Named clocks keep running on their own. Signals are traced
+   * under their own names (see traceSignalNames in trace.js), so the
+   * setClock() clock goes by the name of its ClockNodes.
+   * @returns {Trace}
+   */
+  run({ ticks, stimulus = null, clock = null } = {}) {
+    if (!Number.isInteger(ticks) || ticks < 0) {
+      throw new Error(`run() needs a whole number of ticks, got ${ticks}.`);
+    }
+    const stimulusAt = this.#stimulusSource(stimulus);
+    const clockAt =
+      typeof clock === "function" || clock === null
+        ? clock
+        : (tick) => clockLevelAt(this.#clockWaveform("CLK", clock), tick);
+
+    const { inputNames, clockNames, domainNames, outputNames } =
+      traceSignalNames(this, { clock: clockAt !== null });
+    const trace = new Trace({
+      inputNames,
+      outputNames,
+      startTick: this.totalTicks,
+    });
+
+    let inputs = new Array(this.inputLength).fill(0);
+    for (let tick = 0; tick < ticks; tick++) {
+      for (const applied of stimulusAt(tick)) {
+        inputs = this.#applyInputs(inputs, applied, inputNames);
+      }
+      if (clockAt) this.setClock(clockAt(tick));
+      const outputs = this.tick(inputs);
+
+      const values = {};
+      inputNames.forEach((name, i) => (values[name] = inputs[i]));
+      clockNames.forEach((name) => (values[name] = this.clock));
+      domainNames.forEach((name) => (values[name] = this.clocks[name].level));
+      outputNames.forEach((name, i) => (values[name] = outputs[i]));
+      trace.record(values);
+    }
+    return trace;
+  }
+
+  // Normalizes the stimulus forms of run() to: tick -> input changes to apply
+  #stimulusSource(stimulus) {
+    if (stimulus === null) return () => [];
+    if (typeof stimulus === "function") return (tick) => [stimulus(tick)];
+    if (Array.isArray(stimulus)) {
+      const changes = [...stimulus].sort((a, b) => a.tick - b.tick);
+      return (tick) =>
+        changes.filter((change) => change.tick === tick).map((c) => c.inputs);
+    }
+    if (Array.isArray(stimulus.repeat) && stimulus.repeat.length > 0) {
+      const hold = stimulus.hold ?? 1;
+      return (tick) => [
+        stimulus.repeat[Math.floor(tick / hold) % stimulus.repeat.length],
+      ];
+    }
+    throw new Error(
+      "run() stimulus must be a function, a list of timed changes or { repeat: [...] }.",
+    );
+  }
+
+  #applyInputs(inputs, applied, inputNames) {
+    if (Array.isArray(applied)) return [...applied];
+    const next = [...inputs];
+    for (const [key, value] of Object.entries(applied ?? {})) {
+      const index = /^\d+$/.test(key) ? Number(key) : inputNames.indexOf(key);
+      if (index < 0 || index >= next.length) {
+        throw new Error(`Circuit "${this.name}" has no input "${key}".`);
+      }
+      next[index] = value;
+    }
+    return next;
+  }
+
+  /**
+   * Lists the loops in this circuit (and its sub-circuits) that do not pass
+   * through a FeedbackNode. See findCombinationalLoops in diagnostics.js.
+   */
+  findCombinationalLoops() {
+    return findCombinationalLoops(this);
+  }
+
+  /**
+   * Simulates a fresh copy with fixed inputs until its state repeats, and
+   * reports whether it settles or oscillates and on which loop. See
+   * diagnoseOscillation in diagnostics.js for the options and result.
+   */
+  diagnoseOscillation(inputs = [], options = {}) {
+    return diagnoseOscillation(this, inputs, options);
+  }
+
+  /**
+   * Static timing analysis: arrival times, the critical path and its slack
+   * against `clockPeriod`, computed from the gate and feedback delays
+   * without simulating. See analyzeTiming in timing-analysis.js.
+   */
+  analyzeTiming(options = {}) {
+    return analyzeTiming(this, options);
+  }
+
+  /**
+   * The same circuit built only from NAND or only from NOR gates, checked
+   * against this one. See mapToUniversalGates in tech-mapping.js for the
+   * options.
+   */
+  mapToUniversalGates(gateType = "NAND", options = {}) {
+    return mapToUniversalGates(this, gateType, options);
+  }
+
+  /**
+   * Proves or disproves that `other` computes the same outputs as this
+   * circuit for every input combination, and gives a counterexample when it
+   * does not. See checkEquivalence in equivalence.js for the options and
+   * result.
+   */
+  isEquivalent(other, options = {}) {
+    return checkEquivalence(this, other, options);
+  }
+
+  /**
+   * The outputs as BDDs, with input i as variable i. The initial order
+   * follows a depth-first walk from the outputs; `reorder` improves it by
+   * sifting. bddToCircuit() in bdd.js turns the result back into a Circuit.
+   * Only 1-bit combinational logic is supported.
+   * @param {Object} [options]
+   * @param {number[]} [options.order] Initial variable order, top first.
+   * @param {boolean} [options.reorder]
+   * @returns {{ bdd: BDD, outputs: number[] }}
+   */
+  toBdd({ order = circuitInputOrder(this), reorder = false } = {}) {
+    const bdd = new BDD(this.inputLength, { order });
+    const outputs = circuitBdds(this, bdd);
+    if (reorder) bdd.reorder(outputs);
+    return { bdd, outputs };
+  }
+
+  /**
+   * The truth table read off the outputs' BDDs instead of enumerated, with
+   * "-" for inputs a row does not depend on. Takes the options of toBdd().
+   * See symbolicTruthTable in bdd.js.
+   */
+  symbolicTruthTable(options = {}) {
+    const { bdd, outputs } = this.toBdd(options);
+    return symbolicTruthTable(bdd, outputs);
+  }
+
+  /**
+   * Input values that drive outputs to `targets`, found with a SAT solver
+   * rather than by enumerating the truth table. FeedbackNode state can be
+   * fixed by name or left for the solver to choose. See findInputs in
+   * sat.js for the options and result.
+   */
+  findInputs(targets, options = {}) {
+    return findInputs(this, targets, options);
+  }
+
+  /**
+   * Every solution of findInputs(), up to `options.limit`. See findAllInputs
+   * in sat.js.
+   */
+  findAllInputs(targets, options = {}) {
+    return findAllInputs(this, targets, options);
+  }
+
+  /**
+   * Adds a property that must hold after every tick, as a boolean expression
+   * over the names of inputs, outputs, FeedbackNodes and the clock, e.g.
+   * "!(G0 & G1)". NAME_prev reads a signal one tick earlier. See
+   * createAssertion in bmc.js.
+   */
+  addAssertion(name, expression) {
+    this.assertions.push(createAssertion(this, name, expression));
+  }
+
+  /**
+   * Searches every stimulus up to `options.depth` ticks long for one that
+   * breaks an assertion, and returns it as a Trace. See checkAssertions in
+   * bmc.js.
+   */
+  checkAssertions(options = {}) {
+    return checkAssertions(this, options);
+  }
+
+  // Such a loop would otherwise end in a stack overflow inside evaluate()
+  #assertNoCombinationalLoops() {
+    if (this.#isKnownLoopFree()) return;
+    const [loop] = findCombinationalLoops(this);
+    if (loop) {
+      throw new Error(
+        `Circuit "${loop.circuit}" has a combinational loop that does not pass through a FeedbackNode: ${[...loop.nodes, loop.nodes[0]].join(" -> ")}`,
+      );
+    }
+    this.#loopFreeRoots = [...this.rootNodes, ...this.feedbackNodes];
+  }
+
+  #isKnownLoopFree() {
+    return (
+      this.#loopFreeRoots !== null &&
+      arraysEqual(this.#loopFreeRoots, [
+        ...this.rootNodes,
+        ...this.feedbackNodes,
+      ])
+    );
+  }
+
   evaluateUntilStable(inputs = [], maxOuter = 100) {
     let old = null;
     for (let i = 0; i < maxOuter; i++) {
@@ -288,6 +772,17 @@ export class Circuit {
       old = out;
     }
     return old;
+  }
+
+  /**
+   * Levelizes the node graph once and returns a CompiledCircuit whose
+   * tick()/evaluate() give the same outputs as this circuit's, starting from
+   * the initial state, without re-walking shared subgraphs. The compiled
+   * copy keeps its own state and records no history.
+   * @returns {CompiledCircuit}
+   */
+  compile() {
+    return new CompiledCircuit(this);
   } // ----------------------------------------------------- // 4.4) Cloning // -----------------------------------------------------
 
   #cloneNode(node, nodeMap, preserveState = false) {
@@ -295,13 +790,24 @@ export class Circuit {
 
     let copy;
     if (node instanceof LiteralNode) {
-      copy = new LiteralNode(node.value, node.name);
+      copy = new LiteralNode(node.value, node.name, node.width);
     } else if (node instanceof InputNode) {
-      copy = new InputNode(node.index, node.name);
+      copy = new InputNode(node.index, node.name, node.width);
     } else if (node instanceof ClockNode) {
-      copy = new ClockNode(node.name);
+      copy = new ClockNode(node.name, node.domain);
     } else if (node instanceof GateNode) {
-      copy = new GateNode(node.gateType, [], node.delay, node.name);
+      copy =
+        node instanceof LutNode
+          ? new LutNode(
+              [],
+              { truthTable: node.truthTable },
+              node.delay,
+              node.name,
+            )
+          : new GateNode(node.gateType, [], node.delay, node.name);
+      copy.width = node.width;
+      copy.delayModel = node.delayModel;
+      copy.rejectThreshold = node.rejectThreshold;
       nodeMap.set(node, copy);
       copy.inputNodes = node.inputNodes.map((c) =>
         this.#cloneNode(c, nodeMap, preserveState),
@@ -319,7 +825,15 @@ export class Circuit {
         ? node.currentValue
         : node.initialValue;
 
-      copy = new FeedbackNode(null, feedbackValue, node.delay, node.name);
+      copy = new FeedbackNode(
+        null,
+        feedbackValue,
+        node.delay,
+        node.name,
+        node.width,
+      );
+      copy.delayModel = node.delayModel;
+      copy.rejectThreshold = node.rejectThreshold;
       nodeMap.set(node, copy);
       copy.inputNode = this.#cloneNode(node.inputNode, nodeMap, preserveState);
 
@@ -330,6 +844,76 @@ export class Circuit {
       }
 
       return copy;
+    } else if (node instanceof RomNode) {
+      const options = {
+        addressWidth: node.addressWidth,
+        dataWidth: node.dataWidth,
+        contents: preserveState ? node.contents : node.initialContents,
+        syncRead: node.syncRead,
+      };
+      copy =
+        node instanceof RamNode
+          ? new RamNode(null, null, null, options, node.name)
+          : new RomNode(null, options, node.name);
+      copy.initialContents = node.initialContents;
+      if (preserveState) {
+        copy.readData = node.readData;
+        copy.prevClockLevel = node.prevClockLevel;
+      }
+      nodeMap.set(node, copy);
+      const cloneInput = (input) =>
+        input && this.#cloneNode(input, nodeMap, preserveState);
+      copy.addressNode = cloneInput(node.addressNode);
+      copy.clockNode = cloneInput(node.clockNode);
+      if (node instanceof RamNode) {
+        copy.dataNode = cloneInput(node.dataNode);
+        copy.writeEnableNode = cloneInput(node.writeEnableNode);
+      }
+    } else if (node instanceof FlipFlopNode) {
+      const options = {
+        initialValue: node.initialValue,
+        delay: node.delay,
+      };
+      copy =
+        node instanceof LatchNode
+          ? new LatchNode(
+              node.type,
+              [],
+              { ...options, level: node.level },
+              node.name,
+            )
+          : new FlipFlopNode(
+              node.type,
+              [],
+              { ...options, edge: node.edge },
+              node.name,
+            );
+      copy.delayModel = node.delayModel;
+      copy.rejectThreshold = node.rejectThreshold;
+      if (preserveState) {
+        copy.currentValue = node.currentValue;
+        copy.prevClockLevel = node.prevClockLevel;
+      }
+      nodeMap.set(node, copy);
+      const cloneInput = (input) =>
+        input && this.#cloneNode(input, nodeMap, preserveState);
+      copy.dataNodes = node.dataNodes.map(cloneInput);
+      copy.clockNode = cloneInput(node.clockNode);
+      copy.enableNode = cloneInput(node.enableNode);
+      copy.setNode = cloneInput(node.setNode);
+      copy.resetNode = cloneInput(node.resetNode);
+    } else if (node instanceof SliceNode) {
+      copy = new SliceNode(
+        this.#cloneNode(node.inputNode, nodeMap, preserveState),
+        node.lsb,
+        node.width,
+        node.name,
+      );
+    } else if (node instanceof ConcatNode) {
+      copy = new ConcatNode(
+        node.inputNodes.map((c) => this.#cloneNode(c, nodeMap, preserveState)),
+        node.name,
+      );
     } else if (node instanceof CompositeNode) {
       const clonedInputs = node.inputNodes.map((c) =>
         this.#cloneNode(c, nodeMap, preserveState),
@@ -359,22 +943,35 @@ export class Circuit {
     const roots = this.rootNodes.map((n) =>
       this.#cloneNode(n, nodeMap, preserveState),
     );
-    const c = new Circuit(this.name, roots);
+    const c = new Circuit(this.name, roots, {
+      inputs: this.declaredInputs.map((n) =>
+        this.#cloneNode(n, nodeMap, preserveState),
+      ),
+    });
     c.clock = this.clock;
     c.prevClock = this.prevClock;
     c.gateRegistry = { ...this.gateRegistry };
+    c.logicMode = this.logicMode;
+    c.unknownInitialState = this.unknownInitialState;
+    c.timingCorner = this.timingCorner;
     c.feedbackNodes = this.feedbackNodes.map((n) =>
       this.#cloneNode(n, nodeMap, preserveState),
     );
+    c.assertions = [...this.assertions];
+    if (this.#isKnownLoopFree()) {
+      c.#loopFreeRoots = [...c.rootNodes, ...c.feedbackNodes];
+    }
 
     // When preserving state, also copy scheduler and history
     if (preserveState) {
       // Deep clone scheduler events
       c.scheduler = new Scheduler();
       this.scheduler.events.forEach((event) => {
+        if (event.clock) return; // re-armed below
         c.scheduler.scheduleEvent(
-          event.tick,
+          event.targetTick,
           event.callback, // Note: callback references old nodes
+          event.description,
         );
       });
       c.totalTicks = this.totalTicks;
@@ -385,6 +982,26 @@ export class Circuit {
       c.scheduler = new Scheduler();
       c.history = [];
       c.totalTicks = 0;
+      if (c.unknownInitialState) c.#resetState();
+    }
+
+    // Clock edges are re-armed on the copy rather than copied
+    for (const clock of Object.values(this.clocks)) {
+      const copy = { ...clock };
+      c.clocks[clock.name] = copy;
+      if (preserveState) {
+        const pending = this.scheduler.events.find(
+          (event) => event.clock === clock.name,
+        );
+        // With its edge cleared from the queue, the clock picks up again
+        // from the next tick
+        c.#scheduleClockEdge(
+          copy,
+          pending ? pending.targetTick - 1 : c.totalTicks - 1,
+        );
+      } else {
+        c.#restartClock(copy);
+      }
     }
 
     return c;
@@ -394,9 +1011,23 @@ export class Circuit {
     const lines = [];
     const context = createDefaultContext();
 
-    // First, handle the definitions of any feedback nodes to populate the cache.
+    // Feedback nodes and flip-flops are defined on lines of their own and
+    // referred to by name everywhere else, even inside each other's
+    // definitions
+    const flipFlops = collectNodes([...this.rootNodes, ...this.feedbackNodes], {
+      throughFeedback: true,
+    }).filter((node) => node instanceof FlipFlopNode);
+    [...this.feedbackNodes, ...flipFlops].forEach((node) => {
+      context.nodeStringCache.set(node, node.name);
+    });
     this.feedbackNodes.forEach((fb) => {
-      lines.push(fb.toString(context));
+      const expr = fb.inputNode ? fb.inputNode.toString(context) : "null";
+      lines.push(`${fb.name} = ${expr}`);
+    });
+    flipFlops.forEach((node) => {
+      // FlipFlopNode.toString() prints the definition when not cached yet
+      context.nodeStringCache.delete(node);
+      lines.push(node.toString(context));
     });
 
     // Now, process the main output root nodes.
@@ -415,11 +1046,58 @@ export class Circuit {
       .map((bit) => +bit);
   }
 
-  generateTruthTable(clockLevel = null) {
+  /**
+   * Evaluates many input vectors in one call. Each vector is simulated as a
+   * single tick from the initial state, exactly like one truth-table row.
+   * Single-bit, two-valued circuits are compiled and evaluated bit-parallel,
+   * 32 vectors per machine word; anything else falls back to one fresh
+   * clone per vector.
+   * @param {number[][]} vectors
+   * @param {0|1|null} clockLevel Optional clock level for every vector.
+   * @returns {Array<Array<number|string>>} One output array per vector.
+   */
+  evaluateMany(vectors, clockLevel = null) {
+    let compiled = null;
+    try {
+      compiled = this.compile();
+    } catch (error) {
+      // Not compilable (e.g. four-valued logic): use the plain simulator
+      if (!isUnsupportedByCompile(error)) throw error;
+    }
+    if (compiled?.supportsBitParallel) {
+      return compiled.evaluateBatch(vectors, clockLevel);
+    }
+
+    // Checked once here, the row clones need no loop check of their own
+    this.#assertNoCombinationalLoops();
+    return vectors.map((inputs) => {
+      const testCircuit = this.clone(false);
+      if (clockLevel === 0 || clockLevel === 1) {
+        testCircuit.setClock(clockLevel);
+      }
+      return testCircuit.evaluate(inputs);
+    });
+  }
+
+  /**
+   * Builds the full truth table, one fresh single-tick evaluation per input
+   * combination. With `bitParallel`, rows are computed through
+   * evaluateMany() instead of cloning the circuit for each row.
+   */
+  generateTruthTable(clockLevel = null, { bitParallel = false } = {}) {
     const truthTable = [];
     const n = this.inputLength;
     const combinations = 1 << n;
 
+    if (bitParallel) {
+      const rows = Array.from({ length: combinations }, (_, i) =>
+        this.#numToBitArray(i, n),
+      );
+      const outputs = this.evaluateMany(rows, clockLevel);
+      return rows.map((inputs, i) => ({ inputs, outputs: outputs[i] }));
+    }
+
+    this.#assertNoCombinationalLoops();
     for (let i = 0; i < combinations; i++) {
       const inputs = this.#numToBitArray(i, n);
 
@@ -480,7 +1158,7 @@ export class Circuit {
     return a.map((bit, i) => (bit === b[i] ? bit : hole));
   }
 
-  #combineBitDifferences(groupsByOnes) {
+  #combineBitDifferences(groupsByOnes, merged = new Set()) {
     const combined = [];
 
     for (let i = 0; i < groupsByOnes.length - 1; i++) {
@@ -493,6 +1171,8 @@ export class Circuit {
         for (const term2 of next) {
           if (this.#computeHammingDistance(term1, term2) === 1) {
             combined.push(this.#combineTerms(term1, term2));
+            merged.add(term1);
+            merged.add(term2);
           }
         }
       }
@@ -502,17 +1182,20 @@ export class Circuit {
   }
 
   #findPrimeImplicants(minTerms) {
+    const primes = [];
     let implicants = minTerms;
 
-    while (true) {
+    while (implicants.length > 0) {
       // 1) bucket by count of 1s (ignoring “–”)
       const groups = this.#groupByOnes(implicants); // 2) merge every pair differing by exactly one bit
-      const combined = this.#combineBitDifferences(groups); // 3) if nothing new could be merged, we’re done
-      if (combined.length === 0) {
-        return implicants;
-      } // 4) otherwise, repeat on the newly formed terms
-      implicants = combined;
+      const merged = new Set();
+      const combined = this.#combineBitDifferences(groups, merged); // 3) terms that merged with nothing are prime
+      primes.push(...implicants.filter((term) => !merged.has(term))); // 4) repeat on the newly formed terms, each kept once
+      implicants = [
+        ...new Map(combined.map((term) => [term.join(""), term])).values(),
+      ];
     }
+    return primes;
   }
 
   #findCoverValues(prime) {
@@ -695,52 +1378,263 @@ export class Circuit {
     return finalPrimes;
   }
 
+  // `inverted` (input index -> NOT gate) lets product terms share inverters
+  #buildProductTerm(prime, inputNodes, inverted = new Map()) {
+    const inputsForAnd = [];
+    prime.forEach((bit, j) => {
+      if (bit === 0) {
+        if (!inverted.has(j)) {
+          inverted.set(j, new GateNode("NOT", [inputNodes[j]]));
+        }
+        inputsForAnd.push(inverted.get(j));
+      } else if (bit === 1) inputsForAnd.push(inputNodes[j]);
+    });
+    if (inputsForAnd.length === 1) return inputsForAnd[0];
+    return new GateNode("AND", inputsForAnd);
+  }
+
+  #buildSumOfProducts(primes, inputNodes) {
+    const andGates = primes.map((prime) =>
+      this.#buildProductTerm(prime, inputNodes),
+    );
+    return andGates.length === 1 ? andGates[0] : new GateNode("OR", andGates);
+  }
+
+  #termCovers(term, minterm) {
+    return term.every((bit, i) => bit === "-" || bit === minterm[i]);
+  }
+
+  /**
+   * Adds consensus terms to a minimal cover until every pair of adjacent
+   * minterms (one input apart) shares a product term, which makes the
+   * two-level AND-OR form free of static-1 hazards for single input changes.
+   * @returns {Array} The prime implicants that had to be added.
+   */
+  #addConsensusTerms(cover, minterms, primes) {
+    const onSet = new Set(minterms.map((m) => m.join("")));
+    const pairs = [];
+    for (const minterm of minterms) {
+      minterm.forEach((bit, i) => {
+        if (bit !== 0) return;
+        const neighbour = [...minterm];
+        neighbour[i] = 1;
+        if (onSet.has(neighbour.join(""))) pairs.push([minterm, neighbour]);
+      });
+    }
+
+    const coveredBy = (term, [a, b]) =>
+      this.#termCovers(term, a) && this.#termCovers(term, b);
+    let uncovered = pairs.filter(
+      (pair) => !cover.some((term) => coveredBy(term, pair)),
+    );
+
+    const added = [];
+    while (uncovered.length > 0) {
+      // Greedily take the prime that bridges the most remaining pairs
+      let best = null;
+      let bestCount = 0;
+      for (const prime of primes) {
+        const count = uncovered.filter((pair) => coveredBy(prime, pair)).length;
+        if (count > bestCount) {
+          best = prime;
+          bestCount = count;
+        }
+      }
+      added.push(best);
+      uncovered = uncovered.filter((pair) => !coveredBy(best, pair));
+    }
+    return added;
+  }
+
+  /**
+   * Finds the logic hazards of every output for single input changes,
+   * assuming arbitrary gate and wire delays: static-1 (the output should stay
+   * 1 but can glitch to 0), static-0, and dynamic (the output should change
+   * once but can change three or more times). Each hazard names the input
+   * that rises from `from` to `to`; the falling transition back is affected
+   * as well. Only for 1-bit combinational circuits.
+   *
+   * With `hazardFreeCover`, also returns a two-level AND-OR circuit per
+   * output built from a minimal cover plus the consensus terms it needs to
+   * be hazard-free, and lists those consensus terms.
+   * @returns {{ hazards: Array<{ type: string, output: string,
+   *   outputIndex: number, input: string, inputIndex: number,
+   *   from: number[], to: number[] }>, hazardFree: boolean,
+   *   cover?: Circuit, consensusTerms?: Array<{ output: string, term: string }> }}
+   */
+  analyzeHazards({ hazardFreeCover = false } = {}) {
+    if (this.feedbackNodes.length > 0) {
+      throw new Error(
+        `analyzeHazards() only supports combinational circuits; "${this.name}" has feedback.`,
+      );
+    }
+    const widths = [...this.getInputWidths(), ...this.getOutputWidths()];
+    if (widths.some((width) => width > 1)) {
+      throw new Error(
+        "analyzeHazards() only supports 1-bit inputs and outputs.",
+      );
+    }
+
+    const n = this.inputLength;
+    const inputNames = this.getInputNames();
+    const outputNames = this.rootNodes.map((node, i) => node.name ?? `OUT${i}`);
+
+    const hazards = [];
+    for (let inputIndex = 0; inputIndex < n; inputIndex++) {
+      for (let row = 0; row < 1 << n; row++) {
+        const from = this.#numToBitArray(row, n);
+        if (from[inputIndex] === 1) continue;
+        const to = [...from];
+        to[inputIndex] = 1;
+
+        transitionWaveforms(this, from, to).forEach((waveform, outputIndex) => {
+          const type = hazardType(waveform);
+          if (!type) return;
+          hazards.push({
+            type,
+            output: outputNames[outputIndex],
+            outputIndex,
+            input: inputNames[inputIndex],
+            inputIndex,
+            from,
+            to,
+          });
+        });
+      }
+    }
+
+    const report = { hazards, hazardFree: hazards.length === 0 };
+    if (!hazardFreeCover) return report;
+
+    const truthTable = this.generateTruthTable(null, { bitParallel: true });
+    const inputNodes = inputNames.map((name, i) => new InputNode(i, name));
+    const coverNodes = [];
+    report.consensusTerms = [];
+
+    for (let i = 0; i < this.outputLength; i++) {
+      const minterms = this.#generateMinterms(truthTable, i);
+      if (minterms.length === 0 || minterms.length === 1 << n) {
+        coverNodes.push(new LiteralNode(minterms.length === 0 ? 0 : 1));
+        continue;
+      }
+
+      const primes = this.#findPrimeImplicants(minterms);
+      const cover = this.#petrickMethod(minterms, primes);
+      const consensus = this.#addConsensusTerms(cover, minterms, primes);
+      for (const term of consensus) {
+        report.consensusTerms.push({
+          output: outputNames[i],
+          term: this.#buildProductTerm(term, inputNodes).toString(),
+        });
+      }
+      coverNodes.push(
+        this.#buildSumOfProducts([...cover, ...consensus], inputNodes),
+      );
+    }
+
+    report.cover = new Circuit(`${this.name}_hazard_free`, coverNodes);
+    return report;
+  }
+
   /**
    * Simplifies the logic for EACH output of the circuit using the Quine-McCluskey algorithm.
-   * Note: This only works for combinational logic.
+   * Note: This only works for combinational logic, unless `sequential` is set.
+   *
+   * @param {Object} [options]
+   * @param {Array<number> | Array<Array<number>>} [options.dontCares]
+   *   Truth table rows (numbered like generateTruthTable()) whose output does
+   *   not matter: one list for every output, or a list per output.
+   * @param {boolean} [options.multiOutput] Minimize all outputs together so
+   *   that they share product terms, which usually needs fewer AND gates. The
+   *   shared cover is chosen greedily rather than exactly. Needs the exact
+   *   method.
+   * @param {"auto" | "exact" | "espresso"} [options.method] "exact" runs
+   *   Quine-McCluskey and Petrick's method over the full truth table, which
+   *   is only practical up to about 10 inputs. "espresso" minimizes
+   *   heuristically from cube covers built from the gates, for wide control
+   *   logic; its covers are prime and irredundant but may not be minimal.
+   *   "auto" (the default) picks "exact" up to 10 inputs.
+   * @param {boolean} [options.sequential] Also simplify the next-state logic
+   *   of every FeedbackNode and the inputs of every flip-flop. Each feedback
+   *   value, then each flip-flop output (and each clock) is treated as an
+   *   extra input after the real ones, and the next-state functions, then
+   *   the flip-flop inputs (data, clock, enable, set, reset) as extra outputs
+   *   after the real ones; don't-care rows and lists are numbered over
+   *   those. The result keeps the feedback nodes and flip-flops, with their
+   *   names, initial values and delays, so it behaves the same tick by tick.
    * @returns {Circuit} A new, fully simplified Circuit instance with the same number of outputs.
    */
-  simplify() {
+  simplify({
+    dontCares = null,
+    multiOutput = false,
+    method = "auto",
+    sequential = false,
+  } = {}) {
+    if (!SIMPLIFY_METHODS.includes(method)) {
+      throw new Error(
+        `Unknown simplify() method "${method}". Use ${SIMPLIFY_METHODS.join(", ")}.`,
+      );
+    }
+    if (sequential) {
+      return this.#simplifySequential({ dontCares, multiOutput, method });
+    }
+    const dontCareRows = this.#dontCareRows(dontCares);
+    const inputNodes = this.getInputNames().map(
+      (name, i) => new InputNode(i, name),
+    );
+    const buildSum = this.#sharedSumBuilder(inputNodes);
+    if (
+      method === "espresso" ||
+      (method === "auto" && this.inputLength > EXACT_SIMPLIFY_MAX_INPUTS)
+    ) {
+      if (multiOutput) {
+        throw new Error(
+          method === "espresso"
+            ? 'simplify({ multiOutput: true }) needs method "exact", not "espresso".'
+            : `simplify({ multiOutput: true }) needs method "exact", which "auto" only picks up to ${EXACT_SIMPLIFY_MAX_INPUTS} inputs; "${this.name}" has ${this.inputLength}.`,
+        );
+      }
+      return this.#simplifyHeuristic(dontCareRows, buildSum);
+    }
+
     const simplifiedNodes = [];
+    const truthTable = this.generateTruthTable(null, { bitParallel: true });
+    const shared = [];
 
     // Loop through each output of the original circuit.
     for (let i = 0; i < this.outputLength; i++) {
-      const truthTable = this.generateTruthTable();
-      const minterms = this.#generateMinterms(truthTable, i);
+      const minterms = [];
+      const optional = [];
+      truthTable.forEach((row, r) => {
+        if (dontCareRows[i].has(r)) optional.push(row.inputs);
+        else if (row.outputs[i] === 1) minterms.push(row.inputs);
+      });
 
       // Handle cases where the output is always 0 or always 1.
       if (minterms.length === 0) {
         simplifiedNodes.push(new LiteralNode(0));
         continue;
       }
-      const combinations = 1 << this.inputLength;
-      if (minterms.length === combinations) {
+      if (minterms.length + optional.length === truthTable.length) {
         simplifiedNodes.push(new LiteralNode(1));
         continue;
       }
 
-      const primes = this.#findPrimeImplicants(minterms);
+      if (multiOutput) {
+        shared.push({ output: i, minterms, optional });
+        simplifiedNodes.push(null);
+        continue;
+      }
+      const primes = this.#findPrimeImplicants([...minterms, ...optional]);
       const bestPrimes = this.#petrickMethod(minterms, primes);
+      simplifiedNodes.push(this.#buildSumOfProducts(bestPrimes, inputNodes));
+    }
 
-      const inputNodes = Array.from(
-        { length: this.inputLength },
-        (_, i) => new InputNode(i),
-      );
-
-      const andGates = bestPrimes.map((prime) => {
-        const inputsForAnd = [];
-        prime.forEach((bit, j) => {
-          if (bit === 0)
-            inputsForAnd.push(new GateNode("NOT", [inputNodes[j]]));
-          else if (bit === 1) inputsForAnd.push(inputNodes[j]);
-        });
-        if (inputsForAnd.length === 1) return inputsForAnd[0];
-        return new GateNode("AND", inputsForAnd);
+    if (shared.length > 0) {
+      const covers = this.#findSharedCover(shared);
+      shared.forEach(({ output }, k) => {
+        simplifiedNodes[output] = buildSum(covers[k]);
       });
-
-      const simplifiedNode =
-        andGates.length === 1 ? andGates[0] : new GateNode("OR", andGates);
-      simplifiedNodes.push(simplifiedNode);
     }
 
     // Create the new circuit with all the simplified output nodes.
@@ -748,10 +1642,321 @@ export class Circuit {
       `${this.name}_simplified`,
       simplifiedNodes,
     );
-    simplifiedCircuit.registerGate("AND", STANDARD_GATES.AND);
-    simplifiedCircuit.registerGate("OR", STANDARD_GATES.OR);
-    simplifiedCircuit.registerGate("NOT", STANDARD_GATES.NOT);
 
     return simplifiedCircuit;
   }
+
+  #simplifyHeuristic(dontCareRows, buildSum) {
+    const n = this.inputLength;
+    const simplifiedNodes = circuitCovers(this).map((onSet, i) => {
+      const dcSet = [...dontCareRows[i]].map((row) => rowCube(row, n));
+      const cover = espresso(onSet, dcSet);
+      if (cover.length === 0) return new LiteralNode(0);
+      if (cover.some((cube) => cube.mask === 0)) return new LiteralNode(1);
+
+      // Cubes hold input i in bit i; product terms list the inputs in order
+      const primes = cover.map((cube) =>
+        Array.from({ length: n }, (_, j) =>
+          (cube.mask >> j) & 1 ? (cube.value >> j) & 1 : "-",
+        ),
+      );
+      return buildSum(primes);
+    });
+    return new Circuit(`${this.name}_simplified`, simplifiedNodes);
+  }
+
+  #simplifySequential(options) {
+    const n = this.inputLength;
+    const nodes = collectNodes([...this.rootNodes, ...this.feedbackNodes], {
+      throughFeedback: true,
+    });
+    const unsupported = nodes.find(
+      (node) =>
+        node instanceof SequentialNode && !(node instanceof FlipFlopNode),
+    );
+    if (unsupported) {
+      throw new Error(
+        `simplify({ sequential: true }) only handles FeedbackNode and flip-flop state, not ${unsupported.constructor.name} "${unsupported.name}".`,
+      );
+    }
+
+    // Feedback values, flip-flops and clocks read as extra inputs after the
+    // real ones
+    const flipFlops = nodes.filter((node) => node instanceof FlipFlopNode);
+    const stateNodes = [
+      ...new Set([
+        ...this.feedbackNodes,
+        ...nodes.filter((node) => node instanceof FeedbackNode),
+      ]),
+      ...flipFlops,
+      ...nodes.filter((node) => node instanceof ClockNode),
+    ];
+    const nodeMap = new Map(
+      stateNodes.map((node, k) => [node, new InputNode(n + k, node.name)]),
+    );
+    const feedbackNodes = stateNodes.filter(
+      (node) => node instanceof FeedbackNode,
+    );
+    const nextState = feedbackNodes.map((fb) => fb.inputNode ?? fb);
+    // Each flip-flop input is an extra output after the next states
+    const pins = flipFlops.flatMap((node) => [
+      ...node.dataNodes.map((input, i) => ({ node, i, input })),
+      ...["clockNode", "enableNode", "setNode", "resetNode"]
+        .filter((key) => node[key])
+        .map((key) => ({ node, key, input: node[key] })),
+    ]);
+    const view = new Circuit(
+      `${this.name}_next_state`,
+      [...this.rootNodes, ...nextState, ...pins.map((pin) => pin.input)].map(
+        (node) => this.#cloneNode(node, nodeMap),
+      ),
+    );
+    view.gateRegistry = { ...this.gateRegistry };
+    view.logicMode = this.logicMode;
+    const simplified = view.simplify(options);
+
+    // Put the state back in place of the extra inputs
+    const replacements = stateNodes.map((node) => {
+      if (node instanceof ClockNode)
+        return new ClockNode(node.name, node.domain);
+      const options = { initialValue: node.initialValue, delay: node.delay };
+      let copy;
+      if (node instanceof LatchNode) {
+        copy = new LatchNode(
+          node.type,
+          [],
+          { ...options, level: node.level },
+          node.name,
+        );
+      } else if (node instanceof FlipFlopNode) {
+        copy = new FlipFlopNode(
+          node.type,
+          [],
+          { ...options, edge: node.edge },
+          node.name,
+        );
+      } else {
+        copy = new FeedbackNode(
+          null,
+          node.initialValue,
+          node.delay,
+          node.name,
+          node.width,
+        );
+      }
+      copy.delayModel = node.delayModel;
+      copy.rejectThreshold = node.rejectThreshold;
+      return copy;
+    });
+    const visited = new Set();
+    const restore = (node) => {
+      if (node instanceof InputNode && node.index >= n) {
+        return replacements[node.index - n];
+      }
+      if (node instanceof GateNode && !visited.has(node)) {
+        visited.add(node);
+        node.inputNodes = node.inputNodes.map(restore);
+      }
+      return node;
+    };
+    const roots = simplified.rootNodes.map(restore);
+    feedbackNodes.forEach((fb, k) => {
+      replacements[k].inputNode = roots[this.outputLength + k];
+    });
+    const pinRoots = roots.slice(this.outputLength + feedbackNodes.length);
+    pins.forEach(({ node, i, key }, k) => {
+      const copy = replacements[stateNodes.indexOf(node)];
+      if (key) copy[key] = pinRoots[k];
+      else copy.dataNodes[i] = pinRoots[k];
+    });
+
+    const result = new Circuit(
+      `${this.name}_simplified`,
+      roots.slice(0, this.outputLength),
+    );
+    this.feedbackNodes.forEach((fb) => {
+      result.registerFeedbackNode(replacements[stateNodes.indexOf(fb)]);
+    });
+    for (const { name, period, dutyCycle, phase } of Object.values(
+      this.clocks,
+    )) {
+      result.addClock(name, { period, dutyCycle, phase });
+    }
+    return result;
+  }
+
+  /**
+   * Returns a function that builds a sum of products from prime implicants.
+   * Equal product terms become one AND gate feeding several outputs, and
+   * each input is inverted at most once.
+   */
+  #sharedSumBuilder(inputNodes) {
+    const terms = new Map();
+    const inverted = new Map();
+    return (primes) => {
+      const products = primes.map((prime) => {
+        const key = prime.join("");
+        if (!terms.has(key)) {
+          terms.set(key, this.#buildProductTerm(prime, inputNodes, inverted));
+        }
+        return terms.get(key);
+      });
+      return products.length === 1 ? products[0] : new GateNode("OR", products);
+    };
+  }
+
+  // One Set of don't-care row numbers per output
+  #dontCareRows(dontCares) {
+    const rows = 1 << this.inputLength;
+    const perOutput =
+      dontCares === null
+        ? []
+        : dontCares.every(Array.isArray)
+          ? dontCares
+          : new Array(this.outputLength).fill(dontCares);
+    if (perOutput.length > this.outputLength) {
+      throw new Error(
+        `simplify() got don't-cares for ${perOutput.length} outputs, but "${this.name}" has ${this.outputLength}.`,
+      );
+    }
+    return Array.from({ length: this.outputLength }, (_, i) => {
+      const set = new Set(perOutput[i] ?? []);
+      for (const row of set) {
+        if (!Number.isInteger(row) || row < 0 || row >= rows) {
+          throw new Error(
+            `Don't-care row ${row} is out of range for ${this.inputLength} inputs.`,
+          );
+        }
+      }
+      return set;
+    });
+  }
+
+  /**
+   * Multi-output Quine-McCluskey: each implicant is tagged with the outputs
+   * it is an implicant of (a bitmask), and merging two implicants keeps the
+   * outputs they share. An implicant stays prime while no merge keeps all of
+   * its outputs.
+   */
+  #findMultiOutputPrimes(implicants) {
+    const primes = [];
+    while (implicants.length > 0) {
+      const groups = [];
+      for (const implicant of implicants) {
+        const ones = implicant.term.filter((bit) => bit === 1).length;
+        (groups[ones] ??= []).push(implicant);
+      }
+
+      const combined = new Map();
+      const absorbed = new Set();
+      for (let ones = 0; ones < groups.length - 1; ones++) {
+        for (const a of groups[ones] ?? []) {
+          for (const b of groups[ones + 1] ?? []) {
+            const tag = a.tag & b.tag;
+            if (!tag || this.#computeHammingDistance(a.term, b.term) !== 1) {
+              continue;
+            }
+            const term = this.#combineTerms(a.term, b.term);
+            combined.set(`${term.join("")}/${tag}`, { term, tag });
+            if (tag === a.tag) absorbed.add(a);
+            if (tag === b.tag) absorbed.add(b);
+          }
+        }
+      }
+      primes.push(
+        ...implicants.filter((implicant) => !absorbed.has(implicant)),
+      );
+      implicants = [...combined.values()];
+    }
+    return primes;
+  }
+
+  /**
+   * Picks product terms for several outputs at once, preferring terms that
+   * cover rows of many outputs: essential terms first, then greedily the
+   * term covering the most remaining (output, row) pairs, then drops terms
+   * the others make redundant.
+   * @returns {Array<Array>} The product terms of each function, in order.
+   */
+  #findSharedCover(functions) {
+    if (functions.length > 30) {
+      throw new Error(
+        "simplify({ multiOutput: true }) supports at most 30 non-constant outputs.",
+      );
+    }
+    const tags = new Map();
+    functions.forEach(({ minterms, optional }, k) => {
+      for (const row of [...minterms, ...optional]) {
+        const key = row.join("");
+        tags.set(key, { term: row, tag: (tags.get(key)?.tag ?? 0) | (1 << k) });
+      }
+    });
+    const primes = this.#findMultiOutputPrimes([...tags.values()]);
+
+    // Everything that has to be covered: each output's minterms
+    const targets = functions.flatMap(({ minterms }, k) =>
+      minterms.map((row) => ({ k, row })),
+    );
+    const covers = (prime, { k, row }) =>
+      (prime.tag & (1 << k)) !== 0 && this.#termCovers(prime.term, row);
+    const literals = (prime) => prime.term.filter((bit) => bit !== "-").length;
+
+    const chosen = new Set();
+    for (const target of targets) {
+      const candidates = primes.filter((prime) => covers(prime, target));
+      if (candidates.length === 1) chosen.add(candidates[0]);
+    }
+    let uncovered = targets.filter(
+      (target) => ![...chosen].some((prime) => covers(prime, target)),
+    );
+    while (uncovered.length > 0) {
+      let best = null;
+      let bestCount = 0;
+      for (const prime of primes) {
+        const count = uncovered.filter((target) =>
+          covers(prime, target),
+        ).length;
+        if (
+          count > bestCount ||
+          (count === bestCount && count > 0 && literals(prime) < literals(best))
+        ) {
+          best = prime;
+          bestCount = count;
+        }
+      }
+      chosen.add(best);
+      uncovered = uncovered.filter((target) => !covers(best, target));
+    }
+    for (const prime of [...chosen].reverse()) {
+      chosen.delete(prime);
+      const stillCovered = targets.every((target) =>
+        [...chosen].some((other) => covers(other, target)),
+      );
+      if (!stillCovered) chosen.add(prime);
+    }
+
+    // Each output ORs only the terms it needs. Single literals need no AND
+    // gate, so they are free to use even when the shared cover skipped them.
+    return functions.map(({ minterms }, k) => {
+      const usable = primes.filter(
+        (prime) =>
+          prime.tag & (1 << k) && (chosen.has(prime) || literals(prime) <= 1),
+      );
+      const cover = [];
+      let rows = minterms;
+      while (rows.length > 0) {
+        const gain = (prime) =>
+          rows.filter((row) => this.#termCovers(prime.term, row)).length;
+        const best = usable.reduce((a, b) =>
+          gain(b) > gain(a) ||
+          (gain(b) === gain(a) && literals(b) < literals(a))
+            ? b
+            : a,
+        );
+        cover.push(best.term);
+        rows = rows.filter((row) => !this.#termCovers(best.term, row));
+      }
+      return cover;
+    });
+  }
 }
@@ -27,5 +27,323 @@ export const STANDARD_GATES = {
 
   XOR: (inputs) => {
     return inputs.reduce((acc, bit) => acc ^ bit, 0);
-  }
+  },
+	/**
+	 * @param {number[]} inputs An array of bits.
+	 * @returns {number} The inverted AND of all inputs.
+	 */
+	NAND: (inputs) => {
+		return inputs.reduce((acc, bit) => acc & bit, 1) ^ 1;
+	},
+	/**
+	 * @param {number[]} inputs An array of bits.
+	 * @returns {number} The inverted OR of all inputs.
+	 */
+	NOR: (inputs) => {
+		return inputs.reduce((acc, bit) => acc | bit, 0) ^ 1;
+	},
+	/**
+	 * @param {number[]} inputs An array of bits.
+	 * @returns {number} 1 when an even number of inputs are 1.
+	 */
+	XNOR: (inputs) => {
+		return inputs.reduce((acc, bit) => acc ^ bit, 0) ^ 1;
+	},
+	/**
+	 * @param {number[]} input An array containing a single bit.
+	 * @returns {number} The same bit.
+	 */
+	BUF: (input) => {
+		if (input.length !== 1) {
+			throw new Error("BUF gate requires exactly one input");
+		}
+		return input[0];
+	},
+	/**
+	 * @param {number[]} inputs An array of bits.
+	 * @returns {number} 1 when more than half of the inputs are 1.
+	 */
+	MAJORITY: (inputs) => {
+		const ones = inputs.reduce((acc, bit) => acc + bit, 0);
+		return ones * 2 > inputs.length ? 1 : 0;
+	},
+};
+
+const log2 = (n) => Math.log2(n);
+const isPowerOfTwo = (n) => Number.isInteger(log2(n));
+
+function checkInputCount(name, inputs, expected) {
+	if (inputs.length !== expected) {
+		throw new Error(`${name} gate requires exactly ${expected} inputs, got ${inputs.length}`);
+	}
+}
+
+// Reads bits [from, from + count) of an input array as an unsigned number, LSB first
+function bitsToNumber(inputs, from, count) {
+	let value = 0;
+	for (let i = 0; i < count; i++) value |= (inputs[from + i] & 1) << i;
+	return value >>> 0;
+}
+
+/**
+ * Gate families whose size is part of the name, e.g. "MUX4" or "DECODER3".
+ * Inputs are single bits; multi-bit fields (select lines, operands) are given
+ * LSB first. `outputWidth` is the number of bits of the result, which is
+ * packed LSB first like a bus. Gates with a 1-bit result also work bitwise on
+ * buses, the same way as AND or OR.
+ */
+export const PARAMETERIZED_GATES = {
+	/**
+	 * n-to-1 multiplexer, n a power of two: [I0..In-1, S0..Sk-1] -> I[S].
+	 */
+	MUX: {
+		isValid: (n) => n >= 2 && n <= 256 && isPowerOfTwo(n),
+		outputWidth: () => 1,
+		create: (n, name) => (inputs) => {
+			checkInputCount(name, inputs, n + log2(n));
+			return inputs[bitsToNumber(inputs, n, log2(n))];
+		},
+	},
+	/**
+	 * 1-to-n demultiplexer, n a power of two: [D, S0..Sk-1] -> D on output bit S.
+	 */
+	DEMUX: {
+		isValid: (n) => n >= 2 && n <= 32 && isPowerOfTwo(n),
+		outputWidth: (n) => n,
+		create: (n, name) => (inputs) => {
+			checkInputCount(name, inputs, 1 + log2(n));
+			return ((inputs[0] & 1) << bitsToNumber(inputs, 1, log2(n))) >>> 0;
+		},
+	},
+	/**
+	 * k-to-2^k decoder: [I0..Ik-1] -> one-hot word with bit I set.
+	 */
+	DECODER: {
+		isValid: (k) => k >= 1 && k <= 5,
+		outputWidth: (k) => 2 ** k,
+		create: (k, name) => (inputs) => {
+			checkInputCount(name, inputs, k);
+			return (1 << bitsToNumber(inputs, 0, k)) >>> 0;
+		},
+	},
+	/**
+	 * n-input priority encoder: [R0..Rn-1] -> index of the highest request in
+	 * the low ceil(log2 n) bits, plus a valid bit on top that is 0 when no
+	 * input is set.
+	 */
+	PRIORITY: {
+		isValid: (n) => n >= 2 && n <= 32,
+		outputWidth: (n) => Math.ceil(log2(n)) + 1,
+		create: (n, name) => (inputs) => {
+			checkInputCount(name, inputs, n);
+			const indexBits = Math.ceil(log2(n));
+			for (let i = n - 1; i >= 0; i--) {
+				if (inputs[i] & 1) return (1 << indexBits) | i;
+			}
+			return 0;
+		},
+	},
+	/**
+	 * w-bit magnitude comparator: [A0..Aw-1, B0..Bw-1] -> bit 0 A < B,
+	 * bit 1 A = B, bit 2 A > B.
+	 */
+	COMPARATOR: {
+		isValid: (w) => w >= 1 && w <= 32,
+		outputWidth: () => 3,
+		create: (w, name) => (inputs) => {
+			checkInputCount(name, inputs, 2 * w);
+			const a = bitsToNumber(inputs, 0, w);
+			const b = bitsToNumber(inputs, w, w);
+			return a < b ? 0b001 : a === b ? 0b010 : 0b100;
+		},
+	},
+};
+
+// Four-valued logic levels: unknown and high-impedance (undriven)
+export const LOGIC_X = "X";
+export const LOGIC_Z = "Z";
+
+const isKnown = (value) => value === 0 || value === 1;
+const invert = (value) => (isKnown(value) ? value ^ 1 : LOGIC_X);
+
+/**
+ * resolveDrivers: combine every value driven onto one wire. Undriven (Z)
+ * drivers are ignored; agreeing drivers win, anything else is a conflict (X).
+ * @param {Array<0|1|"X"|"Z">} values
+ * @returns {0|1|"X"|"Z"}
+ */
+export function resolveDrivers(values) {
+	let resolved = LOGIC_Z;
+	for (const value of values) {
+		if (value === LOGIC_Z) continue;
+		if (!isKnown(value)) return LOGIC_X;
+		if (resolved === LOGIC_Z) resolved = value;
+		else if (resolved !== value) return LOGIC_X;
+	}
+	return resolved;
+}
+
+// Gate implementations used when a Circuit runs in "four-valued" mode.
+// A floating (Z) gate input behaves like an unknown (X) one.
+export const FOUR_VALUED_GATES = {
+	/**
+	 * @param {Array<0|1|"X"|"Z">} inputs
+	 * @returns {0|1|"X"} 0 if any input is 0, X if any input is unknown, else 1.
+	 */
+	AND: (inputs) => {
+		if (inputs.some((v) => v === 0)) return 0;
+		return inputs.every((v) => v === 1) ? 1 : LOGIC_X;
+	},
+	/**
+	 * @param {Array<0|1|"X"|"Z">} inputs
+	 * @returns {0|1|"X"} 1 if any input is 1, X if any input is unknown, else 0.
+	 */
+	OR: (inputs) => {
+		if (inputs.some((v) => v === 1)) return 1;
+		return inputs.every((v) => v === 0) ? 0 : LOGIC_X;
+	},
+	/**
+	 * @param {Array<0|1|"X"|"Z">} input An array containing a single value.
+	 * @returns {0|1|"X"} The inverted value, or X for an unknown input.
+	 */
+	NOT: (input) => {
+		if (input.length !== 1) {
+			throw new Error("NOT gate requires exactly one input");
+		}
+		return isKnown(input[0]) ? (input[0] ? 0 : 1) : LOGIC_X;
+	},
+	/**
+	 * @param {Array<0|1|"X"|"Z">} inputs
+	 * @returns {0|1|"X"} The parity of the inputs, or X if any input is unknown.
+	 */
+	XOR: (inputs) => {
+		if (!inputs.every(isKnown)) return LOGIC_X;
+		return inputs.reduce((acc, bit) => acc ^ bit, 0);
+	},
+	/**
+	 * @param {Array<0|1|"X"|"Z">} inputs
+	 * @returns {0|1|"X"} The inverted AND, or X if the AND is unknown.
+	 */
+	NAND: (inputs) => invert(FOUR_VALUED_GATES.AND(inputs)),
+	/**
+	 * @param {Array<0|1|"X"|"Z">} inputs
+	 * @returns {0|1|"X"} The inverted OR, or X if the OR is unknown.
+	 */
+	NOR: (inputs) => invert(FOUR_VALUED_GATES.OR(inputs)),
+	/**
+	 * @param {Array<0|1|"X"|"Z">} inputs
+	 * @returns {0|1|"X"} The inverted parity, or X if any input is unknown.
+	 */
+	XNOR: (inputs) => invert(FOUR_VALUED_GATES.XOR(inputs)),
+	/**
+	 * @param {Array<0|1|"X"|"Z">} input An array containing a single value.
+	 * @returns {0|1|"X"} The value, with a floating input read as X.
+	 */
+	BUF: (input) => {
+		if (input.length !== 1) {
+			throw new Error("BUF gate requires exactly one input");
+		}
+		return isKnown(input[0]) ? input[0] : LOGIC_X;
+	},
+	/**
+	 * Tri-state buffer.
+	 * @param {Array<0|1|"X"|"Z">} inputs [data, enable]
+	 * @returns {0|1|"X"|"Z"} data while enable is 1, Z while enable is 0.
+	 */
+	TRI: (inputs) => {
+		if (inputs.length !== 2) {
+			throw new Error("TRI gate requires exactly two inputs: [data, enable]");
+		}
+		const [data, enable] = inputs;
+		if (enable === 0) return LOGIC_Z;
+		if (enable === 1 && isKnown(data)) return data;
+		return LOGIC_X;
+	},
+	/**
+	 * Wired connection of several drivers (e.g. tri-state outputs on a bus).
+	 * @param {Array<0|1|"X"|"Z">} inputs One value per driver.
+	 * @returns {0|1|"X"|"Z"}
+	 */
+	RESOLVE: (inputs) => resolveDrivers(inputs),
 };
+
+// Unknown inputs beyond this many make a derived four-valued gate give up with X
+const MAX_UNKNOWN_INPUTS = 8;
+
+/**
+ * Four-valued version of a binary gate: tries every 0/1 value for the
+ * unknown (X or Z) inputs and returns the result if they all agree, else X.
+ * So a MUX whose unselected data input is X still has a known output.
+ */
+export function fourValuedFromBinary(gateFunc) {
+	return (inputs) => {
+		const unknown = inputs.map((v, i) => i).filter((i) => !isKnown(inputs[i]));
+		if (unknown.length === 0) return gateFunc(inputs);
+		if (unknown.length > MAX_UNKNOWN_INPUTS) return LOGIC_X;
+
+		const trial = [...inputs];
+		let result;
+		for (let combo = 0; combo < 2 ** unknown.length; combo++) {
+			unknown.forEach((input, bit) => (trial[input] = (combo >> bit) & 1));
+			const value = gateFunc(trial);
+			if (combo === 0) result = value;
+			else if (value !== result) return LOGIC_X;
+		}
+		return result;
+	};
+}
+
+// Registered gate -> its four-valued version (see fourValuedGate)
+const fourValuedRegistered = new WeakMap();
+
+/**
+ * Four-valued version of a registered gate. A standard gate registered under
+ * its own name gets the standard four-valued gate; any other gate is derived
+ * with fourValuedFromBinary, once per function, keeping its output width.
+ */
+export function fourValuedGate(name, gateFunc) {
+	if (gateFunc === resolveStandardGate(name)) return resolveStandardGate(name, "four-valued");
+	if (Object.values(FOUR_VALUED_GATES).includes(gateFunc)) return gateFunc;
+	if (!fourValuedRegistered.has(gateFunc)) {
+		const gate = fourValuedFromBinary(gateFunc);
+		if (gateFunc.outputWidth) gate.outputWidth = gateFunc.outputWidth;
+		fourValuedRegistered.set(gateFunc, gate);
+	}
+	return fourValuedRegistered.get(gateFunc);
+}
+
+const resolvedGates = { binary: new Map(), "four-valued": new Map() };
+
+/**
+ * Looks up a standard gate by name: the fixed gates ("AND", "NAND", "BUF",
+ * ...) and any size of a parameterized family ("MUX8", "COMPARATOR4", ...).
+ * Circuits fall back to this for gates that were not registered.
+ * @param {string} name
+ * @param {"binary"|"four-valued"} [logicMode]
+ * @returns {Function|undefined} The gate function; gates with a multi-bit
+ *   result carry it as `outputWidth`.
+ */
+export function resolveStandardGate(name, logicMode = "binary") {
+	const cache = resolvedGates[logicMode];
+	if (cache.has(name)) return cache.get(name);
+
+	let gate;
+	if (logicMode === "four-valued") {
+		const binary = resolveStandardGate(name);
+		gate = FOUR_VALUED_GATES[name] ?? (binary && fourValuedFromBinary(binary));
+		if (gate && binary?.outputWidth) gate.outputWidth = binary.outputWidth;
+	} else if (Object.hasOwn(STANDARD_GATES, name)) {
+		gate = STANDARD_GATES[name];
+	} else {
+		const match = /^([A-Z]+)(\d+)$/.exec(name);
+		const family = match && Object.hasOwn(PARAMETERIZED_GATES, match[1]) && PARAMETERIZED_GATES[match[1]];
+		const size = match && Number(match[2]);
+		if (family && family.isValid(size)) {
+			gate = family.create(size, name);
+			const width = family.outputWidth(size);
+			if (width > 1) gate.outputWidth = width;
+		}
+	}
+	cache.set(name, gate);
+	return gate;
+}
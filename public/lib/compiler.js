@@ -0,0 +1,854 @@
+import {
+  LiteralNode,
+  InputNode,
+  ClockNode,
+  GateNode,
+  FeedbackNode,
+  CompositeNode,
+  SubCircuitOutputNode,
+  SliceNode,
+  ConcatNode,
+  SequentialNode,
+  FlipFlopNode,
+  flipFlopNextState,
+  evaluateBitwise,
+  isDelayed,
+  clockLevelAt,
+} from "./nodes.js";
+import { STANDARD_GATES } from "./common-gates.js";
+import { arraysEqual, maskForWidth, maskValue } from "./utils.js";
+
+const OP = {
+  LITERAL: 0,
+  INPUT: 1,
+  CLOCK: 2,
+  FEEDBACK: 3,
+  AND: 4,
+  OR: 5,
+  XOR: 6,
+  NOT: 7,
+  GATE: 8,
+  SLICE: 9,
+  CONCAT: 10,
+  COMPOSITE: 11,
+  SUB_OUTPUT: 12,
+};
+
+// Standard gate functions that get a native opcode instead of a call
+const NATIVE_GATE_OPS = new Map([
+  [STANDARD_GATES.AND, OP.AND],
+  [STANDARD_GATES.OR, OP.OR],
+  [STANDARD_GATES.XOR, OP.XOR],
+  [STANDARD_GATES.NOT, OP.NOT],
+]);
+
+// The errors compile() raises for circuits it cannot handle rather than
+// broken ones, which the interpreter still runs
+const UNSUPPORTED_ERRORS = [
+  /^compile\(\) (only supports|does not support|found a combinational loop)/,
+  /^(FeedbackNode|Flip-flop) ".*" cannot be inlined/,
+];
+
+/**
+ * Whether an error thrown by Circuit.compile() only means that the circuit
+ * has to be run by Circuit.evaluate() instead.
+ */
+export function isUnsupportedByCompile(error) {
+  return UNSUPPORTED_ERRORS.some((pattern) => pattern.test(error?.message));
+}
+
+/**
+ * A sub-circuit can be inlined into its parent's plan when one evaluate() of
+ * it is already stable: no state, no delayed gates, nothing sequential below.
+ */
+function isCombinational(circuit) {
+  if (circuit.feedbackNodes.length > 0) return false;
+
+  const visited = new Set();
+  const check = (node) => {
+    if (!node || visited.has(node)) return true;
+    visited.add(node);
+
+    if (node instanceof FeedbackNode || node instanceof SequentialNode) {
+      return false;
+    }
+    if (node instanceof GateNode) {
+      return !isDelayed(node.delay) && node.inputNodes.every(check);
+    }
+    if (node instanceof CompositeNode) {
+      return isCombinational(node.subCircuit) && node.inputNodes.every(check);
+    }
+    if (node instanceof ConcatNode) return node.inputNodes.every(check);
+    if (node instanceof SliceNode) return check(node.inputNode);
+    if (node instanceof SubCircuitOutputNode) return check(node.compositeNode);
+    return true;
+  };
+  return circuit.rootNodes.every(check);
+}
+
+// The ring buffers used for delays only reproduce a fixed transport delay
+function assertTransportDelay(node) {
+  if (typeof node.delay !== "number") {
+    throw new Error(
+      `compile() only supports fixed delays, but "${node.name}" has rise/fall or corner delays.`,
+    );
+  }
+  if (node.delayModel !== "transport") {
+    throw new Error(
+      `compile() only supports transport delays, but "${node.name}" uses the ${node.delayModel} model.`,
+    );
+  }
+}
+
+/**
+ * Levelized, flat evaluator for a Circuit, produced by Circuit.compile().
+ *
+ * The node graph is walked once and turned into a list of operations in
+ * topological order whose values live in a typed array. Each tick runs the
+ * same two phases as Circuit.evaluate (capture feedback values with the old
+ * state, then evaluate the outputs with the new state), so results match
+ * tick for tick, but every node is computed at most once per phase instead
+ * of once per path that reaches it.
+ *
+ * Purely combinational CompositeNodes are inlined; sequential ones keep
+ * their own sub-circuit and are evaluated once per tick, as before. The
+ * compiled circuit starts from the initial state (like clone()) and keeps
+ * its own state, so the source Circuit is never modified.
+ */
+export class CompiledCircuit {
+  #ops = [];
+  #nodeSlots = new Map();
+  #visiting = new Set();
+  #groupCount = 0;
+
+  #rootSlots = [];
+  #feedbackUpdates = [];
+  #feedbackInitial = [];
+  #flipFlopUpdates = [];
+  #delayedGates = [];
+  #delayedCompositeOps = [];
+  #phaseA = [];
+  #phaseB = [];
+
+  #clocks;
+  #values;
+  #lanes;
+  #feedbackState;
+  #gateState;
+
+  constructor(circuit) {
+    const source = circuit.clone(false);
+    this.name = source.name;
+    this.inputLength = source.inputLength;
+    this.outputLength = source.outputLength;
+    this.initialClock = source.clock;
+    this.#clocks = source.clocks;
+
+    const scope = { circuit: source, inputMap: null, group: -1 };
+    this.#rootSlots = source.rootNodes.map((n) => this.#slotOf(n, scope));
+    for (const fb of source.feedbackNodes) {
+      if (!fb.inputNode) continue;
+      if (isDelayed(fb.delay)) assertTransportDelay(fb);
+      this.#feedbackUpdates.push({
+        state: this.#slotOf(fb, scope),
+        source: this.#slotOf(fb.inputNode, scope),
+        delay: isDelayed(fb.delay) ? fb.delay : 0,
+      });
+    }
+    // Flip-flops found on the way read their inputs only when sampled, so
+    // those are built last; they may lead to more flip-flops
+    for (let i = 0; i < this.#flipFlopUpdates.length; i++) {
+      const ff = this.#flipFlopUpdates[i];
+      const slot = (input) => (input ? this.#slotOf(input, scope) : null);
+      ff.data = ff.node.dataNodes.map(slot);
+      ff.clock = slot(ff.node.clockNode);
+      ff.enable = slot(ff.node.enableNode);
+      ff.set = slot(ff.node.setNode);
+      ff.reset = slot(ff.node.resetNode);
+    }
+
+    this.#buildPhases();
+    this.#values = new Uint32Array(this.#ops.length);
+    this.#lanes = new Uint32Array(this.#ops.length);
+    this.reset();
+  }
+
+  get nodeCount() {
+    return this.#ops.length;
+  }
+
+  /**
+   * Return to the initial state: tick 0, feedback and flip-flops at initial
+   * values, all pending delayed updates dropped.
+   */
+  reset() {
+    this.totalTicks = 0;
+    this.currentTick = 0;
+    this.clock = this.initialClock;
+    this.prevClock = this.initialClock;
+
+    this.#feedbackState = Uint32Array.from(this.#feedbackInitial);
+    this.#gateState = new Uint32Array(this.#delayedGates.length);
+    for (const gate of this.#delayedGates) {
+      gate.ringValues.fill(0);
+      gate.ringValid.fill(0);
+    }
+    for (const update of [...this.#feedbackUpdates, ...this.#flipFlopUpdates]) {
+      if (update.delay > 0) {
+        update.ringValues = new Uint32Array(update.delay);
+        update.ringValid = new Uint8Array(update.delay);
+      }
+    }
+    for (const ff of this.#flipFlopUpdates) {
+      ff.prevClockLevel = ff.node.prevClockLevel;
+    }
+    for (const op of this.#delayedCompositeOps) {
+      op.subCircuit = op.template.clone(false);
+      op.cache = [];
+    }
+  }
+
+  setClock(value) {
+    this.prevClock = this.clock;
+    this.clock = value;
+  }
+
+  /**
+   * Level of the clock driven by setClock(), or of a named clock at the
+   * last evaluated tick.
+   */
+  getClock(name = null) {
+    if (name === null) return this.clock;
+    const clock = this.#clocks[name];
+    if (!clock) throw new Error(`Unknown clock "${name}".`);
+    return clockLevelAt(clock, this.currentTick);
+  }
+
+  /**
+   * Simulates one tick, exactly like Circuit.evaluate (without history).
+   */
+  evaluate(inputs = []) {
+    const tick = (this.currentTick = this.totalTicks);
+
+    // Delayed updates that were scheduled for this tick take effect first
+    for (const gate of this.#delayedGates) {
+      const slot = tick % gate.delay;
+      if (gate.ringValid[slot]) {
+        this.#gateState[gate.state] = gate.ringValues[slot];
+        gate.ringValid[slot] = 0;
+      }
+    }
+    for (const update of [...this.#feedbackUpdates, ...this.#flipFlopUpdates]) {
+      if (update.delay === 0) continue;
+      const slot = tick % update.delay;
+      if (update.ringValid[slot]) {
+        this.#feedbackState[this.#ops[update.state].state] =
+          update.ringValues[slot];
+        update.ringValid[slot] = 0;
+      }
+    }
+
+    // Phase A: capture every feedback input using the old state
+    this.#run(this.#phaseA, inputs, tick);
+    const captured = this.#feedbackUpdates.map((fb) => this.#values[fb.source]);
+    const sampled = this.#flipFlopUpdates.map((ff) => this.#sample(ff));
+
+    // Apply all feedback updates at once
+    this.#feedbackUpdates.forEach((fb, i) => {
+      if (fb.delay === 0) {
+        this.#feedbackState[this.#ops[fb.state].state] = captured[i];
+      } else {
+        const slot = (tick + fb.delay) % fb.delay;
+        fb.ringValues[slot] = captured[i];
+        fb.ringValid[slot] = 1;
+      }
+    });
+    this.#flipFlopUpdates.forEach((ff, i) => {
+      const next = sampled[i];
+      if (next === undefined) return;
+      if (ff.delay === 0) {
+        this.#feedbackState[this.#ops[ff.state].state] = next;
+      } else {
+        const slot = (tick + ff.delay) % ff.delay;
+        ff.ringValues[slot] = next;
+        ff.ringValid[slot] = 1;
+      }
+    });
+
+    // Phase B: the outputs, seen through the new state
+    this.#run(this.#phaseB, inputs, tick);
+    const outputs = this.#rootSlots.map((slot) => this.#values[slot]);
+
+    this.totalTicks++;
+    return outputs;
+  }
+
+  tick(inputs = []) {
+    return this.evaluate(inputs);
+  }
+
+  // The flip-flop's next state, or undefined when it holds, as in
+  // FlipFlopNode.sample(); the clock level is taken over at once
+  #sample(ff) {
+    const values = this.#values;
+    const isHigh = (slot) => slot !== null && values[slot] === 1;
+    const level = ff.clock === null ? null : values[ff.clock];
+    const clock = {
+      level,
+      rising: level === 1 && ff.prevClockLevel === 0,
+      falling: level === 0 && ff.prevClockLevel === 1,
+    };
+    if (level !== null) ff.prevClockLevel = level;
+
+    if (isHigh(ff.reset)) return 0;
+    if (isHigh(ff.set)) return 1;
+    if (!ff.node.isTriggered(clock)) return undefined;
+    if (ff.enable !== null && !isHigh(ff.enable)) return undefined;
+    const q = this.#feedbackState[this.#ops[ff.state].state];
+    return flipFlopNextState(
+      ff.node.type,
+      q,
+      ff.data.map((slot) => values[slot]),
+    );
+  }
+
+  evaluateUntilStable(inputs = [], maxOuter = 100) {
+    let old = null;
+    for (let i = 0; i < maxOuter; i++) {
+      const out = this.tick(inputs);
+      if (old !== null && arraysEqual(old, out)) return out;
+      old = out;
+    }
+    return old;
+  }
+
+  #run(list, inputs, tick) {
+    const ops = this.#ops;
+    const values = this.#values;
+
+    for (let i = 0; i < list.length; i++) {
+      const op = ops[list[i]];
+      let result;
+
+      switch (op.code) {
+        case OP.LITERAL:
+          result = op.value;
+          break;
+        case OP.INPUT: {
+          const value = inputs[op.index] ?? 0;
+          result =
+            op.width > 1 && typeof value === "number"
+              ? maskValue(value, op.width)
+              : value;
+          break;
+        }
+        case OP.CLOCK:
+          result = op.clock ? clockLevelAt(op.clock, tick) : this.clock;
+          break;
+        case OP.FEEDBACK:
+          result = this.#feedbackState[op.state];
+          break;
+        case OP.AND:
+        case OP.OR:
+        case OP.XOR:
+        case OP.NOT:
+          result = this.#nativeGate(op, values);
+          break;
+        case OP.GATE: {
+          const args = op.args;
+          for (let j = 0; j < op.deps.length; j++) args[j] = values[op.deps[j]];
+          result =
+            op.width > 1 && !op.fn.outputWidth
+              ? evaluateBitwise(op.fn, args, op.depWidths, op.width)
+              : op.fn(args);
+          break;
+        }
+        case OP.SLICE:
+          result = ((values[op.deps[0]] >>> op.lsb) & op.mask) >>> 0;
+          break;
+        case OP.CONCAT: {
+          let word = 0;
+          let shift = 0;
+          for (let j = 0; j < op.deps.length; j++) {
+            word |=
+              (values[op.deps[j]] & maskForWidth(op.depWidths[j])) << shift;
+            shift += op.depWidths[j];
+          }
+          result = word >>> 0;
+          break;
+        }
+        case OP.COMPOSITE:
+          op.cache = op.subCircuit.evaluateUntilStable(
+            op.deps.map((d) => values[d]),
+          );
+          result = 0;
+          break;
+        case OP.SUB_OUTPUT:
+          result = op.composite.cache[op.outputIndex];
+          break;
+      }
+
+      if (op.delayed) {
+        // Delayed gates report their last value and schedule the new one
+        const slot = (tick + op.delayed.delay) % op.delayed.delay;
+        op.delayed.ringValues[slot] = result;
+        op.delayed.ringValid[slot] = 1;
+        result = this.#gateState[op.delayed.state];
+      }
+      values[op.id] = result;
+    }
+  }
+
+  /**
+   * True when every signal is a single bit and no sub-circuit keeps its own
+   * state, so 32 input vectors can share one machine word.
+   */
+  get supportsBitParallel() {
+    if (this.#flipFlopUpdates.length > 0) return false;
+    if (this.#feedbackInitial.some((v) => v !== 0 && v !== 1)) return false;
+    return this.#ops.every((op) => {
+      switch (op.code) {
+        case OP.LITERAL:
+          return op.value === 0 || op.value === 1;
+        case OP.INPUT:
+          return op.width === 1;
+        case OP.SLICE:
+          return op.lsb === 0 && op.mask === 1;
+        case OP.CONCAT:
+          return op.deps.length === 1 && op.depWidths[0] === 1;
+        case OP.COMPOSITE:
+        case OP.SUB_OUTPUT:
+          return false;
+        default:
+          return (op.width ?? 1) === 1;
+      }
+    });
+  }
+
+  /**
+   * Evaluates each input vector independently, as a single tick from the
+   * initial state (what generateTruthTable does for every row), packing 32
+   * vectors into each machine word. Does not touch the running state.
+   * @param {number[][]} vectors
+   * @param {0|1|null} clockLevel Clock level to use instead of the initial one.
+   * @returns {number[][]} One output array per vector.
+   */
+  evaluateBatch(vectors, clockLevel = null) {
+    if (!this.supportsBitParallel) {
+      throw new Error(
+        `"${this.name}" cannot be evaluated bit-parallel: it uses buses or stateful sub-circuits.`,
+      );
+    }
+    const clock =
+      clockLevel === 0 || clockLevel === 1 ? clockLevel : this.initialClock;
+    const clockWord = clock ? 0xffffffff : 0;
+    const results = [];
+
+    for (let base = 0; base < vectors.length; base += 32) {
+      const laneCount = Math.min(32, vectors.length - base);
+      const inputWords = new Uint32Array(this.inputLength);
+      for (let lane = 0; lane < laneCount; lane++) {
+        const vector = vectors[base + lane];
+        for (let i = 0; i < this.inputLength; i++) {
+          if (vector[i] & 1) inputWords[i] |= 1 << lane;
+        }
+      }
+
+      const outputWords = this.#evaluateLanes(inputWords, clockWord);
+      for (let lane = 0; lane < laneCount; lane++) {
+        results.push(outputWords.map((word) => (word >>> lane) & 1));
+      }
+    }
+    return results;
+  }
+
+  // One fresh tick with every value holding 32 independent lanes
+  #evaluateLanes(inputWords, clockWord) {
+    const feedbackLanes = Uint32Array.from(this.#feedbackInitial, (v) =>
+      v ? 0xffffffff : 0,
+    );
+
+    this.#runLanes(this.#phaseA, inputWords, feedbackLanes, clockWord);
+    const captured = this.#feedbackUpdates.map((fb) => this.#lanes[fb.source]);
+    this.#feedbackUpdates.forEach((fb, i) => {
+      // Delayed feedback cannot land within the first tick
+      if (fb.delay === 0)
+        feedbackLanes[this.#ops[fb.state].state] = captured[i];
+    });
+    this.#runLanes(this.#phaseB, inputWords, feedbackLanes, clockWord);
+
+    return this.#rootSlots.map((slot) => this.#lanes[slot]);
+  }
+
+  #runLanes(list, inputWords, feedbackLanes, clockWord) {
+    const ops = this.#ops;
+    const lanes = this.#lanes;
+
+    for (let i = 0; i < list.length; i++) {
+      const op = ops[list[i]];
+      const deps = op.deps;
+      let word;
+
+      switch (op.code) {
+        case OP.LITERAL:
+          word = op.value ? 0xffffffff : 0;
+          break;
+        case OP.INPUT:
+          word = inputWords[op.index] ?? 0;
+          break;
+        case OP.CLOCK:
+          // Batches always evaluate tick 0
+          word = op.clock ? -clockLevelAt(op.clock, 0) >>> 0 : clockWord;
+          break;
+        case OP.FEEDBACK:
+          word = feedbackLanes[op.state];
+          break;
+        case OP.AND:
+          word = 0xffffffff;
+          for (let j = 0; j < deps.length; j++) word &= lanes[deps[j]];
+          break;
+        case OP.OR:
+          word = 0;
+          for (let j = 0; j < deps.length; j++) word |= lanes[deps[j]];
+          break;
+        case OP.XOR:
+          word = 0;
+          for (let j = 0; j < deps.length; j++) word ^= lanes[deps[j]];
+          break;
+        case OP.NOT:
+          if (deps.length !== 1) {
+            throw new Error("NOT gate requires exactly one input");
+          }
+          word = ~lanes[deps[0]];
+          break;
+        case OP.GATE: {
+          // Arbitrary gate functions still run once per lane
+          const args = op.args;
+          word = 0;
+          for (let lane = 0; lane < 32; lane++) {
+            for (let j = 0; j < deps.length; j++) {
+              args[j] = (lanes[deps[j]] >>> lane) & 1;
+            }
+            if (op.fn(args) & 1) word |= 1 << lane;
+          }
+          break;
+        }
+        case OP.SLICE:
+        case OP.CONCAT:
+          word = lanes[deps[0]];
+          break;
+      }
+
+      // A delayed gate still shows its initial value during the first tick
+      lanes[op.id] = op.delayed ? 0 : word >>> 0;
+    }
+  }
+
+  #nativeGate(op, values) {
+    const deps = op.deps;
+    if (op.width === 1) {
+      if (op.code === OP.NOT) {
+        if (deps.length !== 1) {
+          throw new Error("NOT gate requires exactly one input");
+        }
+        return values[deps[0]] ? 0 : 1;
+      }
+      let acc = op.code === OP.AND ? 1 : 0;
+      for (let j = 0; j < deps.length; j++) {
+        const v = values[deps[j]];
+        if (op.code === OP.AND) acc &= v;
+        else if (op.code === OP.OR) acc |= v;
+        else acc ^= v;
+      }
+      return acc;
+    }
+
+    // Bus gate: 1-bit operands are broadcast across the word
+    const mask = op.mask;
+    const operand = (j) =>
+      op.depWidths[j] === 1
+        ? values[deps[j]] & 1
+          ? mask
+          : 0
+        : values[deps[j]];
+    if (op.code === OP.NOT) {
+      if (deps.length !== 1) {
+        throw new Error("NOT gate requires exactly one input");
+      }
+      return (~operand(0) & mask) >>> 0;
+    }
+    let acc = op.code === OP.AND ? mask : 0;
+    for (let j = 0; j < deps.length; j++) {
+      if (op.code === OP.AND) acc &= operand(j);
+      else if (op.code === OP.OR) acc |= operand(j);
+      else acc ^= operand(j);
+    }
+    return (acc & mask) >>> 0;
+  }
+
+  // ----------------------------------------------------- // Plan building // -----------------------------------------------------
+
+  #addOp(op, scope) {
+    op.id = this.#ops.length;
+    op.group = op.group ?? scope.group;
+    op.deps = op.deps ?? [];
+    this.#ops.push(op);
+    return op.id;
+  }
+
+  #slotOf(node, scope) {
+    if (this.#nodeSlots.has(node)) return this.#nodeSlots.get(node);
+    if (this.#visiting.has(node)) {
+      throw new Error(
+        `compile() found a combinational loop through "${node.name}".`,
+      );
+    }
+    this.#visiting.add(node);
+    const slot = this.#buildSlot(node, scope);
+    this.#visiting.delete(node);
+    this.#nodeSlots.set(node, slot);
+    return slot;
+  }
+
+  #buildSlot(node, scope) {
+    if (scope.circuit.logicMode !== "binary") {
+      throw new Error(
+        `compile() only supports binary logic, but "${scope.circuit.name}" uses ${scope.circuit.logicMode} mode.`,
+      );
+    }
+
+    if (node instanceof LiteralNode) {
+      return this.#addOp({ code: OP.LITERAL, value: node.value }, scope);
+    }
+    if (node instanceof InputNode) {
+      if (!scope.inputMap) {
+        return this.#addOp(
+          { code: OP.INPUT, index: node.index, width: node.width },
+          scope,
+        );
+      }
+      // Inside an inlined sub-circuit: read the parent's driver directly
+      const parentSlot = scope.inputMap[node.index];
+      if (parentSlot === undefined) {
+        return this.#addOp({ code: OP.LITERAL, value: 0 }, scope);
+      }
+      if (node.width === 1) return parentSlot;
+      return this.#addOp(
+        {
+          code: OP.SLICE,
+          deps: [parentSlot],
+          lsb: 0,
+          mask: maskForWidth(node.width),
+        },
+        scope,
+      );
+    }
+    if (node instanceof ClockNode) {
+      // A sub-circuit's clock is never driven from the parent
+      if (scope.inputMap) {
+        return this.#addOp(
+          { code: OP.LITERAL, value: scope.circuit.getClock(node.domain) },
+          scope,
+        );
+      }
+      if (node.domain !== null && !scope.circuit.clocks[node.domain]) {
+        throw new Error(`Unknown clock "${node.domain}".`);
+      }
+      // Named clocks follow their waveform, computed from the tick
+      return this.#addOp(
+        { code: OP.CLOCK, clock: scope.circuit.clocks[node.domain] ?? null },
+        scope,
+      );
+    }
+    if (node instanceof FeedbackNode) {
+      if (scope.inputMap) {
+        throw new Error(
+          `FeedbackNode "${node.name}" cannot be inlined from a sub-circuit.`,
+        );
+      }
+      const state = this.#feedbackInitial.length;
+      this.#feedbackInitial.push(node.currentValue);
+      return this.#addOp({ code: OP.FEEDBACK, state }, scope);
+    }
+    if (node instanceof FlipFlopNode) {
+      if (scope.inputMap) {
+        throw new Error(
+          `Flip-flop "${node.name}" cannot be inlined from a sub-circuit.`,
+        );
+      }
+      if (isDelayed(node.delay)) assertTransportDelay(node);
+      // The output reads like a FeedbackNode; its inputs are built later
+      const state = this.#feedbackInitial.length;
+      this.#feedbackInitial.push(node.currentValue);
+      const slot = this.#addOp({ code: OP.FEEDBACK, state }, scope);
+      this.#flipFlopUpdates.push({
+        node,
+        state: slot,
+        delay: isDelayed(node.delay) ? node.delay : 0,
+      });
+      return slot;
+    }
+    if (node instanceof GateNode) {
+      return this.#buildGate(node, scope);
+    }
+    if (node instanceof SliceNode) {
+      return this.#addOp(
+        {
+          code: OP.SLICE,
+          deps: [this.#slotOf(node.inputNode, scope)],
+          lsb: node.lsb,
+          mask: maskForWidth(node.width),
+        },
+        scope,
+      );
+    }
+    if (node instanceof ConcatNode) {
+      return this.#addOp(
+        {
+          code: OP.CONCAT,
+          deps: node.inputNodes.map((n) => this.#slotOf(n, scope)),
+          depWidths: node.inputNodes.map((n) => n.width ?? 1),
+        },
+        scope,
+      );
+    }
+    if (node instanceof CompositeNode) {
+      return this.#buildComposite(node, scope);
+    }
+    if (node instanceof SubCircuitOutputNode) {
+      const composite = node.compositeNode;
+      const compositeSlot = this.#slotOf(composite, scope);
+      const inlinedRoots = this.#ops[compositeSlot].inlinedRoots;
+      if (inlinedRoots) {
+        if (node.outputIndex >= inlinedRoots.length) {
+          throw new Error(
+            `Output index ${node.outputIndex} is out of bounds for sub-circuit "${composite.subCircuit.name}".`,
+          );
+        }
+        return inlinedRoots[node.outputIndex]();
+      }
+      return this.#addOp(
+        {
+          code: OP.SUB_OUTPUT,
+          deps: [compositeSlot],
+          composite: this.#ops[compositeSlot],
+          outputIndex: node.outputIndex,
+          group: this.#ops[compositeSlot].group,
+        },
+        scope,
+      );
+    }
+    throw new Error(
+      `compile() does not support ${node.constructor.name} "${node.name}".`,
+    );
+  }
+
+  #buildGate(node, scope) {
+    const gateFunc = node.resolveGate(scope.circuit);
+    if (typeof gateFunc !== "function") {
+      throw new Error(`Gate "${node.gateType}" is not registered.`);
+    }
+    const deps = node.inputNodes.map((n) => this.#slotOf(n, scope));
+    const op = {
+      code: NATIVE_GATE_OPS.get(gateFunc) ?? OP.GATE,
+      deps,
+      depWidths: node.inputNodes.map((n) => n.width ?? 1),
+      width: node.width,
+      mask: maskForWidth(node.width),
+      fn: gateFunc,
+      args: new Array(deps.length),
+    };
+    if (isDelayed(node.delay)) {
+      assertTransportDelay(node);
+      op.delayed = {
+        delay: node.delay,
+        state: this.#delayedGates.length,
+        ringValues: new Uint32Array(node.delay),
+        ringValid: new Uint8Array(node.delay),
+      };
+      this.#delayedGates.push(op.delayed);
+    }
+    return this.#addOp(op, scope);
+  }
+
+  #buildComposite(node, scope) {
+    // Every operation of one top-level composite shares a group so the
+    // per-tick caching of CompositeNode.evaluate can be reproduced
+    const group = scope.group >= 0 ? scope.group : this.#groupCount++;
+    const inputSlots = node.inputNodes.map((n) => this.#slotOf(n, scope));
+
+    if (!isCombinational(node.subCircuit)) {
+      const op = {
+        code: OP.COMPOSITE,
+        deps: inputSlots,
+        group,
+        template: node.subCircuit,
+        subCircuit: node.subCircuit,
+        cache: [],
+      };
+      this.#delayedCompositeOps.push(op);
+      return this.#addOp(op, scope);
+    }
+
+    const subScope = {
+      circuit: node.subCircuit,
+      inputMap: inputSlots,
+      group,
+    };
+    const marker = this.#addOp({ code: OP.LITERAL, value: 0, group }, scope);
+    // Outputs are only built when a SubCircuitOutputNode asks for them
+    this.#ops[marker].inlinedRoots = node.subCircuit.rootNodes.map(
+      (root) => () => this.#slotOf(root, subScope),
+    );
+    return marker;
+  }
+
+  /**
+   * Split the plan into the two per-tick phases. A composite first reached
+   * while capturing feedback is computed once, there, and reused afterwards.
+   */
+  #buildPhases() {
+    const ops = this.#ops;
+    const collect = (sources, skipGroups) => {
+      const needed = new Set();
+      const visit = (id) => {
+        if (needed.has(id)) return;
+        if (skipGroups && skipGroups.has(ops[id].group)) return;
+        needed.add(id);
+        ops[id].deps.forEach(visit);
+      };
+      sources.forEach(visit);
+      return needed;
+    };
+
+    const phaseA = collect([
+      ...this.#feedbackUpdates.map((fb) => fb.source),
+      ...this.#flipFlopUpdates.flatMap((ff) =>
+        [...ff.data, ff.clock, ff.enable, ff.set, ff.reset].filter(
+          (slot) => slot !== null,
+        ),
+      ),
+    ]);
+    const groupsA = new Set();
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const id of phaseA) {
+        const group = ops[id].group;
+        if (group < 0 || groupsA.has(group)) continue;
+        groupsA.add(group);
+        grew = true;
+        for (const op of ops) {
+          if (op.group === group)
+            collect([op.id]).forEach((x) => phaseA.add(x));
+        }
+      }
+    }
+    const phaseB = collect(this.#rootSlots, groupsA);
+
+    // Operation ids are already topologically ordered
+    const byId = (a, b) => a - b;
+    this.#phaseA = [...phaseA].sort(byId);
+    this.#phaseB = [...phaseB].sort(byId);
+  }
+}
@@ -0,0 +1,177 @@
+import {
+  GateNode,
+  FeedbackNode,
+  FlipFlopNode,
+  RomNode,
+  RamNode,
+  SequentialNode,
+  CompositeNode,
+  isDelayed,
+} from "./nodes.js";
+import { collectNodes, findCycles, orderCycle } from "./graph.js";
+
+/**
+ * Finds every loop in the node graph that does not pass through a
+ * FeedbackNode, here and inside sub-circuits. evaluate() recurses forever on
+ * any of them, delayed or not; `zeroDelay` marks the loops that would also
+ * race within a single tick on real hardware.
+ * @returns {Array<{ circuit: string, nodes: string[], zeroDelay: boolean }>}
+ *   Node names are listed in signal-flow order around the loop.
+ */
+export function findCombinationalLoops(circuit) {
+  const nodes = collectNodes([...circuit.rootNodes, ...circuit.feedbackNodes], {
+    throughFeedback: true,
+  });
+
+  const loops = findCycles(nodes).map((component) => {
+    const ordered = orderCycle(component);
+    return {
+      circuit: circuit.name,
+      nodes: ordered.map(nodeName),
+      zeroDelay: ordered.every(
+        (node) => !(node instanceof GateNode) || !isDelayed(node.delay),
+      ),
+    };
+  });
+
+  for (const node of nodes) {
+    if (node instanceof CompositeNode) {
+      loops.push(...findCombinationalLoops(node.subCircuit));
+    }
+  }
+  return loops;
+}
+
+/**
+ * Runs a fresh copy of the circuit with fixed inputs and clock level until its
+ * state (feedback and flip-flop values, delayed gate outputs and their
+ * pending events, the clock level flip-flops and memories last saw, memory
+ * contents, and the same inside sub-circuits) repeats. A repeat after one
+ * tick means the circuit settled; a longer period means it oscillates, and
+ * the result names the loop responsible along with the values that keep
+ * cycling on it.
+ * @returns {{ status: "stable" | "oscillating" | "undetermined",
+ *   startTick?: number, period?: number, loop?: string[],
+ *   sequence?: Object<string, Array>, outputs?: Array<Array> }}
+ */
+export function diagnoseOscillation(
+  circuit,
+  inputs = [],
+  { maxTicks = 256, clockLevel = null } = {},
+) {
+  const sim = circuit.clone(false);
+  if (clockLevel !== null) sim.setClock(clockLevel);
+
+  const nodes = collectNodes([...sim.rootNodes, ...sim.feedbackNodes], {
+    throughFeedback: true,
+  });
+  const stateNodes = nodes.filter(carriesState);
+  const watched = nodes.filter(
+    (node) => holdsState(node) || node instanceof GateNode,
+  );
+
+  const seen = new Map();
+  const trace = [];
+  for (let tick = 0; tick <= maxTicks; tick++) {
+    const signature = stateSignature(sim, stateNodes);
+    if (seen.has(signature)) {
+      return describeCycle(nodes, watched, trace, seen.get(signature), tick);
+    }
+    seen.set(signature, tick);
+
+    const outputs = sim.evaluate(inputs);
+    trace.push({ outputs, values: watched.map(currentValueOf) });
+  }
+  return { status: "undetermined" };
+}
+
+function describeCycle(nodes, watched, trace, startTick, endTick) {
+  const period = endTick - startTick;
+  if (period === 1) return { status: "stable", startTick };
+
+  const window = trace.slice(startTick, endTick);
+  const changing = new Set(
+    watched.filter((_, i) => new Set(window.map((t) => t.values[i])).size > 1),
+  );
+
+  // The loop is the feedback-inclusive cycle that the changing nodes sit on
+  const component = findCycles(nodes, { throughFeedback: true }).find((c) =>
+    c.some((node) => changing.has(node)),
+  );
+  const loop = component
+    ? orderCycle(component, { throughFeedback: true })
+    : [];
+
+  const sequence = {};
+  for (const node of loop) {
+    if (!changing.has(node)) continue;
+    const i = watched.indexOf(node);
+    sequence[nodeName(node)] = window.map((t) => t.values[i]);
+  }
+
+  return {
+    status: "oscillating",
+    startTick,
+    period,
+    loop: loop.map(nodeName),
+    sequence,
+    outputs: window.map((t) => t.outputs),
+  };
+}
+
+// Nodes whose state carries over from one tick to the next
+function carriesState(node) {
+  return (
+    holdsState(node) ||
+    node instanceof SequentialNode ||
+    node instanceof CompositeNode ||
+    (node instanceof GateNode && isDelayed(node.delay))
+  );
+}
+
+function stateSignature(sim, stateNodes) {
+  return stateNodes
+    .map((node) => {
+      if (node instanceof CompositeNode) {
+        const inner = node.subCircuit;
+        const innerNodes = collectNodes(
+          [...inner.rootNodes, ...inner.feedbackNodes],
+          { throughFeedback: true },
+        );
+        return `{${stateSignature(inner, innerNodes.filter(carriesState))}}`;
+      }
+      const pending = (node.pendingEvents ?? [])
+        .filter((event) => !event.consumed && !event.cancelled)
+        .map((event) => `${event.targetTick - sim.totalTicks}:${event.value}`);
+      // Flip-flops and memories also remember the clock level they last saw,
+      // and what they sampled until the tick commits it
+      const clock =
+        node instanceof SequentialNode
+          ? `/${node.prevClockLevel}${node.pending ? JSON.stringify(node.pending) : ""}`
+          : "";
+      return `${valueOf(node)}${clock}[${pending.join(",")}]`;
+    })
+    .join("|");
+}
+
+// A memory's state is its read register and, for a RAM, its contents
+function valueOf(node) {
+  if (!(node instanceof RomNode)) return currentValueOf(node);
+  const contents = node instanceof RamNode ? `:${node.contents.join(",")}` : "";
+  return `${node.readData}${contents}`;
+}
+
+function holdsState(node) {
+  return node instanceof FeedbackNode || node instanceof FlipFlopNode;
+}
+
+function currentValueOf(node) {
+  return holdsState(node) ? node.currentValue : node.lastValue;
+}
+
+function nodeName(node) {
+  if (node.name) return node.name;
+  return node instanceof GateNode
+    ? `(unnamed ${node.gateType})`
+    : `(unnamed ${node.constructor.name})`;
+}
@@ -0,0 +1,225 @@
+import { ClockNode, FeedbackNode, SequentialNode } from "./nodes.js";
+import { collectNodes } from "./graph.js";
+import { BDD, circuitBdds, circuitInputOrder } from "./bdd.js";
+
+export const EQUIVALENCE_METHODS = ["auto", "simulation", "bdd"];
+
+// "auto" simulates every input combination up to this many inputs
+const MAX_SIMULATED_INPUTS = 16;
+// Input vectors per evaluateMany() call
+const BATCH_SIZE = 4096;
+
+/**
+ * Proves or disproves that two combinational circuits compute the same
+ * outputs for every input combination. Small circuits are simulated on
+ * every combination, bit-parallel; larger ones are compared as BDDs, which
+ * are equal exactly when the functions are.
+ *
+ * Input vectors and counterexamples are numbered like generateTruthTable()
+ * rows: input 0 first.
+ *
+ * @param {Circuit} circuit
+ * @param {Circuit} other
+ * @param {Object} [options]
+ * @param {"index" | "name" | { inputs: string, outputs: string }} [options.match]
+ *   How inputs and outputs of `other` pair up with the circuit's: by index
+ *   (the default) or by name, for both or separately. By name, `other` may
+ *   leave out inputs the circuit has.
+ * @param {"auto" | "simulation" | "bdd"} [options.method] "auto" simulates
+ *   up to 16 inputs.
+ * @returns {{ equivalent: boolean, method: "simulation" | "bdd",
+ *   counterexample: number[] | null,
+ *   mismatches: Array<{ output: number, name: string,
+ *     expected: number, actual: number }> }}
+ *   On a mismatch, `counterexample` is an input vector of the circuit and
+ *   `mismatches` lists every output that differs for it, by the circuit's
+ *   output index, with the circuit's value as `expected` and the other's as
+ *   `actual`.
+ */
+export function checkEquivalence(
+  circuit,
+  other,
+  { match = "index", method = "auto" } = {},
+) {
+  if (!EQUIVALENCE_METHODS.includes(method)) {
+    throw new Error(
+      `Unknown equivalence method "${method}". Use ${EQUIVALENCE_METHODS.join(", ")}.`,
+    );
+  }
+  const { inputs: inputMatch, outputs: outputMatch } =
+    typeof match === "string" ? { inputs: match, outputs: match } : match;
+  requireCombinational(circuit);
+  requireCombinational(other);
+
+  const otherInputs = pairInputs(circuit, other, inputMatch);
+  const otherOutputs = pairOutputs(circuit, other, outputMatch);
+  const n = Math.max(circuit.inputLength, ...otherInputs.map((i) => i + 1));
+  const compare = new Comparison(circuit, other, otherInputs, otherOutputs);
+
+  if (
+    method === "simulation" ||
+    (method === "auto" && n <= MAX_SIMULATED_INPUTS)
+  ) {
+    return compare.simulate(n);
+  }
+  return compare.withBdds(n);
+}
+
+class Comparison {
+  constructor(circuit, other, otherInputs, otherOutputs) {
+    this.circuit = circuit;
+    this.other = other;
+    this.otherInputs = otherInputs;
+    this.otherOutputs = otherOutputs;
+  }
+
+  simulate(n) {
+    const total = 2 ** n;
+    for (let start = 0; start < total; start += BATCH_SIZE) {
+      const vectors = [];
+      for (let row = start; row < Math.min(total, start + BATCH_SIZE); row++) {
+        vectors.push(
+          Array.from(
+            { length: n },
+            (_, i) => Math.floor(row / 2 ** (n - 1 - i)) % 2,
+          ),
+        );
+      }
+      const expected = this.circuit.evaluateMany(vectors);
+      const actual = this.other.evaluateMany(
+        vectors.map((v) => this.#otherVector(v)),
+      );
+      for (let k = 0; k < vectors.length; k++) {
+        const mismatches = this.#mismatches(expected[k], actual[k]);
+        if (mismatches.length > 0) {
+          return this.#result("simulation", vectors[k], mismatches);
+        }
+      }
+    }
+    return this.#result("simulation", null, []);
+  }
+
+  withBdds(n) {
+    const bdd = new BDD(n, { order: circuitInputOrder(this.circuit, n) });
+    const expected = circuitBdds(this.circuit, bdd);
+    const actual = circuitBdds(this.other, bdd, this.otherInputs);
+    for (let i = 0; i < expected.length; i++) {
+      const difference = bdd.xor(expected[i], actual[this.otherOutputs[i]]);
+      const vector = bdd.satisfyingAssignment(difference);
+      if (vector) {
+        const [values] = this.circuit.evaluateMany([vector]);
+        const [otherValues] = this.other.evaluateMany([
+          this.#otherVector(vector),
+        ]);
+        return this.#result(
+          "bdd",
+          vector,
+          this.#mismatches(values, otherValues),
+        );
+      }
+    }
+    return this.#result("bdd", null, []);
+  }
+
+  #otherVector(vector) {
+    return this.otherInputs.map((i) => vector[i]);
+  }
+
+  #mismatches(expected, actual) {
+    const mismatches = [];
+    expected.forEach((value, i) => {
+      const otherValue = actual[this.otherOutputs[i]];
+      if (value !== otherValue) {
+        mismatches.push({
+          output: i,
+          name: this.circuit.rootNodes[i].name,
+          expected: value,
+          actual: otherValue,
+        });
+      }
+    });
+    return mismatches;
+  }
+
+  #result(method, counterexample, mismatches) {
+    return {
+      equivalent: counterexample === null,
+      method,
+      counterexample,
+      mismatches,
+    };
+  }
+}
+
+function requireCombinational(circuit) {
+  const stateful = collectNodes(circuit.rootNodes).find(
+    (node) =>
+      node instanceof FeedbackNode ||
+      node instanceof SequentialNode ||
+      node instanceof ClockNode,
+  );
+  if (stateful) {
+    throw new Error(
+      `Equivalence checking only compares combinational logic, but "${circuit.name}" has ${stateful.constructor.name} "${stateful.name}".`,
+    );
+  }
+  if (circuit.getInputWidths().some((width) => width > 1)) {
+    throw new Error(
+      `Equivalence checking only supports 1-bit inputs, but "${circuit.name}" has a bus input.`,
+    );
+  }
+}
+
+// For each input of `other`, the circuit input it reads
+function pairInputs(circuit, other, match) {
+  if (match === "index") {
+    return Array.from({ length: other.inputLength }, (_, j) => j);
+  }
+  if (match !== "name") throw new Error(`Unknown match "${match}".`);
+
+  const names = uniqueNames(circuit, circuit.getInputNames(), "input");
+  return uniqueNames(other, other.getInputNames(), "input").map((name) => {
+    const index = names.indexOf(name);
+    if (index === -1) {
+      throw new Error(
+        `"${other.name}" has input "${name}", which "${circuit.name}" does not.`,
+      );
+    }
+    return index;
+  });
+}
+
+// For each circuit output, the output of `other` it is compared with
+function pairOutputs(circuit, other, match) {
+  if (circuit.outputLength !== other.outputLength) {
+    throw new Error(
+      `"${circuit.name}" has ${circuit.outputLength} outputs but "${other.name}" has ${other.outputLength}.`,
+    );
+  }
+  if (match === "index") {
+    return circuit.rootNodes.map((_, i) => i);
+  }
+  if (match !== "name") throw new Error(`Unknown match "${match}".`);
+
+  const names = circuit.rootNodes.map((node) => node.name);
+  const otherNames = other.rootNodes.map((node) => node.name);
+  uniqueNames(circuit, names, "output");
+  uniqueNames(other, otherNames, "output");
+  return names.map((name) => {
+    const index = otherNames.indexOf(name);
+    if (index === -1) {
+      throw new Error(`"${other.name}" has no output named "${name}".`);
+    }
+    return index;
+  });
+}
+
+function uniqueNames(circuit, names, kind) {
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate !== undefined) {
+    throw new Error(
+      `"${circuit.name}" has two ${kind}s named "${duplicate}", so they cannot be matched by name.`,
+    );
+  }
+  return names;
+}
@@ -0,0 +1,386 @@
+import {
+  InputNode,
+  LiteralNode,
+  GateNode,
+  SubCircuitOutputNode,
+} from "./nodes.js";
+
+// Cubes are { mask, value }: bit i of mask is set when input i appears in the
+// product term, and bit i of value is its polarity. Covers are arrays of
+// cubes; the cube with mask 0 is the whole input space. Masks are plain
+// 32-bit integers, which limits covers to this many inputs.
+export const MAX_CUBE_INPUTS = 30;
+
+const UNIVERSE = { mask: 0, value: 0 };
+
+// Gates other than AND/OR/NOT/BUF/NAND/NOR are expanded row by row from
+// their function, so their input count is limited
+const MAX_TABLE_INPUTS = 8;
+
+/**
+ * Sum-of-products covers of a combinational circuit's outputs, built gate by
+ * gate from its structure, so the truth table is never enumerated. Input i
+ * of the circuit is bit i of the cubes. Sub-circuits are expanded in place.
+ *
+ * Only 1-bit combinational logic is supported, but nodes listed in `state`
+ * (such as FeedbackNodes and ClockNodes) are read as extra variables after
+ * the inputs, which covers one tick of a sequential circuit.
+ * @param {Circuit} circuit
+ * @param {Object} [options]
+ * @param {Node[]} [options.state] Nodes to treat as variables.
+ * @param {Node[]} [options.nodes] Nodes to cover, the outputs by default.
+ * @returns {Array<Array<{ mask: number, value: number }>>} One cover per node.
+ */
+export function circuitCovers(
+  circuit,
+  { state = [], nodes = circuit.rootNodes } = {},
+) {
+  const n = circuit.inputLength;
+  if (n + state.length > MAX_CUBE_INPUTS) {
+    throw new Error(
+      `Cube covers support at most ${MAX_CUBE_INPUTS} variables, but "${circuit.name}" needs ${n + state.length}.`,
+    );
+  }
+  const variable = (i) => [{ mask: 1 << i, value: 1 << i }];
+  const inputs = Array.from({ length: n }, (_, i) => variable(i));
+  const memo = new Map(state.map((node, k) => [node, variable(n + k)]));
+  return nodes.map((node) => coverOf(node, circuit, inputs, memo));
+}
+
+/**
+ * The cube of one truth table row, numbered like generateTruthTable():
+ * input 0 is the most significant bit.
+ */
+export function rowCube(row, inputLength) {
+  let value = 0;
+  for (let i = 0; i < inputLength; i++) {
+    if ((row >> (inputLength - 1 - i)) & 1) value |= 1 << i;
+  }
+  return { mask: (2 ** inputLength - 1) | 0, value };
+}
+
+/**
+ * Heuristic two-level minimization in the style of Espresso: starting from
+ * any cover of the function, it repeats EXPAND (grow each cube into a prime
+ * implicant), IRREDUNDANT (drop cubes the others already cover) and REDUCE
+ * (shrink each cube to what only it covers, so the next EXPAND can grow it
+ * in a better direction) until the cover stops getting cheaper. The result
+ * is prime and irredundant, but not necessarily the smallest cover.
+ *
+ * All checks are tautology tests on cofactors, so it works from the cubes
+ * alone and scales with the size of the covers rather than 2^inputs.
+ *
+ * @param {Array<{ mask: number, value: number }>} onSet
+ * @param {Array<{ mask: number, value: number }>} [dcSet] Don't-care cubes.
+ * @returns {Array<{ mask: number, value: number }>}
+ */
+export function espresso(onSet, dcSet = []) {
+  let cover = irredundant(expand(absorb(onSet), dcSet), dcSet);
+  for (;;) {
+    const next = irredundant(expand(reduce(cover, dcSet), dcSet), dcSet);
+    if (!cheaper(next, cover)) return cover;
+    cover = next;
+  }
+}
+
+/**
+ * Whether a cover includes every point of the input space.
+ */
+export function isTautology(cover) {
+  if (cover.some((cube) => cube.mask === 0)) return true;
+  if (cover.length === 0) return false;
+
+  // A unate cover without the universal cube always misses a corner
+  const split = splittingVariable(cover, { binateOnly: true });
+  if (split === -1) return false;
+  return (
+    isTautology(cofactor(cover, literal(split, 0))) &&
+    isTautology(cofactor(cover, literal(split, 1)))
+  );
+}
+
+/**
+ * A cover of every point the given cover misses.
+ */
+export function complement(cover) {
+  if (cover.length === 0) return [UNIVERSE];
+  if (cover.some((cube) => cube.mask === 0)) return [];
+  if (cover.length === 1) {
+    // De Morgan: one cube per negated literal
+    return bitsOf(cover[0].mask).map((i) =>
+      literal(i, ((cover[0].value >> i) & 1) ^ 1),
+    );
+  }
+
+  const split = splittingVariable(cover);
+  const low = complement(cofactor(cover, literal(split, 0)));
+  const high = complement(cofactor(cover, literal(split, 1)));
+  // Cubes in both halves do not depend on the splitting variable
+  const highKeys = new Set(high.map(cubeKey));
+  const lowKeys = new Set(low.map(cubeKey));
+  return absorb([
+    ...low.map((cube) =>
+      highKeys.has(cubeKey(cube)) ? cube : intersect(cube, literal(split, 0)),
+    ),
+    ...high
+      .filter((cube) => !lowKeys.has(cubeKey(cube)))
+      .map((cube) => intersect(cube, literal(split, 1))),
+  ]);
+}
+
+/**
+ * Whether two covers describe the same function.
+ */
+export function coversEqual(a, b) {
+  return (
+    a.every((cube) => coversCube(b, cube)) &&
+    b.every((cube) => coversCube(a, cube))
+  );
+}
+
+/**
+ * Number of literals in a cube.
+ */
+export function literalCount(cube) {
+  let count = 0;
+  for (let mask = cube.mask; mask; mask &= mask - 1) count++;
+  return count;
+}
+
+function expand(cover, dcSet) {
+  // The function never changes while expanding, so checks use the input cover
+  const care = [...cover, ...dcSet];
+  let primes = [];
+  // Grow the biggest cubes first; smaller ones often end up inside them
+  for (const cube of [...cover].sort(byLiterals)) {
+    if (primes.some((prime) => contains(prime, cube))) continue;
+
+    let expanded = cube;
+    for (const i of bitsOf(cube.mask)) {
+      const raised = {
+        mask: expanded.mask & ~(1 << i),
+        value: expanded.value & ~(1 << i),
+      };
+      if (coversCube(care, raised)) expanded = raised;
+    }
+    primes = primes.filter((prime) => !contains(expanded, prime));
+    primes.push(expanded);
+  }
+  return primes;
+}
+
+function irredundant(cover, dcSet) {
+  let result = cover;
+  // Try the smallest cubes first, they are the likeliest to be redundant
+  for (const cube of [...cover].sort(byLiterals).reverse()) {
+    const others = result.filter((other) => other !== cube);
+    if (coversCube([...others, ...dcSet], cube)) result = others;
+  }
+  return result;
+}
+
+function reduce(cover, dcSet) {
+  const result = [...cover];
+  for (const cube of [...cover].sort(byLiterals)) {
+    const index = result.indexOf(cube);
+    const rest = [...result.filter((other) => other !== cube), ...dcSet];
+    // The part of the cube nothing else covers, in the cube's own subspace
+    const needed = complement(cofactor(rest, cube));
+    if (needed.length === 0) {
+      result.splice(index, 1);
+    } else {
+      result[index] = intersect(cube, supercube(needed));
+    }
+  }
+  return result;
+}
+
+function outputCovers(circuit, inputs, memo) {
+  return circuit.rootNodes.map((node) => coverOf(node, circuit, inputs, memo));
+}
+
+function coverOf(node, circuit, inputs, memo) {
+  if (memo.has(node)) return memo.get(node);
+  if ((node.width ?? 1) > 1) {
+    throw new Error(
+      `Cube covers only support 1-bit signals, but "${node.name}" is ${node.width} bits wide.`,
+    );
+  }
+
+  let cover;
+  if (node instanceof InputNode) {
+    cover = inputs[node.index];
+  } else if (node instanceof LiteralNode) {
+    cover = node.value ? [UNIVERSE] : [];
+  } else if (node instanceof GateNode) {
+    const gateFunc = node.resolveGate(circuit);
+    if (typeof gateFunc !== "function") {
+      throw new Error(`Gate "${node.gateType}" is not registered.`);
+    }
+    cover = gateCover(
+      node,
+      gateFunc,
+      node.inputNodes.map((child) => coverOf(child, circuit, inputs, memo)),
+    );
+  } else if (node instanceof SubCircuitOutputNode) {
+    // Every composite owns its sub-circuit's nodes, so one memo serves all
+    const composite = node.compositeNode;
+    if (!memo.has(composite)) {
+      const subInputs = composite.inputNodes.map((child) =>
+        coverOf(child, circuit, inputs, memo),
+      );
+      memo.set(composite, outputCovers(composite.subCircuit, subInputs, memo));
+    }
+    cover = memo.get(composite)[node.outputIndex];
+  } else {
+    throw new Error(
+      `Cube covers do not support ${node.constructor.name} "${node.name}".`,
+    );
+  }
+
+  memo.set(node, cover);
+  return cover;
+}
+
+function gateCover(node, gateFunc, covers) {
+  switch (node.gateType) {
+    case "BUF":
+      return covers[0];
+    case "NOT":
+      return complement(covers[0]);
+    case "AND":
+      return covers.reduce(product, [UNIVERSE]);
+    case "NAND":
+      return complement(covers.reduce(product, [UNIVERSE]));
+    case "OR":
+      return absorb(covers.flat());
+    case "NOR":
+      return complement(absorb(covers.flat()));
+  }
+
+  if (covers.length > MAX_TABLE_INPUTS) {
+    throw new Error(
+      `Cube covers support at most ${MAX_TABLE_INPUTS} inputs on ${node.gateType} gates, but "${node.name}" has ${covers.length}.`,
+    );
+  }
+  const complements = covers.map(complement);
+  const result = [];
+  for (let row = 0; row < 1 << covers.length; row++) {
+    const bits = covers.map((_, i) => (row >> (covers.length - 1 - i)) & 1);
+    if (!gateFunc(bits)) continue;
+    result.push(
+      ...bits.reduce(
+        (cover, bit, i) => product(cover, bit ? covers[i] : complements[i]),
+        [UNIVERSE],
+      ),
+    );
+  }
+  return absorb(result);
+}
+
+// Whether a cube lies inside a cover: the cover restricted to the cube must
+// be a tautology
+function coversCube(cover, cube) {
+  return isTautology(cofactor(cover, cube));
+}
+
+// The cover restricted to a cube, with the cube's variables removed
+function cofactor(cover, cube) {
+  const result = [];
+  for (const other of cover) {
+    if ((other.value ^ cube.value) & other.mask & cube.mask) continue;
+    result.push({
+      mask: other.mask & ~cube.mask,
+      value: other.value & ~cube.mask,
+    });
+  }
+  return result;
+}
+
+function product(a, b) {
+  const result = [];
+  for (const x of a) {
+    for (const y of b) {
+      const cube = intersect(x, y);
+      if (cube) result.push(cube);
+    }
+  }
+  return absorb(result);
+}
+
+function intersect(a, b) {
+  if ((a.value ^ b.value) & a.mask & b.mask) return null;
+  return { mask: a.mask | b.mask, value: a.value | b.value };
+}
+
+// Whether cube a includes cube b
+function contains(a, b) {
+  return (a.mask & ~b.mask) === 0 && ((a.value ^ b.value) & a.mask) === 0;
+}
+
+// Smallest cube that includes all the given cubes
+function supercube(cubes) {
+  let mask = cubes.reduce((acc, cube) => acc & cube.mask, -1);
+  for (const cube of cubes) mask &= ~(cube.value ^ cubes[0].value);
+  return { mask, value: cubes[0].value & mask };
+}
+
+// Drops cubes contained in other cubes of the cover
+function absorb(cover) {
+  const kept = [];
+  for (const cube of [...cover].sort(byLiterals)) {
+    if (!kept.some((other) => contains(other, cube))) kept.push(cube);
+  }
+  return kept;
+}
+
+// Most binate variable, or the most used one when binateOnly is false;
+// -1 when there is none
+function splittingVariable(cover, { binateOnly = false } = {}) {
+  const ones = new Array(MAX_CUBE_INPUTS).fill(0);
+  const zeros = new Array(MAX_CUBE_INPUTS).fill(0);
+  for (const cube of cover) {
+    for (const i of bitsOf(cube.mask)) {
+      if ((cube.value >> i) & 1) ones[i]++;
+      else zeros[i]++;
+    }
+  }
+  let best = -1;
+  let bestScore = 0;
+  for (let i = 0; i < MAX_CUBE_INPUTS; i++) {
+    if (binateOnly && (ones[i] === 0 || zeros[i] === 0)) continue;
+    const score = ones[i] + zeros[i];
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function literal(i, polarity) {
+  return { mask: 1 << i, value: polarity << i };
+}
+
+function bitsOf(mask) {
+  const bits = [];
+  for (let i = 0; i < MAX_CUBE_INPUTS; i++) {
+    if ((mask >> i) & 1) bits.push(i);
+  }
+  return bits;
+}
+
+function byLiterals(a, b) {
+  return literalCount(a) - literalCount(b);
+}
+
+function cubeKey(cube) {
+  return `${cube.mask}/${cube.value}`;
+}
+
+function cheaper(a, b) {
+  if (a.length !== b.length) return a.length < b.length;
+  const literals = (cover) =>
+    cover.reduce((sum, cube) => sum + literalCount(cube), 0);
+  return literals(a) < literals(b);
+}
@@ -0,0 +1,535 @@
+import { Circuit } from "./circuit.js";
+import {
+  InputNode,
+  ClockNode,
+  LiteralNode,
+  GateNode,
+  LutNode,
+  FeedbackNode,
+  FlipFlopNode,
+  LatchNode,
+  FLIP_FLOP_TYPES,
+} from "./nodes.js";
+import { resolveStandardGate } from "./common-gates.js";
+
+// Binary operators from loosest to tightest binding. NOT binds tighter still.
+const BINARY_LEVELS = [
+  { OR: "OR", NOR: "NOR", "|": "OR" },
+  { XOR: "XOR", XNOR: "XNOR", "^": "XOR" },
+  { AND: "AND", NAND: "NAND", "&": "AND" },
+];
+const NOT_OPERATORS = new Set(["NOT", "!", "~", "¬"]);
+const KEYWORDS = new Set(["AND", "OR", "XOR", "NAND", "NOR", "XNOR", "NOT"]);
+// Inverting operators do not group, so `A NAND B NAND C` has no one meaning
+const UNCHAINABLE = new Set(["NAND", "NOR", "XNOR"]);
+
+// Flip-flop and latch calls, as FlipFlopNode.toString() prints them
+const FLIP_FLOP_CALLS = {
+  DFF: { type: "D", latch: false },
+  TFF: { type: "T", latch: false },
+  JKFF: { type: "JK", latch: false },
+  SRFF: { type: "SR", latch: false },
+  DLATCH: { type: "D", latch: true },
+  SRLATCH: { type: "SR", latch: true },
+};
+// Named flip-flop pins and the options they set
+const FLIP_FLOP_PINS = { EN: "enable", SET: "set", RST: "reset" };
+
+/**
+ * Builds a Circuit from boolean expressions, the inverse of
+ * Circuit.toString().
+ *
+ * The source holds one statement per line (or separated by ";"); "#" and
+ * "//" start comments. A statement is either a bare expression, an output
+ * `Output[i] = expr`, or a definition `NAME = expr`. Definitions name a
+ * signal that other statements can use; a definition that depends on itself,
+ * directly or through others, becomes a FeedbackNode holding last tick's
+ * value, so `Q = D & EN | Q & !EN` is a latch. When the source has no bare
+ * expressions or Output[i] lines, every definition is an output, in order.
+ * In sources with Output[i] lines, the form Circuit.toString() prints, every
+ * definition is a FeedbackNode, since that is what toString() defines.
+ *
+ * Operators, tightest first: NOT (`!`, `~`, `¬`), AND/NAND (`&`), XOR/XNOR
+ * (`^`), OR/NOR (`|`). Keywords are case-insensitive. A run of AND, OR or
+ * XOR, such as `A & B & C`, builds one n-ary gate; parentheses keep nested
+ * gates apart. NAND, NOR and XNOR do not chain: write `(A NAND B) NAND C`,
+ * or `NAND(A, B, C)` for one gate, as toString() does. Standard gates can
+ * be called like functions (`MUX2(A, B, S)`), tables as `LUT[0110](A, B)`,
+ * and `0` and `1` are constants. Flip-flops and latches are written the way toString()
+ * prints them: `Q = DFF(D, ↑CLK, EN: E, RST: R)` captures on the rising
+ * (`↑`) or falling (`↓`) edge, `L = DLATCH(D, G)` is transparent while G is
+ * 1 (`¬G` for 0), and TFF, JKFF, SRFF and SRLATCH take their data inputs in
+ * the order of FLIP_FLOP_TYPES. A definition that reads itself through a
+ * flip-flop is not a FeedbackNode, since the flip-flop holds the state.
+ * Any other name is an input, except the names in `clocks`, which read the
+ * circuit's setClock() clock.
+ *
+ * @param {string} source
+ * @param {Object} [options]
+ * @param {string} [options.name] Circuit name.
+ * @param {string[]} [options.inputs] Input names in index order. Inputs not
+ *   listed are numbered after them, in order of first use.
+ * @param {number} [options.delay] Delay of every gate.
+ * @param {Object<string, number>} [options.initialValues] Initial values of
+ *   feedback and flip-flop definitions, 0 when not given.
+ * @param {string[]} [options.clocks] Names that read the clock rather than
+ *   an input; just CLK when not given. Give the CLK_XXXXX names that
+ *   unnamed ClockNodes print as here to parse them back.
+ * @returns {Circuit}
+ */
+export function parseExpression(
+  source,
+  {
+    name = "Expression",
+    inputs = [],
+    delay = 0,
+    initialValues = {},
+    clocks = ["CLK"],
+  } = {},
+) {
+  const definitions = new Map();
+  const outputs = [];
+  const statements = [];
+  let bareOutputs = 0;
+  let indexedOutputs = false;
+
+  source.split("\n").forEach((line, lineIndex) => {
+    // Statements after a ";" are padded so columns count from the line start
+    let offset = 0;
+    for (const text of line.replace(/(#|\/\/).*$/, "").split(";")) {
+      const statement = " ".repeat(offset) + text;
+      offset += text.length + 1;
+      if (statement.trim() === "") continue;
+
+      const target = /^\s*(?:Output\[(\d+)\]|([A-Za-z_]\w*))\s*=(?!=)/.exec(
+        statement,
+      );
+      const column = target ? target[0].length : 0;
+      const ast = new Parser(statement, lineIndex + 1, column).parseStatement();
+      statements.push(ast);
+
+      if (target?.[2]) {
+        if (definitions.has(target[2])) {
+          throw new Error(`"${target[2]}" is defined twice.`);
+        }
+        definitions.set(target[2], {
+          ast,
+          node: null,
+          feedback: null,
+          building: false,
+        });
+      } else {
+        indexedOutputs ||= Boolean(target);
+        const index = target ? Number(target[1]) : bareOutputs++;
+        if (outputs[index]) {
+          throw new Error(`Output[${index}] is defined twice.`);
+        }
+        outputs[index] = ast;
+      }
+    }
+  });
+
+  const builder = new CircuitBuilder(definitions, statements, {
+    inputs,
+    delay,
+    initialValues,
+    clocks,
+    allFeedback: indexedOutputs,
+  });
+  let rootNodes;
+  if (outputs.length > 0) {
+    for (let i = 0; i < outputs.length; i++) {
+      if (!outputs[i]) throw new Error(`Output[${i}] is not defined.`);
+    }
+    rootNodes = outputs.map((ast) => builder.build(ast));
+  } else {
+    rootNodes = [...definitions.keys()].map((defined) =>
+      builder.signal(defined),
+    );
+  }
+  // Definitions no output reaches still get built, so mistakes show up
+  definitions.forEach((_, defined) => builder.signal(defined));
+
+  if (rootNodes.length === 0) {
+    throw new Error("The expression source has no outputs.");
+  }
+  const circuit = new Circuit(name, rootNodes);
+  definitions.forEach(({ feedback }) => {
+    if (feedback) circuit.registerFeedbackNode(feedback);
+  });
+  return circuit;
+}
+
+/**
+ * Recursive-descent parser for one statement. Produces a small syntax tree:
+ * { kind: "name", name }, { kind: "literal", value },
+ * { kind: "gate", gateType, args }, { kind: "lut", truthTable, args } or
+ * { kind: "flipflop", type, latch, trigger, pins, args }, where `pins` names
+ * each of the args: "data", "clock" or an option of FlipFlopNode.
+ */
+class Parser {
+  constructor(text, line, start) {
+    this.text = text;
+    this.line = line;
+    this.tokens = tokenize(text, start, line);
+    this.position = 0;
+  }
+
+  parseStatement() {
+    const ast = this.parseLevel(0);
+    if (this.peek()) this.fail(`Unexpected "${this.peek().text}"`, this.peek());
+    return ast;
+  }
+
+  parseLevel(level) {
+    if (level === BINARY_LEVELS.length) return this.parseUnary();
+
+    const operators = BINARY_LEVELS[level];
+    let ast = this.parseLevel(level + 1);
+    let run = null;
+    for (;;) {
+      const operator = this.peek();
+      const gateType = operators[operator?.key];
+      if (!gateType) return ast;
+      if (run?.gateType === gateType && UNCHAINABLE.has(gateType)) {
+        this.fail(
+          `${gateType} does not chain; use parentheses or ${gateType}(...)`,
+          operator,
+        );
+      }
+      this.position++;
+      const operand = this.parseLevel(level + 1);
+      // Extend a run of the same operator into one n-ary gate
+      if (run && run.gateType === gateType) {
+        run.args.push(operand);
+      } else {
+        run = { kind: "gate", gateType, args: [ast, operand] };
+        ast = run;
+      }
+    }
+  }
+
+  parseUnary() {
+    if (NOT_OPERATORS.has(this.peek()?.key)) {
+      this.position++;
+      return { kind: "gate", gateType: "NOT", args: [this.parseUnary()] };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next("an input, constant or (");
+    if (token.key === "(") {
+      const ast = this.parseLevel(0);
+      this.expect(")");
+      return ast;
+    }
+    if (token.kind === "number") {
+      if (token.text !== "0" && token.text !== "1") {
+        this.fail(`Constant ${token.text} is not 0 or 1`, token);
+      }
+      return { kind: "literal", value: Number(token.text) };
+    }
+    if (token.kind === "lut") {
+      return {
+        kind: "lut",
+        truthTable: token.table,
+        args: this.parseArguments(),
+      };
+    }
+    if (token.kind === "name") {
+      if (this.peek()?.key === "(" && FLIP_FLOP_CALLS[token.key]) {
+        return this.parseFlipFlop(FLIP_FLOP_CALLS[token.key]);
+      }
+      if (this.peek()?.key === "(") {
+        const gateType = token.text.toUpperCase();
+        if (!resolveStandardGate(gateType)) {
+          this.fail(`Unknown gate "${token.text}"`, token);
+        }
+        return { kind: "gate", gateType, args: this.parseArguments() };
+      }
+      if (KEYWORDS.has(token.key)) {
+        this.fail(`Expected an input before "${token.text}"`, token);
+      }
+      return { kind: "name", name: token.text };
+    }
+    this.fail(`Unexpected "${token.text}"`, token);
+  }
+
+  parseArguments() {
+    this.expect("(");
+    const args = [this.parseLevel(0)];
+    while (this.peek()?.key === ",") {
+      this.position++;
+      args.push(this.parseLevel(0));
+    }
+    this.expect(")");
+    return args;
+  }
+
+  // The data inputs and the clock, then any named pins; a flip-flop with
+  // only set and reset has just the named pins
+  parseFlipFlop({ type, latch }) {
+    const ast = {
+      kind: "flipflop",
+      type,
+      latch,
+      trigger: null,
+      pins: [],
+      args: [],
+    };
+    const add = (pin, arg) => {
+      ast.pins.push(pin);
+      ast.args.push(arg);
+    };
+    const isNamedPin = () => this.tokens[this.position + 1]?.key === ":";
+
+    this.expect("(");
+    if (!isNamedPin()) {
+      const inputs = FLIP_FLOP_TYPES[type];
+      const kind = latch ? "latch" : "flip-flop";
+      for (let i = 0; i < inputs.length; i++) {
+        const token = this.peek();
+        if (!token || token.key === "↑" || token.key === "↓") {
+          this.fail(
+            `${type} ${kind} needs inputs ${inputs.join(", ")} before the clock`,
+            token,
+          );
+        }
+        add("data", this.parseLevel(0));
+        this.expect(",");
+      }
+      if (latch) {
+        let gate = this.parseLevel(0);
+        ast.trigger = "high";
+        if (gate.kind === "gate" && gate.gateType === "NOT") {
+          [gate] = gate.args;
+          ast.trigger = "low";
+        }
+        add("clock", gate);
+      } else {
+        const mark = this.next("↑ or ↓ before the clock");
+        if (mark.key !== "↑" && mark.key !== "↓") {
+          this.fail(
+            `Expected ↑ or ↓ before the clock but found "${mark.text}"`,
+            mark,
+          );
+        }
+        ast.trigger = mark.key === "↑" ? "rising" : "falling";
+        add("clock", this.parseLevel(0));
+      }
+    }
+    while (ast.pins.length > 0 ? this.peek()?.key === "," : isNamedPin()) {
+      if (ast.pins.length > 0) this.position++;
+      const pin = this.next("EN, SET or RST");
+      const option = FLIP_FLOP_PINS[pin.key];
+      if (!option || ast.pins.includes(option)) {
+        this.fail(`Unexpected pin "${pin.text}"`, pin);
+      }
+      this.expect(":");
+      add(option, this.parseLevel(0));
+    }
+    this.expect(")");
+    return ast;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next(expected) {
+    const token = this.tokens[this.position++];
+    if (!token) this.fail(`Expected ${expected} at the end of the line`);
+    return token;
+  }
+
+  expect(key) {
+    const token = this.next(`"${key}"`);
+    if (token.key !== key) {
+      this.fail(`Expected "${key}" but found "${token.text}"`, token);
+    }
+  }
+
+  fail(message, token = null) {
+    const column = token ? token.column : this.text.length + 1;
+    throw new Error(`${message} (line ${this.line}, column ${column}).`);
+  }
+}
+
+function tokenize(text, start, line) {
+  const pattern = /(LUT\[([01]+)\])|([A-Za-z_]\w*)|(\d+)|([()&|^!~¬,:↑↓])/y;
+  const tokens = [];
+  let index = start;
+  for (;;) {
+    while (/\s/.test(text[index] ?? "")) index++;
+    if (index >= text.length) return tokens;
+
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    const column = index + 1;
+    if (!match) {
+      throw new Error(
+        `Unexpected character "${text[index]}" (line ${line}, column ${column}).`,
+      );
+    }
+    index = pattern.lastIndex;
+    const [, lut, table, name, number, symbol] = match;
+    if (lut) {
+      tokens.push({ kind: "lut", text: lut, key: "LUT", table, column });
+    } else if (name) {
+      tokens.push({
+        kind: "name",
+        text: name,
+        key: name.toUpperCase(),
+        column,
+      });
+    } else if (number) {
+      tokens.push({ kind: "number", text: number, key: number, column });
+    } else {
+      tokens.push({ kind: "symbol", text: symbol, key: symbol, column });
+    }
+  }
+}
+
+/**
+ * Turns syntax trees into nodes, sharing one node per name.
+ */
+class CircuitBuilder {
+  constructor(
+    definitions,
+    statements,
+    { inputs, delay, initialValues, clocks, allFeedback },
+  ) {
+    this.definitions = definitions;
+    this.delay = delay;
+    this.initialValues = initialValues;
+    this.allFeedback = allFeedback;
+    this.inputNodes = new Map();
+    this.clockNames = new Set(clocks);
+    this.clockNodes = new Map();
+
+    // Inputs are numbered before building, in order of first use
+    inputs.forEach((input) => this.#input(input));
+    statements.forEach((ast) => this.#declareInputs(ast));
+  }
+
+  build(ast) {
+    switch (ast.kind) {
+      case "literal":
+        return new LiteralNode(ast.value, String(ast.value));
+      case "name":
+        return this.signal(ast.name);
+      case "lut":
+        return new LutNode(
+          ast.args.map((arg) => this.build(arg)),
+          { truthTable: ast.truthTable },
+          this.delay,
+        );
+      case "gate":
+        return new GateNode(
+          ast.gateType,
+          ast.args.map((arg) => this.build(arg)),
+          this.delay,
+        );
+      case "flipflop":
+        return this.#flipFlop(ast);
+    }
+  }
+
+  signal(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      if (this.clockNames.has(name)) {
+        if (!this.clockNodes.has(name)) {
+          this.clockNodes.set(name, new ClockNode(name));
+        }
+        return this.clockNodes.get(name);
+      }
+      return this.#input(name);
+    }
+    if (definition.node) return definition.node;
+    if (definition.ast.kind === "flipflop") {
+      return this.#flipFlop(definition.ast, name, definition);
+    }
+
+    // Reached again while building its own expression: a feedback loop
+    if (definition.building) return this.#feedbackFor(name, definition);
+
+    if (this.allFeedback) {
+      // Set before building so that references to itself close the loop
+      definition.node = this.#feedbackFor(name, definition);
+      definition.node.inputNode = this.build(definition.ast);
+      return definition.node;
+    }
+
+    definition.building = true;
+    let node = this.build(definition.ast);
+    definition.building = false;
+
+    if (definition.feedback) {
+      definition.feedback.inputNode = node;
+      node = definition.feedback;
+    } else if (
+      definition.ast.kind === "gate" ||
+      definition.ast.kind === "lut"
+    ) {
+      node.name = name;
+    } else {
+      // A plain alias still gets a node of its own to carry the name
+      node = new GateNode("BUF", [node], this.delay, name);
+    }
+    definition.node = node;
+    return node;
+  }
+
+  // The node is made first and wired up after, so that its inputs can read
+  // it back without a FeedbackNode in between
+  #flipFlop(ast, name, definition = null) {
+    const initialValue = this.initialValues[name] ?? 0;
+    const node = ast.latch
+      ? new LatchNode(ast.type, [], { level: ast.trigger, initialValue }, name)
+      : new FlipFlopNode(
+          ast.type,
+          [],
+          { edge: ast.trigger ?? undefined, initialValue },
+          name,
+        );
+    if (definition) definition.node = node;
+
+    const pins = ast.args.map((arg) => this.build(arg));
+    const pin = (option) => pins[ast.pins.indexOf(option)] ?? null;
+    node.dataNodes = pins.filter((_, i) => ast.pins[i] === "data");
+    node.clockNode = pin("clock");
+    node.enableNode = pin("enable");
+    node.setNode = pin("set");
+    node.resetNode = pin("reset");
+    return node;
+  }
+
+  #feedbackFor(name, definition) {
+    definition.feedback ??= new FeedbackNode(
+      null,
+      this.initialValues[name] ?? 0,
+      0,
+      name,
+    );
+    return definition.feedback;
+  }
+
+  #input(name) {
+    if (!this.inputNodes.has(name)) {
+      this.inputNodes.set(name, new InputNode(this.inputNodes.size, name));
+    }
+    return this.inputNodes.get(name);
+  }
+
+  #declareInputs(ast) {
+    if (ast.kind === "name") {
+      if (!this.definitions.has(ast.name) && !this.clockNames.has(ast.name)) {
+        this.#input(ast.name);
+      }
+    } else if (ast.args) {
+      ast.args.forEach((arg) => this.#declareInputs(arg));
+    }
+  }
+}
@@ -0,0 +1,150 @@
+import {
+  GateNode,
+  FeedbackNode,
+  CompositeNode,
+  SubCircuitOutputNode,
+  SliceNode,
+  ConcatNode,
+  SequentialNode,
+} from "./nodes.js";
+
+/**
+ * The nodes a node reads from. A FeedbackNode only reads its input when
+ * `throughFeedback` is set, since it otherwise acts as a source that holds
+ * last tick's value.
+ */
+export function childNodesOf(node, { throughFeedback = false } = {}) {
+  if (node instanceof FeedbackNode) {
+    return throughFeedback && node.inputNode ? [node.inputNode] : [];
+  }
+  if (node instanceof SequentialNode) {
+    // Only asynchronous memory reads pass an input through within a tick
+    return throughFeedback ? node.inputNodes : node.combinationalInputNodes;
+  }
+  if (
+    node instanceof GateNode ||
+    node instanceof ConcatNode ||
+    node instanceof CompositeNode
+  ) {
+    return node.inputNodes;
+  }
+  if (node instanceof SliceNode) return [node.inputNode];
+  if (node instanceof SubCircuitOutputNode) return [node.compositeNode];
+  return [];
+}
+
+/**
+ * Every node reachable from `startNodes`, in discovery order.
+ */
+export function collectNodes(startNodes, options = {}) {
+  const seen = new Set();
+  const stack = [...startNodes].reverse();
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || seen.has(node)) continue;
+    seen.add(node);
+    const children = childNodesOf(node, options);
+    for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+  }
+  return [...seen];
+}
+
+/**
+ * Tarjan's algorithm. Returns the strongly connected components that contain
+ * a cycle: more than one node, or a single node that reads itself. The depth
+ * first search keeps its own stack, so long chains of gates cannot overflow
+ * the call stack.
+ */
+export function findCycles(nodes, options = {}) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  const visit = (node) => {
+    index.set(node, counter);
+    low.set(node, counter);
+    counter++;
+    stack.push(node);
+    onStack.add(node);
+    return { node, children: childNodesOf(node, options), next: 0 };
+  };
+
+  const connect = (root) => {
+    const frames = [visit(root)];
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const { node, children } = frame;
+      if (frame.next < children.length) {
+        const child = children[frame.next++];
+        if (!child) continue;
+        if (!index.has(child)) {
+          frames.push(visit(child));
+        } else if (onStack.has(child)) {
+          low.set(node, Math.min(low.get(node), index.get(child)));
+        }
+        continue;
+      }
+
+      // All children done: pass the low link up, then close the component
+      frames.pop();
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1].node;
+        low.set(parent, Math.min(low.get(parent), low.get(node)));
+      }
+      if (low.get(node) === index.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+
+        const selfLoop = children.includes(node);
+        if (component.length > 1 || selfLoop) components.push(component);
+      }
+    }
+  };
+
+  for (const node of nodes) {
+    if (!index.has(node)) connect(node);
+  }
+  return components;
+}
+
+/**
+ * Orders the nodes of one strongly connected component along a cycle, in
+ * signal-flow order (each node drives the next, the last drives the first).
+ * Members that are not on that particular cycle are appended at the end.
+ */
+export function orderCycle(component, options = {}) {
+  const members = new Set(component);
+  const start = component[0];
+
+  // Breadth-first search back to the start node through the component
+  const parent = new Map([[start, null]]);
+  const queue = [start];
+  let closing = null;
+  while (queue.length > 0 && !closing) {
+    const node = queue.shift();
+    for (const child of childNodesOf(node, options)) {
+      if (child === start) {
+        closing = node;
+        break;
+      }
+      if (members.has(child) && !parent.has(child)) {
+        parent.set(child, node);
+        queue.push(child);
+      }
+    }
+  }
+
+  // Walking parents yields the cycle in signal-flow order
+  const cycle = [];
+  for (let node = closing; node; node = parent.get(node)) cycle.push(node);
+  const onCycle = new Set(cycle);
+  return [...cycle, ...component.filter((n) => !onCycle.has(n))];
+}
@@ -0,0 +1,143 @@
+import {
+  ClockNode,
+  LiteralNode,
+  InputNode,
+  GateNode,
+  SubCircuitOutputNode,
+} from "./nodes.js";
+
+// Change counts are capped here (keeping their parity); anything above 3 is
+// already a dynamic hazard, so the exact count no longer matters
+const MAX_CHANGES = 5;
+// Interleavings of the switching inputs of one gate that are searched at
+// most; there are (changes + 1) per switching input multiplied together
+const MAX_GATE_STATES = 1 << 20;
+
+/**
+ * Transition counting over the gate network, assuming every gate and wire may
+ * have any delay. Each signal is described by its value before the input
+ * transition (`start`) and the largest number of times it can change before
+ * settling (`changes`): 0 or 1 is clean, an even count of 2 or more is a
+ * static hazard and an odd count of 3 or more a dynamic hazard. A gate
+ * whose switching inputs can interleave in more than MAX_GATE_STATES ways
+ * is an error rather than a search that never ends.
+ *
+ * Only 1-bit combinational logic is supported.
+ * @returns {Array<{ start: number, changes: number }>} One entry per output.
+ */
+export function transitionWaveforms(circuit, before, after) {
+  const inputs = before.map((value, i) => ({
+    start: value,
+    changes: value === after[i] ? 0 : 1,
+  }));
+  return outputWaveforms(circuit, inputs, new Map());
+}
+
+/**
+ * Classifies a waveform from transitionWaveforms().
+ * @returns {"static-0" | "static-1" | "dynamic" | null}
+ */
+export function hazardType({ start, changes }) {
+  if (changes >= 2 && changes % 2 === 0) return start ? "static-1" : "static-0";
+  if (changes >= 3) return "dynamic";
+  return null;
+}
+
+function outputWaveforms(circuit, inputs, memo) {
+  return circuit.rootNodes.map((node) =>
+    waveformOf(node, circuit, inputs, memo),
+  );
+}
+
+function waveformOf(node, circuit, inputs, memo) {
+  if (memo.has(node)) return memo.get(node);
+
+  let waveform;
+  if (node instanceof InputNode) {
+    waveform = inputs[node.index];
+  } else if (node instanceof LiteralNode) {
+    waveform = { start: node.value, changes: 0 };
+  } else if (node instanceof ClockNode) {
+    waveform = { start: circuit.getClock(node.domain), changes: 0 };
+  } else if (node instanceof GateNode) {
+    const gateFunc = node.resolveGate(circuit);
+    if (typeof gateFunc !== "function") {
+      throw new Error(`Gate "${node.gateType}" is not registered.`);
+    }
+    waveform = gateWaveform(
+      node,
+      gateFunc,
+      node.inputNodes.map((child) => waveformOf(child, circuit, inputs, memo)),
+    );
+  } else if (node instanceof SubCircuitOutputNode) {
+    // Every composite owns its sub-circuit's nodes, so one memo serves all
+    const composite = node.compositeNode;
+    if (!memo.has(composite)) {
+      const subInputs = composite.inputNodes.map((child) =>
+        waveformOf(child, circuit, inputs, memo),
+      );
+      memo.set(
+        composite,
+        outputWaveforms(composite.subCircuit, subInputs, memo),
+      );
+    }
+    waveform = memo.get(composite)[node.outputIndex];
+  } else {
+    throw new Error(
+      `Hazard analysis does not support ${node.constructor.name} "${node.name}".`,
+    );
+  }
+
+  memo.set(node, waveform);
+  return waveform;
+}
+
+/**
+ * The changing inputs can switch in any interleaving. Walks the grid of how
+ * far each one has got and keeps the most output changes along any route.
+ */
+function gateWaveform(node, gateFunc, inputs) {
+  const valuesAt = (positions) =>
+    inputs.map((w, i) => w.start ^ (positions[i] & 1));
+  const start = gateFunc(valuesAt(inputs.map(() => 0)));
+
+  const moving = inputs.map((w, i) => i).filter((i) => inputs[i].changes > 0);
+  if (moving.length === 0) return { start, changes: 0 };
+
+  const radix = moving.map((i) => inputs[i].changes + 1);
+  const states = radix.reduce((a, b) => a * b, 1);
+  if (states > MAX_GATE_STATES) {
+    throw new Error(
+      `Hazard analysis cannot order the changes of ${moving.length} switching inputs of gate "${node.name}": ${states} interleavings is more than ${MAX_GATE_STATES}.`,
+    );
+  }
+  const best = new Array(states).fill(0);
+  const output = new Array(states);
+
+  // Mixed-radix state numbering: every predecessor has a smaller index
+  const positions = inputs.map(() => 0);
+  for (let state = 0; state < states; state++) {
+    let rest = state;
+    moving.forEach((input, k) => {
+      positions[input] = rest % radix[k];
+      rest = Math.floor(rest / radix[k]);
+    });
+    output[state] = gateFunc(valuesAt(positions));
+
+    let stride = 1;
+    moving.forEach((input, k) => {
+      if (positions[input] > 0) {
+        const previous = state - stride;
+        const changed = output[previous] !== output[state] ? 1 : 0;
+        best[state] = Math.max(best[state], best[previous] + changed);
+      }
+      stride *= radix[k];
+    });
+  }
+
+  let changes = best[states - 1];
+  if (changes > MAX_CHANGES) {
+    changes = changes % 2 === MAX_CHANGES % 2 ? MAX_CHANGES : MAX_CHANGES - 1;
+  }
+  return { start, changes };
+}
@@ -0,0 +1,139 @@
+import { maskForWidth } from "./utils.js";
+
+/**
+ * Parses an Intel HEX file into a byte array indexed by address. Supports
+ * data (00), end-of-file (01), extended segment address (02) and extended
+ * linear address (04) records; start address records (03, 05) are ignored.
+ * Bytes that no record sets are 0.
+ */
+export function parseIntelHex(text) {
+  const bytes = [];
+  let base = 0;
+
+  const lines = text.split(/\r?\n/);
+  for (let lineNumber = 1; lineNumber <= lines.length; lineNumber++) {
+    const line = lines[lineNumber - 1].trim();
+    if (line === "") continue;
+    if (!/^:([0-9a-fA-F]{2}){5,}$/.test(line)) {
+      throw new Error(`Intel HEX line ${lineNumber} is not a valid record.`);
+    }
+
+    const record = [];
+    for (let i = 1; i < line.length; i += 2) {
+      record.push(parseInt(line.slice(i, i + 2), 16));
+    }
+    const [count, addressHigh, addressLow, type] = record;
+    if (record.length !== count + 5) {
+      throw new Error(
+        `Intel HEX line ${lineNumber} has ${record.length - 5} data bytes, expected ${count}.`,
+      );
+    }
+    if (record.reduce((sum, byte) => sum + byte, 0) & 0xff) {
+      throw new Error(`Intel HEX line ${lineNumber} has a bad checksum.`);
+    }
+
+    const data = record.slice(4, 4 + count);
+    if (type === 0x00) {
+      const address = base + ((addressHigh << 8) | addressLow);
+      data.forEach((byte, i) => (bytes[address + i] = byte));
+    } else if (type === 0x01) {
+      break;
+    } else if (type === 0x02) {
+      base = ((data[0] << 8) | data[1]) * 16;
+    } else if (type === 0x04) {
+      base = ((data[0] << 8) | data[1]) * 0x10000;
+    } else if (type !== 0x03 && type !== 0x05) {
+      throw new Error(
+        `Intel HEX line ${lineNumber} has unknown record type ${type}.`,
+      );
+    }
+  }
+
+  return Array.from(bytes, (byte) => byte ?? 0);
+}
+
+/**
+ * Parses Logisim's raw hex image format: an optional "v2.0 raw" header, then
+ * whitespace-separated hex words, where "N*word" repeats a word N times and
+ * "#" starts a comment.
+ */
+export function parseLogisimHex(text) {
+  const words = [];
+  const body = text.replace(/#.*$/gm, "").replace(/^\s*v2\.0 raw\b/, "");
+
+  for (const token of body.split(/\s+/)) {
+    if (token === "") continue;
+    const match = /^(?:(\d+)\*)?([0-9a-fA-F]+)$/.exec(token);
+    if (!match) {
+      throw new Error(`"${token}" is not a Logisim hex word.`);
+    }
+    const repeat = match[1] === undefined ? 1 : Number(match[1]);
+    const word = parseInt(match[2], 16);
+    for (let i = 0; i < repeat; i++) words.push(word);
+  }
+  return words;
+}
+
+/**
+ * Turns memory contents into `depth` words of `dataWidth` bits, padded with
+ * 0. `source` can be an array of words, Intel HEX text or Logisim raw hex
+ * text; `format` ("intel-hex" or "logisim") overrides the guess made from
+ * the text. Intel HEX bytes are packed little-endian into words wider than
+ * 8 bits.
+ * @returns {Uint32Array}
+ */
+export function loadMemoryContents(
+  source,
+  { depth, dataWidth, format = null } = {},
+) {
+  let words;
+  if (source == null) {
+    words = [];
+  } else if (Array.isArray(source) || ArrayBuffer.isView(source)) {
+    words = Array.from(source);
+  } else if (typeof source === "string") {
+    const kind =
+      format ?? (source.trimStart().startsWith(":") ? "intel-hex" : "logisim");
+    if (kind === "intel-hex") {
+      words = packBytes(parseIntelHex(source), Math.ceil(dataWidth / 8));
+    } else if (kind === "logisim") {
+      words = parseLogisimHex(source);
+    } else {
+      throw new Error(`Unknown memory file format "${format}".`);
+    }
+  } else {
+    throw new Error(
+      "Memory contents must be an array, Intel HEX text or Logisim hex text.",
+    );
+  }
+
+  if (words.length > depth) {
+    throw new Error(
+      `Memory contents have ${words.length} words but the memory only holds ${depth}.`,
+    );
+  }
+  const mask = maskForWidth(dataWidth);
+  const contents = new Uint32Array(depth);
+  words.forEach((word, address) => {
+    if (!Number.isInteger(word) || word < 0 || word > mask) {
+      throw new Error(
+        `Memory word ${word} at address ${address} does not fit in ${dataWidth} bits.`,
+      );
+    }
+    contents[address] = word;
+  });
+  return contents;
+}
+
+function packBytes(bytes, bytesPerWord) {
+  if (bytesPerWord === 1) return bytes;
+  const words = [];
+  for (let i = 0; i < bytes.length; i += bytesPerWord) {
+    let word = 0;
+    for (let j = 0; j < bytesPerWord; j++) {
+      word += (bytes[i + j] ?? 0) * 2 ** (8 * j);
+    }
+    words.push(word);
+  }
+  return words;
+}
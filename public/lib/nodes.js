@@ -1,3 +1,7 @@
+import { maskForWidth, maskValue } from "./utils.js";
+import { LOGIC_X, LOGIC_Z, resolveStandardGate, fourValuedFromBinary } from "./common-gates.js";
+import { loadMemoryContents } from "./memory-formats.js";
+
 // Helper function for caching string generation
 export function createDefaultContext() {
 	return {
@@ -25,10 +29,132 @@ export class Node {
 	}
 }
 
+// Evaluate a bit-level gate function once per bit of a bus. 1-bit operands are
+// broadcast across every bit so e.g. AND(bus, enable) gates the whole word.
+// An X or Z operand is X or Z in every bit. A bus holds no per-bit unknowns,
+// so the result is Z when every bit is Z, and X when any other bit is unknown.
+export function evaluateBitwise(gateFunc, childVals, childWidths, width) {
+	let result = 0;
+	let zBits = 0;
+	let unknownBits = 0;
+	for (let bit = 0; bit < width; bit++) {
+		const bits = childVals.map((v, i) => (typeof v !== "number" ? v : childWidths[i] === 1 ? v & 1 : (v >>> bit) & 1));
+		const out = gateFunc(bits);
+		if (typeof out === "string") {
+			unknownBits++;
+			if (out === LOGIC_Z) zBits++;
+		} else {
+			result |= (out & 1) << bit;
+		}
+	}
+	if (zBits === width) return LOGIC_Z;
+	if (unknownBits > 0) return LOGIC_X;
+	return result >>> 0;
+}
+
+// How a delayed node treats new values while older ones are still pending:
+// - "transport": every value propagates after the delay; a new update only
+//   replaces pending updates due at or after its own target tick.
+// - "inertial": additionally drops pending updates to a different value due
+//   within `rejectThreshold` ticks before the new one (default: the whole
+//   delay), so pulses shorter than that never reach the output.
+export const DELAY_MODELS = ["transport", "inertial"];
+
+function configureDelayModel(node, model, rejectThreshold) {
+	if (!DELAY_MODELS.includes(model)) {
+		throw new Error(`Unknown delay model "${model}". Expected one of: ${DELAY_MODELS.join(", ")}.`);
+	}
+	if (rejectThreshold != null && !(rejectThreshold >= 0)) {
+		throw new Error(`Pulse-reject threshold for "${node.name}" must be a non-negative number of ticks.`);
+	}
+	node.delayModel = model;
+	node.rejectThreshold = rejectThreshold ?? null;
+	return node;
+}
+
+// A delay is either a number of ticks or { rise, fall } with separate 0→1 and
+// 1→0 delays. Any of these numbers may also be a { min, typ, max } triple,
+// picked by the circuit's timing corner.
+export const TIMING_CORNERS = ["min", "typ", "max"];
+
+/**
+ * Resolve a delay spec to ticks for one transition ("rise" or "fall") at a
+ * timing corner. Without a transition, the slower of rise and fall is used.
+ */
+export function resolveDelay(spec, transition = null, corner = "typ") {
+	if (spec == null) return 0;
+	if (typeof spec === "number") return spec;
+	if ("rise" in spec || "fall" in spec) {
+		const rise = resolveDelay(spec.rise ?? spec.fall, null, corner);
+		const fall = resolveDelay(spec.fall ?? spec.rise, null, corner);
+		if (transition === "rise") return rise;
+		if (transition === "fall") return fall;
+		return Math.max(rise, fall);
+	}
+	return spec[corner] ?? spec.typ ?? spec.max ?? spec.min ?? 0;
+}
+
+/**
+ * Does this delay spec ever hold a value back?
+ */
+export function isDelayed(spec) {
+	if (spec == null || typeof spec === "number") return spec > 0;
+	return TIMING_CORNERS.some((corner) => resolveDelay(spec, null, corner) > 0);
+}
+
+/**
+ * Schedule `apply` to make `value` current once the node's delay has passed,
+ * cancelling whichever pending updates of the same node the new value
+ * supersedes under its delay model. `presentValue` is the node's value right
+ * now; rise/fall delays are picked by comparing against the value it will
+ * have once its pending updates land. Returns the scheduled event, or null
+ * when nothing had to be scheduled.
+ */
+export function scheduleDelayedUpdate(circuit, node, value, presentValue, apply, description) {
+	let pending = (node.pendingEvents ?? []).filter((event) => !event.consumed && !event.cancelled);
+
+	let delay;
+	if (typeof node.delay === "number") {
+		delay = node.delay;
+	} else {
+		const projected = pending.length > 0 ? pending[pending.length - 1].value : presentValue;
+		if (value === projected) {
+			node.pendingEvents = pending;
+			return null;
+		}
+		const transition =
+			projected === 0 && value === 1 ? "rise" : projected === 1 && value === 0 ? "fall" : null;
+		delay = resolveDelay(node.delay, transition, circuit.timingCorner);
+	}
+
+	const targetTick = circuit.currentTick + delay;
+	const rejectFrom = targetTick - (node.rejectThreshold ?? delay);
+
+	node.pendingEvents = pending.filter((event) => {
+		const superseded =
+			event.targetTick >= targetTick ||
+			(node.delayModel === "inertial" && event.targetTick >= rejectFrom && event.value !== value);
+		if (superseded) circuit.scheduler.cancelEvent(event);
+		return !superseded;
+	});
+
+	if (delay === 0) {
+		apply();
+		return null;
+	}
+
+	const event = circuit.scheduler.scheduleEvent(targetTick, apply, description);
+	event.value = value;
+	event.node = node;
+	node.pendingEvents.push(event);
+	return event;
+}
+
 export class LiteralNode extends Node {
-	constructor(value, name) {
+	constructor(value, name, width = 1) {
 		super(name || generateId(`LITERAL_${value}`));
 		this.value = value;
+		this.width = width;
 	}
 
 	evaluate(circuit, inputs) {
@@ -41,13 +167,15 @@ export class LiteralNode extends Node {
 }
 
 export class InputNode extends Node {
-	constructor(index, name) {
+	constructor(index, name, width = 1) {
 		super(name || generateId(`INPUT_${index}`));
 		this.index = index;
+		this.width = width;
 	}
 
 	evaluate(circuit, inputs) {
-		return inputs[this.index] ?? 0;
+		const value = inputs[this.index] ?? 0;
+		return this.width > 1 && typeof value === "number" ? maskValue(value, this.width) : value;
 	}
 
 	toString(context = createDefaultContext()) {
@@ -55,13 +183,29 @@ export class InputNode extends Node {
 	}
 }
 
+/**
+ * Level of a named clock (see Circuit.addClock) at a given tick. Each period
+ * starts low and ends with `highTicks` high ticks; `phase` shifts the whole
+ * waveform later by that many ticks.
+ */
+export function clockLevelAt({ period, highTicks, phase }, tick) {
+	const position = (((tick - phase) % period) + period) % period;
+	return position >= period - highTicks ? 1 : 0;
+}
+
+/**
+ * Reads the circuit's clock. With a `domain`, it reads that named clock
+ * instead of the one driven by setClock().
+ */
 export class ClockNode extends Node {
-	constructor(name) {
-		super(name || generateId("CLK"));
+	constructor(name, domain = null) {
+		super(name || generateId(domain ? `${domain}_CLK` : "CLK"));
+		this.domain = domain;
+		this.width = 1;
 	}
 
 	evaluate(circuit, inputs) {
-		return circuit.clock;
+		return this.domain ? circuit.getClock(this.domain) : circuit.clock;
 	}
 
 	toString(context = createDefaultContext()) {
@@ -69,28 +213,72 @@ export class ClockNode extends Node {
 	}
 }
 
+// Gates written between their operands in toString(), with their binding
+// strength (NOT binds tightest); other standard gates are written like
+// function calls, e.g. MUX2(A, B, S)
+const INFIX_PRECEDENCE = { OR: 1, NOR: 1, XOR: 2, XNOR: 2, AND: 3, NAND: 3 };
+
+// NAND, NOR and XNOR do not chain, so with more than two inputs they are
+// written as calls too, e.g. NAND(A, B, C)
+const UNCHAINABLE = new Set(["NAND", "NOR", "XNOR"]);
+
+function printsAsCall(type, inputCount) {
+	if (UNCHAINABLE.has(type) && inputCount > 2) return true;
+	return !INFIX_PRECEDENCE[type] && Boolean(resolveStandardGate(type));
+}
+
 export class GateNode extends Node {
 	constructor(gateType, inputNodes, delay = 0, name) {
 		super(name || generateId(`${gateType}_GATE`));
 		this.gateType = gateType;
 		this.inputNodes = inputNodes;
 		this.delay = delay;
+		this.delayModel = "transport";
+		this.rejectThreshold = null;
 		this.lastValue = 0;
+		this.setOutputWidth(resolveStandardGate(gateType)?.outputWidth);
+	}
+
+	/**
+	 * Sizes the output for a gate function with the given `outputWidth`.
+	 * Circuit.registerGate() calls this again when the gate it registers
+	 * replaces a standard one of the same name.
+	 */
+	setOutputWidth(outputWidth) {
+		// Bus width follows the widest operand; 1-bit operands are broadcast to
+		// every bit and narrower buses are zero-extended.
+		// Gates with a multi-bit result (e.g. DECODER3) take 1-bit inputs
+		if (outputWidth && this.inputNodes.some((n) => (n?.width ?? 1) > 1)) {
+			throw new Error(`${this.gateType} gate "${this.name}" needs 1-bit inputs.`);
+		}
+		this.width = outputWidth ?? Math.max(1, ...this.inputNodes.map((n) => n?.width ?? 1));
+	}
+
+	/**
+	 * The function that computes this gate from its input bits.
+	 */
+	resolveGate(circuit) {
+		return circuit.getGate(this.gateType);
 	}
 
 	evaluate(circuit, inputs) {
-		const gateFunc = circuit.getGate(this.gateType);
+		const gateFunc = this.resolveGate(circuit);
 		if (typeof gateFunc !== "function") {
 			throw new Error(`Gate "${this.gateType}" is not registered.`);
 		}
 		const childVals = this.inputNodes.map((n) => n.evaluate(circuit, inputs));
-		const newValue = gateFunc(childVals);
+		const newValue =
+			this.width > 1 && !gateFunc.outputWidth
+				? evaluateBitwise(gateFunc, childVals, this.inputNodes.map((n) => n.width ?? 1), this.width)
+				: gateFunc(childVals);
 
-		if (this.delay > 0) {
-			const targetTick = circuit.currentTick + this.delay;
+		if (isDelayed(this.delay)) {
 			const description = `Update gate '${this.name}' to value ${newValue}`;
-			circuit.scheduler.scheduleEvent(
-				targetTick,
+			scheduleDelayedUpdate(
+				circuit,
+				this,
+				newValue,
+				this.lastValue,
 				() => { this.lastValue = newValue; },
 				description
 			);
@@ -106,14 +294,125 @@ export class GateNode extends Node {
 
 		const childStrs = this.inputNodes.map((child) => child.toString(context));
 		let result;
-		if (this.gateType.toUpperCase() === "NOT") {
+		const type = this.gateType.toUpperCase();
+		if (type === "NOT") {
 			result = `¬(${childStrs[0]})`;
+		} else if (printsAsCall(type, this.inputNodes.length)) {
+			result = `${type}(${childStrs.join(", ")})`;
 		} else {
-			result = childStrs.join(` ${this.gateType.toUpperCase()} `);
+			// Nested operators that bind no tighter than this one need parentheses
+			const precedence = INFIX_PRECEDENCE[type] ?? 0;
+			result = this.inputNodes
+				.map((child, i) => {
+					const childType = child instanceof GateNode && !(child instanceof LutNode) && child.gateType.toUpperCase();
+					const infix = childType && childType !== "NOT" && !printsAsCall(childType, child.inputNodes.length);
+					return infix && (INFIX_PRECEDENCE[childType] ?? 0) <= precedence ? `(${childStrs[i]})` : childStrs[i];
+				})
+				.join(` ${type} `);
 		}
 		context.nodeStringCache.set(this, result);
 		return result;
 	}
+
+	/**
+	 * Choose how this gate's delay treats short pulses (see DELAY_MODELS).
+	 * Returns the gate so it can be chained after the constructor.
+	 */
+	setDelayModel(model, { rejectThreshold = null } = {}) {
+		return configureDelayModel(this, model, rejectThreshold);
+	}
+}
+
+/**
+ * Gate defined by its truth table, like an FPGA lookup table, instead of a
+ * registered function. Give either `truthTable`, the output for every input
+ * combination as an array or string of bits, or `minterms`, the combinations
+ * where the output is 1. Combinations are numbered like the rows of
+ * Circuit.generateTruthTable(): the first input is the most significant bit.
+ */
+export class LutNode extends GateNode {
+	constructor(inputNodes, { truthTable = null, minterms = null } = {}, delay = 0, name) {
+		super("LUT", inputNodes, delay, name || generateId("LUT"));
+		if ((truthTable === null) === (minterms === null)) {
+			throw new Error(`LUT "${this.name}" needs either a truth table or a minterm list.`);
+		}
+
+		let table;
+		if (truthTable !== null) {
+			table = Array.from(truthTable, Number);
+			if (!Number.isInteger(Math.log2(table.length))) {
+				throw new Error(`LUT "${this.name}" truth table needs a power-of-two number of rows, got ${table.length}.`);
+			}
+			// Clones are built before their inputs are reconnected
+			if (inputNodes.length > 0 && table.length !== 2 ** inputNodes.length) {
+				throw new Error(
+					`LUT "${this.name}" has ${inputNodes.length} inputs, so its truth table needs ${2 ** inputNodes.length} rows, got ${table.length}.`
+				);
+			}
+		} else {
+			table = new Array(2 ** inputNodes.length).fill(0);
+			for (const minterm of minterms) {
+				if (!Number.isInteger(minterm) || minterm < 0 || minterm >= table.length) {
+					throw new Error(`Minterm ${minterm} is out of range for LUT "${this.name}" with ${inputNodes.length} inputs.`);
+				}
+				table[minterm] = 1;
+			}
+		}
+		if (table.some((bit) => bit !== 0 && bit !== 1)) {
+			throw new Error(`LUT "${this.name}" truth table may only contain 0 and 1.`);
+		}
+
+		this.truthTable = table;
+		this.lookup = (bits) => {
+			let row = 0;
+			for (const bit of bits) row = (row << 1) | (bit & 1);
+			return this.truthTable[row];
+		};
+		this.fourValuedLookup = fourValuedFromBinary(this.lookup);
+	}
+
+	get minterms() {
+		return this.truthTable.flatMap((bit, row) => (bit ? [row] : []));
+	}
+
+	resolveGate(circuit) {
+		return circuit.logicMode === "four-valued" ? this.fourValuedLookup : this.lookup;
+	}
+
+	/**
+	 * Small tables print as their output column, e.g. LUT[0110](A, B); larger
+	 * ones as a minterm list, e.g. LUT[Σm(3, 17)](A, B, C, D, E).
+	 */
+	toString(context = createDefaultContext()) {
+		if (context.nodeStringCache.has(this)) return context.nodeStringCache.get(this);
+
+		const table = this.truthTable.length <= 16 ? this.truthTable.join("") : `Σm(${this.minterms.join(", ")})`;
+		const childStrs = this.inputNodes.map((child) => child.toString(context));
+		const result = `LUT[${table}](${childStrs.join(", ")})`;
+		context.nodeStringCache.set(this, result);
+		return result;
+	}
+
+	/**
+	 * Plain-data form of the table. Input nodes are listed by name only; pass
+	 * the nodes back to fromJSON() to rebuild the LUT.
+	 */
+	toJSON() {
+		return {
+			type: "LUT",
+			name: this.name,
+			inputs: this.inputNodes.map((node) => node.name),
+			truthTable: this.truthTable.join(""),
+			delay: this.delay,
+		};
+	}
+
+	static fromJSON(data, inputNodes) {
+		if (data.type !== "LUT") {
+			throw new Error(`Expected LUT data, got type "${data.type}".`);
+		}
+		return new LutNode(inputNodes, { truthTable: data.truthTable }, data.delay, data.name);
+	}
 }
 
 export class CompositeNode extends Node {
@@ -161,7 +460,8 @@ export class CompositeNode extends Node {
 export class SubCircuitOutputNode extends Node {
 	constructor(compositeNode, outputIndex, name) {
 		// Extract the human-readable root node name from the sub-circuit
-		const rootNodeName = compositeNode.subCircuit.rootNodes?.[outputIndex]?.name;
+		const rootNode = compositeNode.subCircuit.rootNodes?.[outputIndex];
+		const rootNodeName = rootNode?.name;
 
 		super(name || rootNodeName || generateId(`${compositeNode.name}_OUT_${outputIndex}`));
 
@@ -170,6 +470,7 @@ export class SubCircuitOutputNode extends Node {
 		}
 		this.compositeNode = compositeNode;
 		this.outputIndex = outputIndex;
+		this.width = rootNode?.width ?? 1;
 	}
 
 	evaluate(parentCircuit, parentInputs) {
@@ -189,12 +490,15 @@ export class SubCircuitOutputNode extends Node {
 
 export class FeedbackNode extends Node {
 	// We changed default name to null so generateId kicks in!
-	constructor(inputNode, initialValue = 0, delay = 0, name = null) {
+	constructor(inputNode, initialValue = 0, delay = 0, name = null, width = 1) {
 		super(name || generateId("FEEDBACK"));
 		this.inputNode = inputNode;
 		this.initialValue = initialValue;
 		this.currentValue = initialValue;
 		this.delay = delay;
+		this.delayModel = "transport";
+		this.rejectThreshold = null;
+		this.width = width;
 	}
 
 	evaluate(circuit, inputs) {
@@ -204,19 +508,35 @@ export class FeedbackNode extends Node {
 	computeFeedback(circuit, inputs) {
 		if (!this.inputNode) return;
 		const newValue = this.inputNode.evaluate(circuit, inputs);
-		if (this.delay > 0) {
-			const targetTick = circuit.currentTick + this.delay;
-			const description = `Update gate '${this.name}' to value ${newValue}`;
-			circuit.scheduler.scheduleEvent(
-				targetTick,
-				() => { this.currentValue = newValue; },
-				description
-			);
+		if (isDelayed(this.delay)) {
+			this.scheduleUpdate(circuit, newValue);
 		} else {
 			this.currentValue = newValue;
 		}
 	}
 
+	/**
+	 * Queue `value` to become the current value after this node's delay.
+	 */
+	scheduleUpdate(circuit, value) {
+		return scheduleDelayedUpdate(
+			circuit,
+			this,
+			value,
+			this.currentValue,
+			() => { this.currentValue = value; },
+			`Update ${this.name} to ${value}`
+		);
+	}
+
+	/**
+	 * Choose how this node's delay treats short pulses (see DELAY_MODELS).
+	 * Returns the node so it can be chained after the constructor.
+	 */
+	setDelayModel(model, { rejectThreshold = null } = {}) {
+		return configureDelayModel(this, model, rejectThreshold);
+	}
+
 	toString(context = createDefaultContext()) {
 		if (context.nodeStringCache.has(this)) return context.nodeStringCache.get(this);
 
@@ -224,4 +544,453 @@ export class FeedbackNode extends Node {
 		const expr = this.inputNode ? this.inputNode.toString(context) : "null";
 		return `${this.name} = ${expr}`;
 	}
-}
\ No newline at end of file
+}
+
+/**
+ * Extracts `width` bits starting at bit `lsb` from a bus.
+ */
+export class SliceNode extends Node {
+	constructor(inputNode, lsb, width = 1, name) {
+		super(name || generateId("SLICE"));
+		if (inputNode && lsb + width > (inputNode.width ?? 1)) {
+			throw new Error(
+				`Slice [${lsb + width - 1}:${lsb}] is out of range for "${inputNode.name}" (width ${inputNode.width ?? 1}).`
+			);
+		}
+		this.inputNode = inputNode;
+		this.lsb = lsb;
+		this.width = width;
+	}
+
+	evaluate(circuit, inputs) {
+		const value = this.inputNode.evaluate(circuit, inputs);
+		// An X or Z bus says nothing about any of its bits
+		if (typeof value !== "number") return LOGIC_X;
+		return ((value >>> this.lsb) & maskForWidth(this.width)) >>> 0;
+	}
+
+	toString(context = createDefaultContext()) {
+		if (context.nodeStringCache.has(this)) return context.nodeStringCache.get(this);
+
+		const childStr = this.inputNode.toString(context);
+		const source = this.inputNode instanceof GateNode ? `(${childStr})` : childStr;
+		const msb = this.lsb + this.width - 1;
+		const result = msb === this.lsb ? `${source}[${msb}]` : `${source}[${msb}:${this.lsb}]`;
+		context.nodeStringCache.set(this, result);
+		return result;
+	}
+}
+
+/**
+ * Joins several signals into one bus. inputNodes[0] supplies the least
+ * significant bits, matching how the examples order their bit inputs.
+ */
+export class ConcatNode extends Node {
+	constructor(inputNodes, name) {
+		super(name || generateId("CONCAT"));
+		this.inputNodes = inputNodes;
+		this.width = inputNodes.reduce((sum, n) => sum + (n?.width ?? 1), 0);
+		if (this.width > 32) {
+			throw new Error(`ConcatNode "${this.name}" is ${this.width} bits wide; buses are limited to 32 bits.`);
+		}
+	}
+
+	evaluate(circuit, inputs) {
+		const values = this.inputNodes.map((node) => node.evaluate(circuit, inputs));
+		if (values.some((value) => typeof value !== "number")) return LOGIC_X;
+
+		let result = 0;
+		let shift = 0;
+		this.inputNodes.forEach((node, i) => {
+			const width = node.width ?? 1;
+			result |= (values[i] & maskForWidth(width)) << shift;
+			shift += width;
+		});
+		return result >>> 0;
+	}
+
+	toString(context = createDefaultContext()) {
+		if (context.nodeStringCache.has(this)) return context.nodeStringCache.get(this);
+
+		// Printed most significant part first, like a Verilog concatenation
+		const childStrs = this.inputNodes.map((child) => child.toString(context)).reverse();
+		const result = `{${childStrs.join(", ")}}`;
+		context.nodeStringCache.set(this, result);
+		return result;
+	}
+}
+
+/**
+ * Base for nodes that hold state and change it at most once per tick, such
+ * as memories and flip-flops. Circuits find them by themselves and update
+ * them in two steps together with their FeedbackNodes: sample() reads the
+ * inputs while every node still shows the old state, then commit() makes
+ * the new state current.
+ */
+export class SequentialNode extends Node {
+	constructor(name, clockNode = null) {
+		super(name);
+		this.clockNode = clockNode;
+		this.prevClockLevel = 0;
+		this.pending = null;
+	}
+
+	/**
+	 * Every node this one reads, within the tick or while sampling.
+	 */
+	get inputNodes() {
+		return [this.clockNode].filter(Boolean);
+	}
+
+	/**
+	 * The inputs that reach the output within the same tick.
+	 */
+	get combinationalInputNodes() {
+		return [];
+	}
+
+	/**
+	 * The clock level this tick and whether it just rose or fell.
+	 */
+	sampleClock(circuit, inputs) {
+		const level = this.clockNode ? this.clockNode.evaluate(circuit, inputs) : null;
+		return {
+			level,
+			rising: level === 1 && this.prevClockLevel === 0,
+			falling: level === 0 && this.prevClockLevel === 1,
+		};
+	}
+
+	sample(circuit, inputs) {}
+
+	commit(circuit) {}
+}
+
+/**
+ * Read-only memory of 2^addressWidth words, each dataWidth bits wide.
+ * `contents` is an array of words, Intel HEX text or Logisim raw hex text
+ * (see loadMemoryContents in memory-formats.js).
+ *
+ * Reads are asynchronous by default: the output follows the address within
+ * the same tick. With `syncRead`, the word at the address is latched on each
+ * rising edge of `clock` and held until the next one. Circuits find their
+ * memories by themselves and update them together with their FeedbackNodes.
+ */
+export class RomNode extends SequentialNode {
+	constructor(
+		addressNode,
+		{ addressWidth, dataWidth = 8, contents = null, format = null, syncRead = false, clock = null } = {},
+		name
+	) {
+		super(name || generateId("ROM"), clock);
+		if (!Number.isInteger(addressWidth) || addressWidth < 1 || addressWidth > 24) {
+			throw new Error(`Memory "${this.name}" needs an address width from 1 to 24 bits, got ${addressWidth}.`);
+		}
+		if (!Number.isInteger(dataWidth) || dataWidth < 1 || dataWidth > 32) {
+			throw new Error(`Memory "${this.name}" needs a data width from 1 to 32 bits, got ${dataWidth}.`);
+		}
+		if (addressNode && syncRead && !clock) {
+			throw new Error(`Memory "${this.name}" needs a clock for synchronous reads.`);
+		}
+		this.addressNode = addressNode;
+		this.addressWidth = addressWidth;
+		this.dataWidth = dataWidth;
+		this.width = dataWidth;
+		this.syncRead = syncRead;
+		this.initialContents = loadMemoryContents(contents, { depth: this.depth, dataWidth, format });
+		this.contents = this.initialContents.slice();
+		this.readData = 0;
+	}
+
+	get depth() {
+		return 2 ** this.addressWidth;
+	}
+
+	get inputNodes() {
+		return [this.addressNode, this.clockNode].filter(Boolean);
+	}
+
+	get combinationalInputNodes() {
+		return this.syncRead ? [] : [this.addressNode];
+	}
+
+	evaluate(circuit, inputs) {
+		if (this.syncRead) return this.readData;
+		return this.read(this.addressNode.evaluate(circuit, inputs));
+	}
+
+	read(address) {
+		if (typeof address !== "number") return LOGIC_X;
+		return this.contents[address & maskForWidth(this.addressWidth)];
+	}
+
+	sample(circuit, inputs) {
+		const clock = this.sampleClock(circuit, inputs);
+		this.pending = {
+			clock,
+			readData: this.syncRead && clock.rising ? this.read(this.addressNode.evaluate(circuit, inputs)) : this.readData,
+		};
+	}
+
+	commit(circuit) {
+		if (!this.pending) return;
+		if (this.pending.clock.level !== null) this.prevClockLevel = this.pending.clock.level;
+		this.readData = this.pending.readData;
+		this.pending = null;
+	}
+
+	toString(context = createDefaultContext()) {
+		if (context.nodeStringCache.has(this)) return context.nodeStringCache.get(this);
+
+		const result = `${this.name}[${this.addressNode.toString(context)}]`;
+		context.nodeStringCache.set(this, result);
+		return result;
+	}
+}
+
+/**
+ * Read/write memory. A word is written when `writeEnableNode` is 1, or
+ * always if there is none: on the rising edge of `clock` if one is given,
+ * otherwise at the end of every tick.
+ * Synchronous reads return the word from before the write; asynchronous
+ * reads see it from the tick it is written.
+ */
+export class RamNode extends RomNode {
+	constructor(addressNode, dataNode, writeEnableNode, options = {}, name) {
+		super(addressNode, options, name || generateId("RAM"));
+		this.dataNode = dataNode;
+		this.writeEnableNode = writeEnableNode;
+	}
+
+	get inputNodes() {
+		return [this.addressNode, this.dataNode, this.writeEnableNode, this.clockNode].filter(Boolean);
+	}
+
+	sample(circuit, inputs) {
+		super.sample(circuit, inputs);
+		const writing = this.clockNode ? this.pending.clock.rising : true;
+		// Without a write enable the RAM writes whenever it may
+		const enabled = this.writeEnableNode ? this.writeEnableNode.evaluate(circuit, inputs) === 1 : true;
+		if (writing && enabled) {
+			const address = this.addressNode.evaluate(circuit, inputs);
+			const data = this.dataNode.evaluate(circuit, inputs);
+			if (typeof address === "number" && typeof data === "number") {
+				this.pending.write = { address: address & maskForWidth(this.addressWidth), data: maskValue(data, this.dataWidth) };
+			}
+		}
+	}
+
+	commit(circuit) {
+		const write = this.pending?.write;
+		if (write) this.contents[write.address] = write.data;
+		super.commit(circuit);
+	}
+}
+
+export const FLIP_FLOP_TYPES = {
+	D: ["D"],
+	T: ["T"],
+	JK: ["J", "K"],
+	SR: ["S", "R"],
+};
+
+/**
+ * The state a flip-flop of `type` in state `q` takes on a triggering edge,
+ * for the given data input values.
+ */
+export function flipFlopNextState(type, q, values) {
+	if (type === "D") return values[0];
+	if (![q, ...values].every((v) => v === 0 || v === 1)) return LOGIC_X;
+
+	const [a, b] = values;
+	switch (type) {
+		case "T":
+			return a ? 1 - q : q;
+		case "JK":
+			return a && b ? 1 - q : a ? 1 : b ? 0 : q;
+		case "SR":
+			return b ? 0 : a ? 1 : q;
+	}
+}
+
+/**
+ * Edge-triggered flip-flop of type "D", "T", "JK" or "SR", with the data
+ * inputs in the order of FLIP_FLOP_TYPES. It captures on the `edge`
+ * ("rising" or "falling") of `clock` while `enable` (if given) is 1. `set`
+ * and `reset` act at once, without waiting for the clock; reset wins when
+ * both are 1, and so does R over S. `delay` is the clock-to-output delay.
+ */
+export class FlipFlopNode extends SequentialNode {
+	constructor(
+		type,
+		dataNodes,
+		{ clock = null, edge = "rising", enable = null, set = null, reset = null, initialValue = 0, delay = 0 } = {},
+		name
+	) {
+		super(name || generateId(`${type}_FF`), clock);
+		if (!FLIP_FLOP_TYPES[type]) {
+			throw new Error(
+				`Unknown flip-flop type "${type}". Expected one of: ${Object.keys(FLIP_FLOP_TYPES).join(", ")}.`
+			);
+		}
+		if (dataNodes.length > 0 && dataNodes.length !== FLIP_FLOP_TYPES[type].length) {
+			throw new Error(
+				`${type} flip-flop "${this.name}" needs inputs ${FLIP_FLOP_TYPES[type].join(", ")}, got ${dataNodes.length}.`
+			);
+		}
+		if (dataNodes.length > 0 && !clock) {
+			throw new Error(`Flip-flop "${this.name}" needs a clock.`);
+		}
+		if (edge !== "rising" && edge !== "falling") {
+			throw new Error(`Unknown clock edge "${edge}". Expected "rising" or "falling".`);
+		}
+		this.type = type;
+		this.dataNodes = dataNodes;
+		this.edge = edge;
+		this.enableNode = enable;
+		this.setNode = set;
+		this.resetNode = reset;
+		this.initialValue = initialValue;
+		this.currentValue = initialValue;
+		this.delay = delay;
+		this.delayModel = "transport";
+		this.rejectThreshold = null;
+		this.width = 1;
+	}
+
+	get inputNodes() {
+		return [...this.dataNodes, this.clockNode, this.enableNode, this.setNode, this.resetNode].filter(Boolean);
+	}
+
+	/**
+	 * Pin names matching inputNodes, for the inspector.
+	 */
+	get inputPinNames() {
+		const pins = [...FLIP_FLOP_TYPES[this.type], this.clockPinName(), "EN", "SET", "RST"];
+		const nodes = [...this.dataNodes, this.clockNode, this.enableNode, this.setNode, this.resetNode];
+		return pins.filter((_, i) => nodes[i]);
+	}
+
+	evaluate(circuit, inputs) {
+		return this.currentValue;
+	}
+
+	isTriggered(clock) {
+		return this.edge === "rising" ? clock.rising : clock.falling;
+	}
+
+	/**
+	 * The state after a triggering edge, for the given data input values.
+	 */
+	nextState(values) {
+		return flipFlopNextState(this.type, this.currentValue, values);
+	}
+
+	sample(circuit, inputs) {
+		// Every input is read on every tick, like a FeedbackNode's, so delayed
+		// gates in front of it keep the same timing whether or not it triggers
+		const clock = this.sampleClock(circuit, inputs);
+		const data = this.dataNodes.map((n) => n.evaluate(circuit, inputs));
+		const [enable, set, reset] = [this.enableNode, this.setNode, this.resetNode].map((node) =>
+			node ? node.evaluate(circuit, inputs) : null
+		);
+
+		let next;
+		if (reset === 1) {
+			next = 0;
+		} else if (set === 1) {
+			next = 1;
+		} else if (this.isTriggered(clock) && (this.enableNode === null || enable === 1)) {
+			next = this.nextState(data);
+		}
+		this.pending = { clock, next };
+	}
+
+	commit(circuit) {
+		if (!this.pending) return;
+		const { clock, next } = this.pending;
+		this.pending = null;
+		if (clock.level !== null) this.prevClockLevel = clock.level;
+		if (next === undefined) return;
+
+		if (isDelayed(this.delay)) {
+			scheduleDelayedUpdate(
+				circuit,
+				this,
+				next,
+				this.currentValue,
+				() => { this.currentValue = next; },
+				`Update ${this.name} to ${next}`
+			);
+		} else {
+			this.currentValue = next;
+		}
+	}
+
+	/**
+	 * Choose how the clock-to-output delay treats short pulses (see
+	 * DELAY_MODELS). Returns the node so it can be chained.
+	 */
+	setDelayModel(model, { rejectThreshold = null } = {}) {
+		return configureDelayModel(this, model, rejectThreshold);
+	}
+
+	describe() {
+		return `${this.type}FF`;
+	}
+
+	toString(context = createDefaultContext()) {
+		if (context.nodeStringCache.has(this)) return context.nodeStringCache.get(this);
+
+		context.nodeStringCache.set(this, this.name);
+		const str = (node) => node.toString(context);
+		const args = this.dataNodes.map(str);
+		if (this.clockNode) args.push(`${this.triggerMark()}${str(this.clockNode)}`);
+		if (this.enableNode) args.push(`EN: ${str(this.enableNode)}`);
+		if (this.setNode) args.push(`SET: ${str(this.setNode)}`);
+		if (this.resetNode) args.push(`RST: ${str(this.resetNode)}`);
+		return `${this.name} = ${this.describe()}(${args.join(", ")})`;
+	}
+
+	triggerMark() {
+		return this.edge === "rising" ? "↑" : "↓";
+	}
+
+	clockPinName() {
+		return "CLK";
+	}
+}
+
+/**
+ * Level-sensitive latch of type "D" or "SR": transparent while `gate` is at
+ * `level` ("high" or "low") and `enable` (if given) is 1, holding otherwise.
+ * Takes the same set, reset, initialValue and delay options as FlipFlopNode.
+ */
+export class LatchNode extends FlipFlopNode {
+	constructor(type, dataNodes, { gate = null, level = "high", ...options } = {}, name) {
+		if (type !== "D" && type !== "SR") {
+			throw new Error(`Unknown latch type "${type}". Expected "D" or "SR".`);
+		}
+		if (level !== "high" && level !== "low") {
+			throw new Error(`Unknown latch level "${level}". Expected "high" or "low".`);
+		}
+		super(type, dataNodes, { ...options, clock: gate }, name || generateId(`${type}_LATCH`));
+		this.level = level;
+	}
+
+	isTriggered(clock) {
+		return clock.level === (this.level === "high" ? 1 : 0);
+	}
+
+	describe() {
+		return `${this.type}LATCH`;
+	}
+
+	triggerMark() {
+		return this.level === "high" ? "" : "¬";
+	}
+
+	clockPinName() {
+		return "G";
+	}
+}
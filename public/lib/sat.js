@@ -0,0 +1,761 @@
+import {
+  ClockNode,
+  InputNode,
+  LiteralNode,
+  GateNode,
+  FeedbackNode,
+  FlipFlopNode,
+  LatchNode,
+  SubCircuitOutputNode,
+  isDelayed,
+} from "./nodes.js";
+import { espresso, rowCube } from "./espresso.js";
+import { collectNodes } from "./graph.js";
+
+// Gates other than AND/OR/XOR and their inversions are encoded from a
+// minimized cover of their function, so their input count is limited
+const MAX_ENCODED_INPUTS = 8;
+
+// Conflicts before the first restart; later restarts follow the Luby series
+const RESTART_INTERVAL = 100;
+const ACTIVITY_DECAY = 0.95;
+
+/**
+ * A CDCL SAT solver: unit propagation with two watched literals, clause
+ * learning at the first unique implication point, non-chronological
+ * backtracking, activity-based branching with saved phases, and restarts.
+ *
+ * Variables are numbered from 1 and literals are DIMACS-style integers:
+ * `v` is variable v being 1, `-v` it being 0. Learned clauses are kept
+ * between solve() calls, so clauses can be added to block a solution and
+ * solve again.
+ */
+export class SatSolver {
+  constructor() {
+    this.variableCount = 0;
+    // Per variable: 1 true, -1 false, 0 unassigned
+    this.values = [0];
+    this.levels = [0];
+    this.reasons = [null];
+    this.activity = [0];
+    this.phases = [-1];
+    // Per literal, see watchIndex(): the clauses watching it
+    this.watches = [[], []];
+    this.trail = [];
+    // Trail length at the start of each decision level
+    this.trailLimits = [];
+    this.propagated = 0;
+    this.increment = 1;
+    // False once the clauses are unsatisfiable without any assumptions
+    this.ok = true;
+  }
+
+  newVariable() {
+    const v = ++this.variableCount;
+    this.values.push(0);
+    this.levels.push(0);
+    this.reasons.push(null);
+    this.activity.push(0);
+    this.phases.push(-1);
+    this.watches.push([], []);
+    return v;
+  }
+
+  /**
+   * Adds a clause, the OR of its literals.
+   * @param {number[]} literals
+   */
+  addClause(literals) {
+    if (!this.ok) return;
+    this.#backtrack(0);
+    const clause = [];
+    for (const literal of new Set(literals)) {
+      const v = Math.abs(literal);
+      if (!(v >= 1 && v <= this.variableCount)) {
+        throw new Error(`Literal ${literal} has no variable.`);
+      }
+      const value = this.#value(literal);
+      // Already satisfied, or always true
+      if (value === 1 || clause.includes(-literal)) return;
+      if (value === 0) clause.push(literal);
+    }
+
+    if (clause.length === 0) {
+      this.ok = false;
+    } else if (clause.length === 1) {
+      this.#assign(clause[0], null);
+      if (this.#propagate()) this.ok = false;
+    } else {
+      this.#watch(clause);
+    }
+  }
+
+  /**
+   * Searches for an assignment that satisfies every clause and the
+   * assumption literals.
+   * @param {number[]} [assumptions] Literals that must hold for this call
+   *   only.
+   * @returns {number[] | null} The value (0 or 1) of each variable, indexed
+   *   by variable, or null when there is none.
+   */
+  solve(assumptions = []) {
+    if (!this.ok) return null;
+    this.#backtrack(0);
+    let restarts = 0;
+    let conflicts = 0;
+    let restartLimit = RESTART_INTERVAL;
+
+    for (;;) {
+      const conflict = this.#propagate();
+      if (conflict) {
+        if (this.trailLimits.length === 0) {
+          this.ok = false;
+          return null;
+        }
+        conflicts++;
+        const { learned, level } = this.#analyze(conflict);
+        this.#backtrack(level);
+        if (learned.length > 1) this.#watch(learned);
+        this.#assign(learned[0], learned.length > 1 ? learned : null);
+        this.increment /= ACTIVITY_DECAY;
+        continue;
+      }
+
+      if (conflicts >= restartLimit) {
+        this.#backtrack(0);
+        conflicts = 0;
+        restartLimit = RESTART_INTERVAL * luby(++restarts);
+      }
+
+      // Assumptions are the first decisions, one level each
+      let decision = 0;
+      while (this.trailLimits.length < assumptions.length) {
+        const assumption = assumptions[this.trailLimits.length];
+        const value = this.#value(assumption);
+        if (value === -1) {
+          this.#backtrack(0);
+          return null;
+        }
+        if (value === 0) {
+          decision = assumption;
+          break;
+        }
+        // Already implied: an empty level keeps the numbering
+        this.trailLimits.push(this.trail.length);
+      }
+      decision ||= this.#pickBranch();
+      if (!decision) {
+        const model = this.values.map((value) => (value === 1 ? 1 : 0));
+        this.#backtrack(0);
+        return model;
+      }
+      this.trailLimits.push(this.trail.length);
+      this.#assign(decision, null);
+    }
+  }
+
+  #value(literal) {
+    const value = this.values[Math.abs(literal)];
+    return literal > 0 ? value : -value;
+  }
+
+  #assign(literal, reason) {
+    const v = Math.abs(literal);
+    this.values[v] = literal > 0 ? 1 : -1;
+    this.levels[v] = this.trailLimits.length;
+    this.reasons[v] = reason;
+    this.trail.push(literal);
+  }
+
+  #watch(clause) {
+    this.watches[watchIndex(clause[0])].push(clause);
+    this.watches[watchIndex(clause[1])].push(clause);
+  }
+
+  // Assigns every literal the clauses imply, and returns a clause that has
+  // become false, if any. The implied literal of a reason clause is first.
+  #propagate() {
+    while (this.propagated < this.trail.length) {
+      const falsified = -this.trail[this.propagated++];
+      const watchers = this.watches[watchIndex(falsified)];
+      let kept = 0;
+      for (let i = 0; i < watchers.length; i++) {
+        const clause = watchers[i];
+        if (clause[0] === falsified) {
+          clause[0] = clause[1];
+          clause[1] = falsified;
+        }
+        if (this.#value(clause[0]) === 1) {
+          watchers[kept++] = clause;
+          continue;
+        }
+        // Look for another literal to watch instead
+        let moved = false;
+        for (let k = 2; k < clause.length; k++) {
+          if (this.#value(clause[k]) !== -1) {
+            clause[1] = clause[k];
+            clause[k] = falsified;
+            this.watches[watchIndex(clause[1])].push(clause);
+            moved = true;
+            break;
+          }
+        }
+        if (moved) continue;
+
+        watchers[kept++] = clause;
+        if (this.#value(clause[0]) === -1) {
+          while (++i < watchers.length) watchers[kept++] = watchers[i];
+          watchers.length = kept;
+          return clause;
+        }
+        this.#assign(clause[0], clause);
+      }
+      watchers.length = kept;
+    }
+    return null;
+  }
+
+  // Resolves the conflict back to the first unique implication point. The
+  // learned clause asserts its first literal at the returned level, where its
+  // second literal was assigned.
+  #analyze(conflict) {
+    const level = this.trailLimits.length;
+    const seen = new Set();
+    const learned = [0];
+    let pending = 0;
+    let literal = 0;
+    let clause = conflict;
+    let index = this.trail.length - 1;
+    do {
+      for (const other of clause) {
+        const v = Math.abs(other);
+        if (other === literal || seen.has(v) || this.levels[v] === 0) continue;
+        seen.add(v);
+        this.#bump(v);
+        if (this.levels[v] === level) pending++;
+        else learned.push(other);
+      }
+      while (!seen.has(Math.abs(this.trail[index]))) index--;
+      literal = this.trail[index--];
+      clause = this.reasons[Math.abs(literal)];
+      pending--;
+    } while (pending > 0);
+    learned[0] = -literal;
+
+    let backLevel = 0;
+    for (let k = 1; k < learned.length; k++) {
+      const otherLevel = this.levels[Math.abs(learned[k])];
+      if (otherLevel > backLevel) {
+        backLevel = otherLevel;
+        [learned[1], learned[k]] = [learned[k], learned[1]];
+      }
+    }
+    return { learned, level: backLevel };
+  }
+
+  #bump(v) {
+    this.activity[v] += this.increment;
+    if (this.activity[v] > 1e100) {
+      this.activity = this.activity.map((a) => a * 1e-100);
+      this.increment *= 1e-100;
+    }
+  }
+
+  #backtrack(level) {
+    if (this.trailLimits.length <= level) return;
+    const start = this.trailLimits[level];
+    for (let k = this.trail.length - 1; k >= start; k--) {
+      const v = Math.abs(this.trail[k]);
+      this.phases[v] = this.values[v];
+      this.values[v] = 0;
+      this.reasons[v] = null;
+    }
+    this.trail.length = start;
+    this.trailLimits.length = level;
+    this.propagated = start;
+  }
+
+  // The unassigned variable with the highest activity, in its saved phase
+  #pickBranch() {
+    let best = 0;
+    for (let v = 1; v <= this.variableCount; v++) {
+      if (
+        this.values[v] === 0 &&
+        (best === 0 || this.activity[v] > this.activity[best])
+      ) {
+        best = v;
+      }
+    }
+    return best && best * this.phases[best];
+  }
+}
+
+function watchIndex(literal) {
+  return literal > 0 ? 2 * literal : -2 * literal + 1;
+}
+
+// 1, 1, 2, 1, 1, 2, 4, 1, 1, 2, 1, 1, 2, 4, 8, ...
+function luby(i) {
+  let size = 1;
+  let power = 0;
+  while (size < i + 1) {
+    power++;
+    size = 2 * size + 1;
+  }
+  while (size - 1 !== i) {
+    size = (size - 1) >> 1;
+    power--;
+    i %= size;
+  }
+  return 2 ** power;
+}
+
+// flip-flop -> the key of its clock level on the last tick in encodings
+const previousClockKeys = new WeakMap();
+
+/**
+ * The key under which encodeCircuit() keeps the clock level a flip-flop saw
+ * on the last tick, which tells whether the clock has just risen or fallen.
+ * It is named like the flip-flop, with ".prevClock" after it.
+ * @param {FlipFlopNode} node
+ * @returns {{ flipFlop: FlipFlopNode, name: string }}
+ */
+export function previousClockKey(node) {
+  if (!previousClockKeys.has(node)) {
+    previousClockKeys.set(node, {
+      flipFlop: node,
+      name: `${node.name}.prevClock`,
+    });
+  }
+  return previousClockKeys.get(node);
+}
+
+/**
+ * Tseitin encoding of a circuit into `solver`: one variable per input, per
+ * FeedbackNode, flip-flop and ClockNode, and one per gate output, with
+ * clauses that tie each gate's variable to its inputs. NOT and BUF gates
+ * just pass on a literal. Sub-circuits are expanded in place.
+ *
+ * The encoding covers one evaluate() from any state. The literal of a
+ * FeedbackNode, flip-flop or clock is its value before the call, and so is
+ * the literal under a flip-flop's previousClockKey(); as in evaluate(),
+ * registered FeedbackNodes and the circuit's flip-flops without delay then
+ * take their next value before the outputs are read. Only 1-bit logic is
+ * supported.
+ * @param {Circuit} circuit
+ * @param {SatSolver} solver
+ * @param {Object} [options]
+ * @param {number[]} [options.inputs] Literals to read the inputs from,
+ *   instead of new variables.
+ * @param {Map<Object, number>} [options.state] Literals to read FeedbackNodes,
+ *   flip-flops, previous clock levels and ClockNodes from before the call,
+ *   instead of new variables. Chaining `next` into the following encoding
+ *   unrolls the circuit over time.
+ * @returns {{ inputs: number[], outputs: number[],
+ *   state: Array<{ node: Object, literal: number }>,
+ *   next: Map<Object, number> }}
+ *   The literal of each input and each output, of the registered and
+ *   reachable state before the call, and of everything but the clocks
+ *   after it.
+ */
+export function encodeCircuit(
+  circuit,
+  solver,
+  { inputs = null, state = new Map() } = {},
+) {
+  if (circuit.getInputWidths().some((width) => width > 1)) {
+    throw new Error(
+      `SAT encoding only supports 1-bit inputs, but "${circuit.name}" has a bus input.`,
+    );
+  }
+  const top = {
+    circuit,
+    inputs:
+      inputs ??
+      Array.from({ length: circuit.inputLength }, () => solver.newVariable()),
+  };
+  // The flip-flops evaluate() updates, as Circuit finds them
+  const flipFlops = collectNodes(
+    [...circuit.rootNodes, ...circuit.feedbackNodes],
+    { throughFeedback: true },
+  ).filter((node) => node instanceof FlipFlopNode);
+
+  const before = new TseitinEncoder(solver, { given: state });
+  const updated = new Map();
+  const clockLevels = new Map();
+  circuit.feedbackNodes.forEach((node) => {
+    before.encode(node, top);
+    if (node.inputNode && !isDelayed(node.delay)) {
+      updated.set(node, before.encode(node.inputNode, top));
+    }
+  });
+  flipFlops.forEach((node) => {
+    before.encode(node, top);
+    if (!isDelayed(node.delay)) {
+      updated.set(node, before.encodeNextState(node, top));
+      if (node.clockNode) {
+        clockLevels.set(
+          previousClockKey(node),
+          before.encode(node.clockNode, top),
+        );
+      }
+    }
+  });
+  const after = new TseitinEncoder(solver, { before, updated });
+  const outputs = circuit.rootNodes.map((node) => after.encode(node, top));
+
+  const next = new Map();
+  for (const { node, literal } of before.state) {
+    if (node instanceof ClockNode) continue;
+    next.set(node, updated.get(node) ?? clockLevels.get(node) ?? literal);
+  }
+  return { inputs: top.inputs, outputs, state: before.state, next };
+}
+
+class TseitinEncoder {
+  // Encoders with `before` read state nodes from it: the value they hold
+  // there, or for nodes in `updated`, the literal of their next value.
+  // Others read them from `given`, or from new variables.
+  constructor(
+    solver,
+    { before = null, updated = new Map(), given = new Map() } = {},
+  ) {
+    this.solver = solver;
+    this.before = before;
+    this.updated = updated;
+    this.given = given;
+    // clock domain (null for the setClock() clock) -> variable
+    this.clocks = new Map();
+    // node -> literal; every composite owns its sub-circuit's nodes, so one
+    // map serves all of them
+    this.literals = new Map();
+    this.state = [];
+    this.trueLiteral = 0;
+  }
+
+  encode(node, scope) {
+    if (this.literals.has(node)) return this.literals.get(node);
+    if ((node.width ?? 1) > 1) {
+      throw new Error(
+        `SAT encoding only supports 1-bit signals, but "${node.name}" is ${node.width} bits wide.`,
+      );
+    }
+
+    let literal;
+    if (node instanceof InputNode) {
+      literal = scope.inputs[node.index];
+    } else if (node instanceof LiteralNode) {
+      literal = node.value ? this.#true() : -this.#true();
+    } else if (
+      node instanceof FeedbackNode ||
+      node instanceof FlipFlopNode ||
+      node instanceof ClockNode
+    ) {
+      if (this.updated.has(node)) {
+        literal = this.updated.get(node);
+      } else if (this.before) {
+        literal = this.before.encode(node, scope);
+      } else {
+        literal = this.#given(node);
+      }
+    } else if (node instanceof GateNode) {
+      const gateFunc = node.resolveGate(scope.circuit);
+      if (typeof gateFunc !== "function") {
+        throw new Error(`Gate "${node.gateType}" is not registered.`);
+      }
+      literal = this.#gate(
+        node,
+        gateFunc,
+        node.inputNodes.map((child) => this.encode(child, scope)),
+      );
+    } else if (node instanceof SubCircuitOutputNode) {
+      const composite = node.compositeNode;
+      const inner = {
+        circuit: composite.subCircuit,
+        inputs: composite.inputNodes.map((child) => this.encode(child, scope)),
+      };
+      literal = this.encode(
+        composite.subCircuit.rootNodes[node.outputIndex],
+        inner,
+      );
+    } else {
+      throw new Error(
+        `SAT encoding does not support ${node.constructor.name} "${node.name}".`,
+      );
+    }
+
+    this.literals.set(node, literal);
+    return literal;
+  }
+
+  /**
+   * The value a flip-flop takes at the end of the tick, as
+   * FlipFlopNode.sample() works it out from the state before it.
+   */
+  encodeNextState(node, scope) {
+    const pin = (input) => (input ? this.encode(input, scope) : null);
+    const q = this.encode(node, scope);
+    const data = node.dataNodes.map(pin);
+    const [clock, enable, set, reset] = [
+      node.clockNode,
+      node.enableNode,
+      node.setNode,
+      node.resetNode,
+    ].map(pin);
+
+    let triggered = null;
+    if (clock !== null) {
+      const previous = this.#given(previousClockKey(node));
+      if (node instanceof LatchNode) {
+        triggered = node.level === "high" ? clock : -clock;
+      } else {
+        triggered =
+          node.edge === "rising"
+            ? this.#and([clock, -previous])
+            : this.#and([-clock, previous]);
+      }
+    }
+    let next = q;
+    if (triggered !== null && data.length > 0) {
+      const [a, b] = data;
+      const captured = {
+        D: () => a,
+        T: () => this.#xor(a, q),
+        JK: () => this.#or([this.#and([a, -q]), this.#and([-b, q])]),
+        SR: () => this.#and([-b, this.#or([a, q])]),
+      }[node.type]();
+      const load = enable === null ? triggered : this.#and([triggered, enable]);
+      next = this.#mux(load, captured, next);
+    }
+    if (set !== null) next = this.#or([set, next]);
+    if (reset !== null) next = this.#and([-reset, next]);
+    return next;
+  }
+
+  #given(node) {
+    const literal = this.given.get(node) ?? this.#stateVariable(node);
+    this.state.push({ node, literal });
+    return literal;
+  }
+
+  #gate(node, gateFunc, inputs) {
+    switch (node.gateType) {
+      case "BUF":
+        return inputs[0];
+      case "NOT":
+        return -inputs[0];
+      case "AND":
+        return this.#and(inputs);
+      case "NAND":
+        return -this.#and(inputs);
+      case "OR":
+        return this.#or(inputs);
+      case "NOR":
+        return this.#and(inputs.map((input) => -input));
+      case "XOR":
+        return inputs.reduce((a, b) => this.#xor(a, b));
+      case "XNOR":
+        return -inputs.reduce((a, b) => this.#xor(a, b));
+    }
+
+    // Anything else: y holds on each cube of the on-set cover, and not on
+    // each cube of the off-set cover
+    if (inputs.length > MAX_ENCODED_INPUTS) {
+      throw new Error(
+        `SAT encoding supports at most ${MAX_ENCODED_INPUTS} inputs on ${node.gateType} gates, but "${node.name}" has ${inputs.length}.`,
+      );
+    }
+    const k = inputs.length;
+    const onSet = [];
+    const offSet = [];
+    for (let row = 0; row < 1 << k; row++) {
+      const bits = inputs.map((_, i) => (row >> (k - 1 - i)) & 1);
+      (gateFunc(bits) ? onSet : offSet).push(rowCube(row, k));
+    }
+    const y = this.solver.newVariable();
+    const cubeClause = (cube, last) => {
+      const clause = [last];
+      inputs.forEach((input, i) => {
+        if ((cube.mask >> i) & 1) {
+          clause.push((cube.value >> i) & 1 ? -input : input);
+        }
+      });
+      return clause;
+    };
+    espresso(onSet).forEach((cube) =>
+      this.solver.addClause(cubeClause(cube, y)),
+    );
+    espresso(offSet).forEach((cube) =>
+      this.solver.addClause(cubeClause(cube, -y)),
+    );
+    return y;
+  }
+
+  #and(inputs) {
+    if (inputs.length === 1) return inputs[0];
+    const y = this.solver.newVariable();
+    inputs.forEach((input) => this.solver.addClause([-y, input]));
+    this.solver.addClause([y, ...inputs.map((input) => -input)]);
+    return y;
+  }
+
+  #or(inputs) {
+    return -this.#and(inputs.map((input) => -input));
+  }
+
+  #mux(select, a, b) {
+    const y = this.solver.newVariable();
+    this.solver.addClause([-select, -a, y]);
+    this.solver.addClause([-select, a, -y]);
+    this.solver.addClause([select, -b, y]);
+    this.solver.addClause([select, b, -y]);
+    return y;
+  }
+
+  #xor(a, b) {
+    const y = this.solver.newVariable();
+    this.solver.addClause([-y, a, b]);
+    this.solver.addClause([-y, -a, -b]);
+    this.solver.addClause([y, -a, b]);
+    this.solver.addClause([y, a, -b]);
+    return y;
+  }
+
+  // ClockNodes of the same clock share a variable
+  #stateVariable(node) {
+    if (!(node instanceof ClockNode)) return this.solver.newVariable();
+    const domain = node.domain ?? null;
+    if (!this.clocks.has(domain)) {
+      this.clocks.set(domain, this.solver.newVariable());
+    }
+    return this.clocks.get(domain);
+  }
+
+  #true() {
+    if (this.before) return this.before.#true();
+    if (!this.trueLiteral) {
+      this.trueLiteral = this.solver.newVariable();
+      this.solver.addClause([this.trueLiteral]);
+    }
+    return this.trueLiteral;
+  }
+}
+
+/**
+ * Finds input values that drive outputs to the given values, with a SAT
+ * solver on the circuit's Tseitin encoding instead of enumerating the truth
+ * table. The targets are what evaluate() returns for the inputs. Before
+ * that call, FeedbackNodes, flip-flops and clocks hold whatever value
+ * `state` assumes for them, or are free and part of the answer, as is the
+ * clock level each flip-flop saw on the last tick, named NAME.prevClock
+ * (see encodeCircuit).
+ * @param {Circuit} circuit
+ * @param {Object<string, number> | number[]} targets Output values by output
+ *   index or name. Outputs left out (or null) may take any value.
+ * @param {Object} [options]
+ * @param {Object<string, number> | number[]} [options.inputs] Values some
+ *   inputs must have, by index or name.
+ * @param {Object<string, number>} [options.state] Values of FeedbackNodes,
+ *   flip-flops, previous clock levels and ClockNodes before evaluate(), by
+ *   name.
+ * @returns {{ inputs: number[], state: Object<string, number> } | null}
+ *   An input vector, numbered like generateTruthTable() columns, and the
+ *   starting value of all that state by name; null when no
+ *   inputs give the targets.
+ */
+export function findInputs(circuit, targets, options = {}) {
+  return findAllInputs(circuit, targets, { ...options, limit: 1 })[0] ?? null;
+}
+
+/**
+ * Every distinct solution of findInputs(), up to `limit` of them. Two
+ * solutions differ in at least one input or state value, so an input that
+ * does not matter doubles the count, as in generateTruthTable().
+ * @param {Circuit} circuit
+ * @param {Object<string, number> | number[]} targets
+ * @param {Object} [options] The options of findInputs(), and:
+ * @param {number} [options.limit] Most solutions to return; 2 is enough to
+ *   tell whether the solution is unique.
+ * @returns {Array<{ inputs: number[], state: Object<string, number> }>}
+ */
+export function findAllInputs(
+  circuit,
+  targets,
+  { inputs = {}, state = {}, limit = Infinity } = {},
+) {
+  const solver = new SatSolver();
+  const encoding = encodeCircuit(circuit, solver);
+  const assumptions = [
+    ...assumedLiterals(targets, encoding.outputs, (key) =>
+      outputIndex(circuit, key),
+    ),
+    ...assumedLiterals(inputs, encoding.inputs, (key) =>
+      inputIndex(circuit, key),
+    ),
+  ];
+  for (const [name, value] of Object.entries(state)) {
+    const named = encoding.state.filter(({ node }) => node.name === name);
+    if (named.length === 0) {
+      throw new Error(
+        `"${circuit.name}" has no FeedbackNode, flip-flop or clock named "${name}".`,
+      );
+    }
+    named.forEach(({ literal }) =>
+      assumptions.push(literalFor(literal, value, name)),
+    );
+  }
+
+  const variables = [
+    ...encoding.inputs,
+    ...encoding.state.map(({ literal }) => literal),
+  ];
+  const solutions = [];
+  while (solutions.length < limit) {
+    const model = solver.solve(assumptions);
+    if (!model) break;
+    solutions.push({
+      inputs: encoding.inputs.map((v) => model[v]),
+      state: Object.fromEntries(
+        encoding.state.map(({ node, literal }) => [node.name, model[literal]]),
+      ),
+    });
+    // Rule this solution out for the next round
+    solver.addClause(variables.map((v) => (model[v] ? -v : v)));
+  }
+  return solutions;
+}
+
+function assumedLiterals(values, literals, indexOf) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => literalFor(literals[indexOf(key)], value, key));
+}
+
+function literalFor(literal, value, key) {
+  if (value !== 0 && value !== 1) {
+    throw new Error(`The value of "${key}" must be 0 or 1, got ${value}.`);
+  }
+  return value ? literal : -literal;
+}
+
+function outputIndex(circuit, key) {
+  if (/^\d+$/.test(key) && Number(key) < circuit.outputLength) {
+    return Number(key);
+  }
+  const index = circuit.rootNodes.findIndex((node) => node.name === key);
+  if (index === -1) {
+    throw new Error(`"${circuit.name}" has no output "${key}".`);
+  }
+  return index;
+}
+
+function inputIndex(circuit, key) {
+  if (/^\d+$/.test(key) && Number(key) < circuit.inputLength) {
+    return Number(key);
+  }
+  const index = circuit.getInputNames().indexOf(key);
+  if (index === -1) {
+    throw new Error(`"${circuit.name}" has no input "${key}".`);
+  }
+  return index;
+}
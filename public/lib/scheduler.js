@@ -1,37 +1,146 @@
+/**
+ * Time-ordered event queue backed by a binary min-heap.
+ *
+ * Events are ordered by targetTick, then by the order they were scheduled, so
+ * events due on the same tick always fire first-scheduled-first. Scheduling
+ * and consuming are O(log n). Cancelled events are only marked and get
+ * discarded when they reach the top of the heap.
+ */
 export class Scheduler {
 	constructor() {
-		this.events = [];
+		this.heap = [];
+		this.nextSequence = 0;
+		this.liveCount = 0;
 	}
 	/**
-	 * scheduleEvent: queue a callback to run at targetTick
+	 * scheduleEvent: queue a callback to run at targetTick. Returns the event,
+	 * which can later be passed to cancelEvent().
 	 */
 
 	scheduleEvent(targetTick, callback, description = "event") {
-		this.events.push({ targetTick, callback, description });
+		const event = {
+			targetTick,
+			callback,
+			description,
+			sequence: this.nextSequence++,
+			cancelled: false,
+		};
+		this.heap.push(event);
+		this.#siftUp(this.heap.length - 1);
+		this.liveCount++;
+		return event;
 	}
 	/**
-	 * consumeEventsForTick: remove and return all events for a given tick
+	 * cancelEvent: drop a pending event. Returns false if it already fired or
+	 * was cancelled before.
+	 */
+
+	cancelEvent(event) {
+		if (!event || event.cancelled || event.consumed) return false;
+		event.cancelled = true;
+		this.liveCount--;
+		return true;
+	}
+	/**
+	 * consumeEventsForTick: remove and return all events due at or before a
+	 * given tick, in firing order. An event scheduled for a tick that has
+	 * already been consumed fires on the next call instead of staying queued
+	 * forever; with a heap it would otherwise block every later event.
 	 */
 
-	// This can be made more efficient by iterating over the events array only once.
 	consumeEventsForTick(tick) {
 		const ready = [];
-		const remaining = [];
-		for (const event of this.events) {
-			if (event.targetTick === tick) {
-				ready.push(event);
-			} else {
-				remaining.push(event);
-			}
+		while (this.heap.length > 0 && this.heap[0].targetTick <= tick) {
+			const event = this.#pop();
+			if (event.cancelled) continue;
+			event.consumed = true;
+			this.liveCount--;
+			ready.push(event);
 		}
-		this.events = remaining;
 		return ready;
 	}
 	/**
-	 * hasEventsForTick: does at least one event remain for this tick?
+	 * hasEventsForTick: does at least one event remain for this tick (or an
+	 * earlier one, see consumeEventsForTick)?
 	 */
 
 	hasEventsForTick(tick) {
-		return this.events.some((e) => e.targetTick === tick);
+		this.#discardCancelled();
+		return this.heap.length > 0 && this.heap[0].targetTick <= tick;
+	}
+	/**
+	 * nextEventTick: tick of the earliest pending event, or null if the queue is empty
+	 */
+
+	nextEventTick() {
+		this.#discardCancelled();
+		return this.heap.length > 0 ? this.heap[0].targetTick : null;
+	}
+
+	get size() {
+		return this.liveCount;
+	}
+	/**
+	 * events: snapshot of the pending events in firing order
+	 */
+
+	get events() {
+		return this.heap.filter((e) => !e.cancelled).sort(compareEvents);
+	}
+
+	/**
+	 * clear: drop every pending event. They count as cancelled, so a later
+	 * cancelEvent() on one of them is a no-op.
+	 */
+
+	clear() {
+		this.heap.forEach((event) => (event.cancelled = true));
+		this.heap = [];
+		this.liveCount = 0;
+	}
+
+	#discardCancelled() {
+		while (this.heap.length > 0 && this.heap[0].cancelled) {
+			this.#pop();
+		}
+	}
+
+	#pop() {
+		const heap = this.heap;
+		const top = heap[0];
+		const last = heap.pop();
+		if (heap.length > 0) {
+			heap[0] = last;
+			this.#siftDown(0);
+		}
+		return top;
+	}
+
+	#siftUp(index) {
+		const heap = this.heap;
+		while (index > 0) {
+			const parent = (index - 1) >> 1;
+			if (compareEvents(heap[index], heap[parent]) >= 0) break;
+			[heap[index], heap[parent]] = [heap[parent], heap[index]];
+			index = parent;
+		}
 	}
-}
\ No newline at end of file
+
+	#siftDown(index) {
+		const heap = this.heap;
+		while (true) {
+			const left = 2 * index + 1;
+			const right = left + 1;
+			let smallest = index;
+			if (left < heap.length && compareEvents(heap[left], heap[smallest]) < 0) smallest = left;
+			if (right < heap.length && compareEvents(heap[right], heap[smallest]) < 0) smallest = right;
+			if (smallest === index) return;
+			[heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+			index = smallest;
+		}
+	}
+}
+
+function compareEvents(a, b) {
+	return a.targetTick - b.targetTick || a.sequence - b.sequence;
+}
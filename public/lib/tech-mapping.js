@@ -0,0 +1,351 @@
+import {
+  ClockNode,
+  LiteralNode,
+  InputNode,
+  GateNode,
+  FeedbackNode,
+  FlipFlopNode,
+  LatchNode,
+  SubCircuitOutputNode,
+} from "./nodes.js";
+import { Circuit } from "./circuit.js";
+import { espresso, rowCube } from "./espresso.js";
+import { SatSolver, encodeCircuit, previousClockKey } from "./sat.js";
+
+export const UNIVERSAL_GATES = ["NAND", "NOR"];
+
+// Other gates are rebuilt from a sum of products of their function, so their
+// input count is limited
+const MAX_DECOMPOSED_INPUTS = 8;
+
+/**
+ * Rewrites a circuit using only NAND or only NOR gates. Inputs, constants,
+ * clocks, FeedbackNodes and flip-flops are kept; every gate, including LUTs
+ * and other standard gates, and every sub-circuit is replaced by an
+ * equivalent network of the target gate. An inverter is the gate with both
+ * inputs tied together, and double inversions cancel out.
+ *
+ * Input nodes keep their names and indices, FeedbackNodes and flip-flops
+ * their names, and each output ends in a gate carrying the original
+ * output's name.
+ *
+ * Only 1-bit logic is supported.
+ * @param {Circuit} circuit
+ * @param {"NAND" | "NOR"} [gateType]
+ * @param {Object} [options]
+ * @param {number} [options.maxFanIn] Most inputs per gate, at least 2. Wider
+ *   gates are split into trees.
+ * @param {number} [options.delay] Delay of every new gate.
+ * @param {boolean} [options.verify] Check that the mapped circuit computes
+ *   the same outputs and next states as the original, with a SAT solver on
+ *   both circuits (see encodeCircuit in sat.js), and throw if it does not.
+ * @returns {Circuit}
+ */
+export function mapToUniversalGates(
+  circuit,
+  gateType = "NAND",
+  { maxFanIn = Infinity, delay = 0, verify = true } = {},
+) {
+  if (!UNIVERSAL_GATES.includes(gateType)) {
+    throw new Error(
+      `Cannot map to "${gateType}" gates. Use ${UNIVERSAL_GATES.join(" or ")}.`,
+    );
+  }
+  if (!(maxFanIn >= 2)) {
+    throw new Error(`maxFanIn must be at least 2, got ${maxFanIn}.`);
+  }
+
+  const mapper = new UniversalMapper(gateType, maxFanIn, delay);
+  const top = { circuit, inputs: null };
+  const roots = circuit.rootNodes.map((node) => mapper.map(node, top));
+  const mapped = new Circuit(
+    `${circuit.name}_${gateType.toLowerCase()}`,
+    roots.map((node, i) => mapper.named(node, circuit.rootNodes[i])),
+    { inputs: circuit.declaredInputs.map((input) => mapper.map(input, top)) },
+  );
+  circuit.feedbackNodes.forEach((fb) => {
+    mapped.registerFeedbackNode(mapper.map(fb, top));
+  });
+  mapped.logicMode = circuit.logicMode;
+  for (const { name, period, dutyCycle, phase } of Object.values(
+    circuit.clocks,
+  )) {
+    mapped.addClock(name, { period, dutyCycle, phase });
+  }
+
+  if (verify) verifyMapping(circuit, mapped, gateType, mapper.stateNodes);
+  return mapped;
+}
+
+class UniversalMapper {
+  constructor(gateType, maxFanIn, delay) {
+    this.gateType = gateType;
+    this.maxFanIn = maxFanIn;
+    this.delay = delay;
+    // original node -> mapped node; every composite owns its sub-circuit's
+    // nodes, so one map serves all of them
+    this.nodeMap = new Map();
+    // node -> its inverse, both ways
+    this.complements = new Map();
+    // [original, copy] pairs of FeedbackNodes, flip-flops and ClockNodes
+    this.stateNodes = [];
+    this.claimed = new Set();
+  }
+
+  map(node, scope) {
+    if (this.nodeMap.has(node)) return this.nodeMap.get(node);
+    if ((node.width ?? 1) > 1) {
+      throw new Error(
+        `Gate mapping only supports 1-bit signals, but "${node.name}" is ${node.width} bits wide.`,
+      );
+    }
+
+    let mapped;
+    if (node instanceof InputNode) {
+      mapped = scope.inputs
+        ? scope.inputs[node.index]
+        : new InputNode(node.index, node.name);
+    } else if (node instanceof LiteralNode) {
+      mapped = new LiteralNode(node.value, node.name);
+    } else if (node instanceof ClockNode) {
+      mapped = new ClockNode(node.name, node.domain);
+      this.stateNodes.push([node, mapped]);
+    } else if (node instanceof FeedbackNode) {
+      mapped = new FeedbackNode(
+        null,
+        node.initialValue,
+        node.delay,
+        node.name,
+        node.width,
+      );
+      mapped.delayModel = node.delayModel;
+      mapped.rejectThreshold = node.rejectThreshold;
+      this.stateNodes.push([node, mapped]);
+      // Set before mapping the input so that loops close on the copy
+      this.nodeMap.set(node, mapped);
+      if (node.inputNode) mapped.inputNode = this.map(node.inputNode, scope);
+    } else if (node instanceof FlipFlopNode) {
+      // Flip-flops in sub-circuits are updated by the sub-circuit, not by
+      // the flat mapped circuit
+      if (scope.inputs) {
+        throw new Error(
+          `Gate mapping does not support flip-flop "${node.name}" inside sub-circuit "${scope.circuit.name}".`,
+        );
+      }
+      const options = { initialValue: node.initialValue, delay: node.delay };
+      mapped =
+        node instanceof LatchNode
+          ? new LatchNode(
+              node.type,
+              [],
+              { ...options, level: node.level },
+              node.name,
+            )
+          : new FlipFlopNode(
+              node.type,
+              [],
+              { ...options, edge: node.edge },
+              node.name,
+            );
+      mapped.delayModel = node.delayModel;
+      mapped.rejectThreshold = node.rejectThreshold;
+      this.stateNodes.push([node, mapped]);
+      this.nodeMap.set(node, mapped);
+      const pin = (input) => input && this.map(input, scope);
+      mapped.dataNodes = node.dataNodes.map(pin);
+      mapped.clockNode = pin(node.clockNode);
+      mapped.enableNode = pin(node.enableNode);
+      mapped.setNode = pin(node.setNode);
+      mapped.resetNode = pin(node.resetNode);
+    } else if (node instanceof GateNode) {
+      mapped = this.gate(
+        node,
+        node.resolveGate(scope.circuit),
+        node.inputNodes.map((child) => this.map(child, scope)),
+      );
+    } else if (node instanceof SubCircuitOutputNode) {
+      const composite = node.compositeNode;
+      const inner = {
+        circuit: composite.subCircuit,
+        inputs: composite.inputNodes.map((child) => this.map(child, scope)),
+      };
+      mapped = this.map(
+        composite.subCircuit.rootNodes[node.outputIndex],
+        inner,
+      );
+    } else {
+      throw new Error(
+        `Gate mapping does not support ${node.constructor.name} "${node.name}".`,
+      );
+    }
+
+    this.nodeMap.set(node, mapped);
+    return mapped;
+  }
+
+  /**
+   * Gives a mapped output the original output's name. Outputs that map onto
+   * a node that is not a fresh gate, or is already named, get a buffer made
+   * of two inverters.
+   */
+  named(node, original) {
+    if (node.name === original.name) return node;
+    let named = node;
+    if (!(named instanceof GateNode) || this.claimed.has(named)) {
+      const inverter = this.#universal([node, node]);
+      named = this.#universal([inverter, inverter]);
+    }
+    named.name = original.name;
+    this.claimed.add(named);
+    return named;
+  }
+
+  gate(node, gateFunc, inputs) {
+    if (typeof gateFunc !== "function") {
+      throw new Error(`Gate "${node.gateType}" is not registered.`);
+    }
+    switch (node.gateType) {
+      case "BUF":
+        return inputs[0];
+      case "NOT":
+        return this.not(inputs[0]);
+      case "AND":
+        return this.and(inputs);
+      case "OR":
+        return this.or(inputs);
+      case "NAND":
+        return this.not(this.and(inputs));
+      case "NOR":
+        return this.not(this.or(inputs));
+      case "XOR":
+        return inputs.reduce((a, b) => this.xor(a, b));
+      case "XNOR":
+        return this.not(inputs.reduce((a, b) => this.xor(a, b)));
+    }
+
+    // Anything else becomes a minimized sum of products of its function
+    if (inputs.length > MAX_DECOMPOSED_INPUTS) {
+      throw new Error(
+        `Gate mapping supports at most ${MAX_DECOMPOSED_INPUTS} inputs on ${node.gateType} gates, but "${node.name}" has ${inputs.length}.`,
+      );
+    }
+    const k = inputs.length;
+    const onSet = [];
+    for (let row = 0; row < 1 << k; row++) {
+      const bits = inputs.map((_, i) => (row >> (k - 1 - i)) & 1);
+      if (gateFunc(bits)) onSet.push(rowCube(row, k));
+    }
+    const cover = espresso(onSet);
+    if (cover.length === 0) return new LiteralNode(0, "0");
+    return this.or(
+      cover.map((cube) => {
+        const literals = [];
+        inputs.forEach((input, i) => {
+          if (!((cube.mask >> i) & 1)) return;
+          literals.push((cube.value >> i) & 1 ? input : this.not(input));
+        });
+        return literals.length === 0
+          ? new LiteralNode(1, "1")
+          : this.and(literals);
+      }),
+    );
+  }
+
+  not(node) {
+    if (!this.complements.has(node)) {
+      const inverter = this.#universal([node, node]);
+      this.complements.set(node, inverter);
+      this.complements.set(inverter, node);
+    }
+    return this.complements.get(node);
+  }
+
+  and(inputs) {
+    if (inputs.length === 1) return inputs[0];
+    return this.gateType === "NAND"
+      ? this.not(this.#universal(inputs))
+      : this.#universal(inputs.map((input) => this.not(input)));
+  }
+
+  or(inputs) {
+    if (inputs.length === 1) return inputs[0];
+    return this.gateType === "NOR"
+      ? this.not(this.#universal(inputs))
+      : this.#universal(inputs.map((input) => this.not(input)));
+  }
+
+  xor(a, b) {
+    // Four gates: with NANDs this is XOR, with NORs it is XNOR, and
+    // XNOR(NOT a, b) = XOR(a, b)
+    const left = this.gateType === "NAND" ? a : this.not(a);
+    const both = this.#universal([left, b]);
+    return this.#universal([
+      this.#universal([left, both]),
+      this.#universal([b, both]),
+    ]);
+  }
+
+  // One target gate, or a tree of them when there are too many inputs:
+  // NAND(a, b, c, d) = NAND(AND(a, b), AND(c, d)), and likewise for NOR/OR
+  #universal(inputs) {
+    if (inputs.length <= this.maxFanIn) {
+      return new GateNode(this.gateType, inputs, this.delay);
+    }
+    const groups = [];
+    for (let i = 0; i < inputs.length; i += this.maxFanIn) {
+      const group = inputs.slice(i, i + this.maxFanIn);
+      groups.push(
+        group.length === 1 ? group[0] : this.not(this.#universal(group)),
+      );
+    }
+    return this.#universal(groups);
+  }
+}
+
+// Proves that no inputs and state give different outputs or next states, with
+// the FeedbackNodes, flip-flops and clocks of both circuits read from the
+// same variables
+function verifyMapping(original, mapped, gateType, stateNodes) {
+  const solver = new SatSolver();
+  const statePairs = [
+    ...stateNodes,
+    ...stateNodes
+      .filter(([node]) => node instanceof FlipFlopNode)
+      .map((pair) => pair.map(previousClockKey)),
+  ];
+  const shared = statePairs.map(() => solver.newVariable());
+  const side = (circuit, pick, inputs = null) =>
+    encodeCircuit(circuit, solver, {
+      inputs,
+      state: new Map(statePairs.map((pair, k) => [pair[pick], shared[k]])),
+    });
+  const expected = side(original, 0);
+  const actual = side(mapped, 1, expected.inputs);
+
+  const feedback = stateNodes.filter(
+    ([node]) => node instanceof FeedbackNode || node instanceof FlipFlopNode,
+  );
+  const pairs = [
+    ...expected.outputs.map((output, i) => [
+      `output ${i}`,
+      output,
+      actual.outputs[i],
+    ]),
+    ...feedback.map(([node, copy]) => [
+      `the next state of "${node.name}"`,
+      expected.next.get(node),
+      actual.next.get(copy),
+    ]),
+  ];
+  for (const [what, a, b] of pairs) {
+    // d is set when a and b differ
+    const d = solver.newVariable();
+    solver.addClause([-d, a, b]);
+    solver.addClause([-d, -a, -b]);
+    if (solver.solve([d])) {
+      throw new Error(
+        `Mapping "${original.name}" to ${gateType} gates changed ${what}.`,
+      );
+    }
+  }
+}
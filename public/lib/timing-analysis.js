@@ -0,0 +1,248 @@
+import {
+  InputNode,
+  GateNode,
+  FeedbackNode,
+  FlipFlopNode,
+  RamNode,
+  CompositeNode,
+  SubCircuitOutputNode,
+  resolveDelay,
+} from "./nodes.js";
+import { childNodesOf, collectNodes } from "./graph.js";
+
+/**
+ * Static timing analysis: computes worst-case arrival times from the gate
+ * and feedback delays without simulating.
+ *
+ * Paths start at inputs, the clock, constants and register outputs, and end
+ * at the circuit outputs, register inputs and RAM write pins. FeedbackNodes
+ * and flip-flops are registers whose own delay counts as their
+ * clock-to-output time; a flip-flop's endpoint is the slowest of its data and
+ * enable inputs, a RAM's the slowest of its address, data and write enable.
+ * Sub-circuits are analyzed in place, so paths run through CompositeNodes and
+ * end at the registers inside them too. Each gate contributes the larger of
+ * its rise and fall delay at the chosen timing corner.
+ *
+ * Latches are timed like edge-triggered flip-flops: a path ends at the latch
+ * input and starts again at its output, so time borrowed while the latch is
+ * transparent is not counted.
+ *
+ * @param {Circuit} circuit
+ * @param {Object} [options]
+ * @param {number} [options.clockPeriod] Target period in ticks; when given,
+ *   every endpoint gets a slack of clockPeriod - arrival.
+ * @param {string} [options.corner] Timing corner, defaults to the circuit's.
+ * @returns {{ corner: string, clockPeriod: number | null,
+ *   criticalDelay: number, slack: number | null,
+ *   criticalPath: Array<{ name: string, arrival: number }>,
+ *   endpoints: Array<{ name: string, kind: "output" | "register" | "memory",
+ *     arrival: number, slack: number | null,
+ *     path: Array<{ name: string, arrival: number }> }>,
+ *   arrivalTimes: Object<string, number> }}
+ *   Endpoints are sorted from slowest to fastest. Nodes inside sub-circuits
+ *   are named "composite/node".
+ */
+export function analyzeTiming(
+  circuit,
+  { clockPeriod = null, corner = circuit.timingCorner } = {},
+) {
+  const analysis = new TimingAnalysis(corner);
+  const top = { circuit, composite: null, parent: null, prefix: "" };
+
+  const endpoints = circuit.rootNodes.map((node) =>
+    analysis.endpoint(node, top, "output"),
+  );
+  endpoints.push(...analysis.registerEndpoints(circuit, top));
+
+  // Registers inside sub-circuits are only known once those have been visited
+  for (const [composite, scope] of analysis.composites) {
+    endpoints.push(...analysis.registerEndpoints(composite.subCircuit, scope));
+  }
+
+  for (const endpoint of endpoints) {
+    endpoint.slack =
+      clockPeriod === null ? null : clockPeriod - endpoint.arrival;
+  }
+  endpoints.sort((a, b) => b.arrival - a.arrival);
+
+  const critical = endpoints[0];
+  return {
+    corner,
+    clockPeriod,
+    criticalDelay: critical?.arrival ?? 0,
+    slack: critical?.slack ?? null,
+    criticalPath: critical?.path ?? [],
+    endpoints,
+    arrivalTimes: Object.fromEntries(
+      [...analysis.timing.values()].map((t) => [t.name, t.arrival]),
+    ),
+  };
+}
+
+class TimingAnalysis {
+  constructor(corner) {
+    this.corner = corner;
+    // node -> { name, arrival, from, port }, where `from` is the timing
+    // entry of the slowest node driving it
+    this.timing = new Map();
+    this.composites = new Map();
+  }
+
+  endpoint(node, scope, kind, name = null) {
+    const timing = this.arrival(node, scope);
+    return {
+      name: name ?? timing.name,
+      kind,
+      arrival: timing.arrival,
+      path: tracePath(timing),
+    };
+  }
+
+  registerEndpoints(circuit, scope) {
+    const endpoints = circuit.feedbackNodes
+      .filter((fb) => fb.inputNode)
+      .map((fb) =>
+        this.endpoint(
+          fb.inputNode,
+          scope,
+          "register",
+          `${scope.prefix}${fb.name}`,
+        ),
+      );
+
+    const flipFlops = collectNodes(
+      [...circuit.rootNodes, ...circuit.feedbackNodes],
+      { throughFeedback: true },
+    ).filter((node) => node instanceof FlipFlopNode);
+    for (const ff of flipFlops) {
+      const pins = [...ff.dataNodes, ff.enableNode].filter(Boolean);
+      // Only set and reset: nothing is sampled on the clock edge
+      if (pins.length === 0) continue;
+      const slowest = pins.reduce((a, b) =>
+        this.arrival(b, scope).arrival > this.arrival(a, scope).arrival ? b : a,
+      );
+      endpoints.push(
+        this.endpoint(slowest, scope, "register", `${scope.prefix}${ff.name}`),
+      );
+    }
+
+    const rams = collectNodes(
+      [...circuit.rootNodes, ...circuit.feedbackNodes],
+      { throughFeedback: true },
+    ).filter((node) => node instanceof RamNode);
+    for (const ram of rams) {
+      const pins = [ram.addressNode, ram.dataNode, ram.writeEnableNode].filter(
+        Boolean,
+      );
+      const slowest = pins.reduce((a, b) =>
+        this.arrival(b, scope).arrival > this.arrival(a, scope).arrival ? b : a,
+      );
+      endpoints.push(
+        this.endpoint(slowest, scope, "memory", `${scope.prefix}${ram.name}`),
+      );
+    }
+    return endpoints;
+  }
+
+  // Depth-first with a stack of its own rather than recursion, so that long
+  // chains of gates do not overflow the call stack
+  arrival(node, scope) {
+    if (this.timing.has(node)) return this.timing.get(node);
+    const visiting = new Set([node]);
+    const stack = [{ node, scope, drivers: this.driversOf(node, scope) }];
+    while (stack.length > 0) {
+      const frame = stack.at(-1);
+      const next = frame.drivers.find(([driver]) => !this.timing.has(driver));
+      if (!next) {
+        stack.pop();
+        visiting.delete(frame.node);
+        this.timing.set(frame.node, this.settle(frame));
+        continue;
+      }
+      const [driver, driverScope] = next;
+      if (visiting.has(driver)) {
+        throw new Error(
+          `analyzeTiming() found a combinational loop through "${driver.name}".`,
+        );
+      }
+      visiting.add(driver);
+      stack.push({
+        node: driver,
+        scope: driverScope,
+        drivers: this.driversOf(driver, driverScope),
+      });
+    }
+    return this.timing.get(node);
+  }
+
+  // The nodes, each with its scope, that a node's arrival time follows:
+  // none for registers, which start paths
+  driversOf(node, scope) {
+    if (node instanceof InputNode && scope.composite) {
+      // A sub-circuit input arrives when the composite's input does
+      return [[scope.composite.inputNodes[node.index], scope.parent]];
+    }
+    if (
+      node instanceof FeedbackNode ||
+      node instanceof FlipFlopNode ||
+      node instanceof CompositeNode
+    ) {
+      return [];
+    }
+    if (node instanceof SubCircuitOutputNode) {
+      const inner = this.enter(node.compositeNode, scope);
+      return [[inner.circuit.rootNodes[node.outputIndex], inner]];
+    }
+    return childNodesOf(node).map((child) => [child, scope]);
+  }
+
+  // Timing of a node once all of its drivers have theirs
+  settle({ node, scope, drivers }) {
+    let from = null;
+    for (const [driver] of drivers) {
+      const timing = this.timing.get(driver);
+      if (!from || timing.arrival > from.arrival) from = timing;
+    }
+    return {
+      name: `${scope.prefix}${node.name}`,
+      arrival: (from?.arrival ?? 0) + this.delayOf(node),
+      from,
+      // Sub-circuit ports only rename a signal; paths skip over them
+      port:
+        node instanceof SubCircuitOutputNode ||
+        (node instanceof InputNode && scope.composite !== null),
+    };
+  }
+
+  enter(composite, scope) {
+    if (!this.composites.has(composite)) {
+      this.composites.set(composite, {
+        circuit: composite.subCircuit,
+        composite,
+        parent: scope,
+        prefix: `${scope.prefix}${composite.name}/`,
+      });
+    }
+    return this.composites.get(composite);
+  }
+
+  delayOf(node) {
+    if (!(
+      node instanceof GateNode ||
+      node instanceof FeedbackNode ||
+      node instanceof FlipFlopNode
+    )) {
+      return 0;
+    }
+    return resolveDelay(node.delay, null, this.corner);
+  }
+}
+
+function tracePath(timing) {
+  const path = [];
+  for (let step = timing; step; step = step.from) {
+    if (step.port && step !== timing) continue;
+    path.unshift({ name: step.name, arrival: step.arrival });
+  }
+  return path;
+}
@@ -0,0 +1,141 @@
+import { ClockNode, InputNode } from "./nodes.js";
+import { collectNodes } from "./graph.js";
+
+/**
+ * Per-signal value changes recorded over a run of ticks. Each signal keeps
+ * only the ticks where its value changed, as [tick, value] pairs, starting
+ * with its value on the first recorded tick. Ticks count from the start of
+ * the run.
+ */
+export class Trace {
+  constructor({ inputNames = [], outputNames = [], startTick = 0 } = {}) {
+    this.startTick = startTick;
+    this.ticks = 0;
+    this.inputNames = inputNames;
+    this.outputNames = outputNames;
+    this.signals = {};
+  }
+
+  /**
+   * Adds one tick's values, keyed by signal name.
+   */
+  record(values) {
+    const tick = this.ticks++;
+    for (const [name, value] of Object.entries(values)) {
+      const changes = (this.signals[name] ??= []);
+      const last = changes[changes.length - 1];
+      if (!last || last[1] !== value) changes.push([tick, value]);
+    }
+  }
+
+  /**
+   * Value of a signal at a tick of the run.
+   */
+  valueAt(name, tick) {
+    const changes = this.signals[name];
+    if (!changes) throw new Error(`Trace has no signal "${name}".`);
+    if (tick < 0 || tick >= this.ticks) {
+      throw new Error(
+        `Tick ${tick} is outside the trace (0 to ${this.ticks - 1}).`,
+      );
+    }
+    let value;
+    for (const [changeTick, changeValue] of changes) {
+      if (changeTick > tick) break;
+      value = changeValue;
+    }
+    return value;
+  }
+
+  /**
+   * The circuit outputs at a tick, in output order.
+   */
+  outputsAt(tick) {
+    return this.outputNames.map((name) => this.valueAt(name, tick));
+  }
+
+  /**
+   * One line per signal with its value on every tick, e.g. "CLK  0101".
+   * Multi-bit values are written in hex and separated by spaces.
+   */
+  toString() {
+    const names = Object.keys(this.signals);
+    const pad = Math.max(0, ...names.map((name) => name.length));
+    return names
+      .map((name) => {
+        const values = Array.from({ length: this.ticks }, (_, tick) =>
+          this.valueAt(name, tick),
+        );
+        const wide = values.some((v) => typeof v === "number" && v > 1);
+        const text = wide
+          ? values
+              .map((v) => (typeof v === "number" ? v.toString(16) : v))
+              .join(" ")
+          : values.join("");
+        return `${name.padEnd(pad)}  ${text}`;
+      })
+      .join("\n");
+  }
+
+  toJSON() {
+    return {
+      startTick: this.startTick,
+      ticks: this.ticks,
+      signals: this.signals,
+    };
+  }
+}
+
+/**
+ * The names a trace of `circuit` records its signals under: the inputs, the
+ * setClock() clock when `clock` is set (under the names of the ClockNodes
+ * that read it, or CLK when there are none), the named clocks and the
+ * outputs. Traces key signals by name, so two signals sharing a name are an
+ * error; an output may only share the name of the input or clock it is.
+ * @param {Circuit} circuit
+ * @param {Object} [options]
+ * @param {boolean} [options.clock] Whether the setClock() clock is traced.
+ * @returns {{ inputNames: string[], clockNames: string[],
+ *   domainNames: string[], outputNames: string[] }}
+ */
+export function traceSignalNames(circuit, { clock = false } = {}) {
+  const nodes = collectNodes([...circuit.rootNodes, ...circuit.feedbackNodes], {
+    throughFeedback: true,
+  });
+  const inputNames = circuit.getInputNames();
+  const clockNames = [];
+  if (clock) {
+    for (const node of nodes) {
+      if (node instanceof ClockNode && !node.domain) clockNames.push(node.name);
+    }
+    if (clockNames.length === 0) clockNames.push("CLK");
+  }
+  const domainNames = Object.keys(circuit.clocks);
+  const outputNames = circuit.rootNodes.map((node) => node.name);
+
+  // Name -> the signal it records: an input index, a clock, or a node
+  const signals = new Map();
+  const claim = (name, signal) => {
+    if (signals.has(name) && signals.get(name) !== signal) {
+      throw new Error(
+        `Cannot trace "${circuit.name}": more than one of its signals is named "${name}".`,
+      );
+    }
+    signals.set(name, signal);
+  };
+  inputNames.forEach((name, index) => claim(name, `input ${index}`));
+  clockNames.forEach((name) => claim(name, "clock"));
+  domainNames.forEach((name) => claim(name, `clock ${name}`));
+  circuit.rootNodes.forEach((node) => {
+    if (node instanceof InputNode) claim(node.name, `input ${node.index}`);
+    else if (node instanceof ClockNode) {
+      claim(node.name, node.domain ? `clock ${node.domain}` : "clock");
+    } else claim(node.name, node);
+  });
+  return {
+    inputNames,
+    clockNames: [...new Set(clockNames)],
+    domainNames,
+    outputNames,
+  };
+}
@@ -11,4 +11,18 @@ export function createDefaultContext() {
 			// This cache is the key to preventing infinite recursion in toString().
 			nodeStringCache: new Map()
 		};
-	}
\ No newline at end of file
+	}
+
+/**
+ * Bit mask covering the low `width` bits of a word (widths up to 32).
+ */
+export function maskForWidth(width) {
+	return width >= 32 ? 0xffffffff : (1 << width) - 1;
+}
+
+/**
+ * Truncate a word to `width` bits, keeping the result unsigned.
+ */
+export function maskValue(value, width) {
+	return (value & maskForWidth(width)) >>> 0;
+}
@@ -41,7 +41,7 @@ export class InspectorScene {
 
             // Derive input pin labels from the connected nodes' names
             const inputArr = logicNode.inputNodes ?? logicNode.inputs ?? [];
-            const inputPinLabels = inputArr.map(n => n?.name || '');
+            const inputPinLabels = logicNode.inputPinNames ?? inputArr.map(n => n?.name || '');
 
             // Derive output pin labels from SubCircuitOutputNode names
             const outNameMap = compositeOutputNames.get(logicNode) ?? new Map();
@@ -1,6 +1,7 @@
 import {
     InputNode, ClockNode, FeedbackNode,
-    GateNode, CompositeNode, SubCircuitOutputNode,
+    GateNode, CompositeNode, SubCircuitOutputNode, RomNode, RamNode,
+    FlipFlopNode, LatchNode,
 } from '../lib/nodes.js';
 
 /**
@@ -87,12 +88,20 @@ export function nodeLabel(node) {
             return `${node.gateType} Gate\n(${node.name})`;
         }
 
+        if (node instanceof FlipFlopNode) {
+            return `${node.describe()}\n(${node.name})`;
+        }
+
         return node.name;
     }
 
     // 2. Generic fallbacks for basic types
     if (node instanceof InputNode) return `INPUT ${node.index}`;
-    if (node instanceof ClockNode) return 'CLK';
+    if (node instanceof ClockNode) return node.domain ? `CLK ${node.domain}` : 'CLK';
+    if (node instanceof RamNode) return 'RAM';
+    if (node instanceof RomNode) return 'ROM';
+    if (node instanceof LatchNode) return 'LATCH';
+    if (node instanceof FlipFlopNode) return 'FF';
     if (node instanceof FeedbackNode) return 'MEM';
     if (node instanceof GateNode) return node.gateType ?? 'GATE';
 
@@ -110,7 +119,7 @@ export function nodeLabel(node) {
 export function nodeKind(node) {
     if (node instanceof InputNode) return 'GRAPH_INPUT';
     if (node instanceof ClockNode) return 'GRAPH_CLOCK';
-    if (node instanceof FeedbackNode) return 'GRAPH_FEEDBACK';
+    if (node instanceof FeedbackNode || node instanceof FlipFlopNode) return 'GRAPH_FEEDBACK';
     if (node instanceof GateNode) return 'GRAPH_GATE';
     if (node instanceof SubCircuitOutputNode) return 'GRAPH_SUBCIRCUIT_OUTPUT';
     if (node instanceof CompositeNode) return 'GRAPH_COMPOSITE';
@@ -5,15 +5,36 @@
  * Tests all implemented digital circuits to verify correct operation.
  */
 
-import { createHalfAdder } from "../examples/half-adder.js";
+import { createHalfAdder } from "./examples/half-adder.js";
 import { createFullAdder } from "./examples/full-adder.js";
 import { create4BitRippleCarryAdder } from "./examples/ripple-carry-adder.js";
+import { create4BitCarryLookaheadAdder } from "./examples/carry-lookahead-adder.js";
 import { createDFlipFlop } from "./examples/d-flip-flop.js";
 import { createTFlipFlop } from "./examples/t-flip-flop.js";
 import { createJKFlipFlop } from "./examples/jk-flip-flop.js";
 import { create2to1Mux, create4to1Mux } from "./examples/multiplexer.js";
 import { create2to4Decoder } from "./examples/decoder.js";
 import { create4BitCounter } from "./examples/counter.js";
+import { Circuit } from "./lib/circuit.js";
+import {
+	InputNode,
+	ClockNode,
+	LiteralNode,
+	GateNode,
+	LutNode,
+	FeedbackNode,
+	SliceNode,
+	ConcatNode,
+	RomNode,
+	RamNode,
+	FlipFlopNode,
+	LatchNode,
+} from "./lib/nodes.js";
+import { STANDARD_GATES, LOGIC_X, LOGIC_Z } from "./lib/common-gates.js";
+import { Scheduler } from "./lib/scheduler.js";
+import { collectNodes, findCycles } from "./lib/graph.js";
+import { parseExpression } from "./lib/expression-parser.js";
+import { bddToCircuit } from "./lib/bdd.js";
 
 // Test result tracking
 let totalTests = 0;
@@ -121,91 +142,71 @@ test4BitAdd(15, 1, 0, 1); // Overflow
 // ============================================================================
 testSection("D FLIP-FLOP TESTS");
 
-const dff = createDFlipFlop();
+const dffRun = createDFlipFlop().run({
+	ticks: 4,
+	clock: { period: 2 }, // low on even ticks, rising edge on odd ticks
+	stimulus: [
+		{ tick: 0, inputs: [0] },
+		{ tick: 1, inputs: [1] },
+		{ tick: 2, inputs: [0] },
+	],
+});
 
-dff.setClock(0);
-dff.tick([0]);
-test("Initial state Q=0", dff.tick([0])[0] === 0, "0", dff.tick([0])[0]);
+test("Initial state Q=0", dffRun.outputsAt(0)[0] === 0, "0", dffRun.outputsAt(0)[0]);
+test("Rising edge with D=1 sets Q=1", dffRun.outputsAt(1)[0] === 1, "1", dffRun.outputsAt(1)[0]);
+test("D changes but no edge, Q holds", dffRun.outputsAt(2)[0] === 1, "1", dffRun.outputsAt(2)[0]);
+test("Rising edge with D=0 resets Q=0", dffRun.outputsAt(3)[0] === 0, "0", dffRun.outputsAt(3)[0]);
 
-dff.setClock(1);
-dff.tick([1]);
-test("Rising edge with D=1 sets Q=1", dff.tick([1])[0] === 1, "1", dff.tick([1])[0]);
-
-dff.setClock(1);
-dff.tick([0]);
-test("D changes but no edge, Q holds", dff.tick([0])[0] === 1, "1", dff.tick([0])[0]);
-
-dff.setClock(0);
-dff.tick([0]);
-dff.setClock(1);
-dff.tick([0]);
-test("Rising edge with D=0 resets Q=0", dff.tick([0])[0] === 0, "0", dff.tick([0])[0]);
+const ckRun = new Circuit("CkFlop", [new FlipFlopNode("D", [new InputNode(0, "D")], { clock: new ClockNode("CK") }, "Q")]).run({ ticks: 2, clock: { period: 2 } });
+test("run() traces the clock under the name of its ClockNode", Object.keys(ckRun.signals).join(",") === "D,CK,Q", "D,CK,Q", Object.keys(ckRun.signals).join(","));
+test("The flip-flop examples trace their clock as CLK", "CLK" in dffRun.signals, "CLK", Object.keys(dffRun.signals).join(","));
+const traceNameErrors = [
+	new Circuit("ClashingClock", [new FlipFlopNode("D", [new InputNode(0, "CLK")], { clock: new ClockNode("CLK") }, "Q")]),
+	new Circuit("ClashingOutputs", [new GateNode("NOT", [new InputNode(0, "A")], 0, "Y"), new GateNode("BUF", [new InputNode(0, "A")], 0, "Y")]),
+].map((circuit) => {
+	try {
+		circuit.run({ ticks: 1, clock: { period: 2 } });
+		return null;
+	} catch (error) {
+		return error.message;
+	}
+});
+test("run() rejects signals that share a name", traceNameErrors.join(" | ") === 'Cannot trace "ClashingClock": more than one of its signals is named "CLK". | Cannot trace "ClashingOutputs": more than one of its signals is named "Y".', "both rejected", traceNameErrors.join(" | "));
 
 // ============================================================================
 // T FLIP-FLOP TESTS
 // ============================================================================
 testSection("T FLIP-FLOP TESTS");
 
-const tff = createTFlipFlop();
-
-tff.setClock(0);
-tff.tick([0]);
-test("T-FF initial state Q=0", tff.tick([0])[0] === 0, "0", tff.tick([0])[0]);
+const tffRun = createTFlipFlop().run({
+	ticks: 6,
+	clock: { period: 2 },
+	stimulus: (tick) => [tick < 4 ? 1 : 0],
+});
 
-tff.setClock(1);
-tff.tick([1]);
-test("T=1 rising edge toggles 0→1", tff.tick([1])[0] === 1, "1", tff.tick([1])[0]);
-
-tff.setClock(0);
-tff.tick([1]);
-tff.setClock(1);
-tff.tick([1]);
-test("T=1 rising edge toggles 1→0", tff.tick([1])[0] === 0, "0", tff.tick([1])[0]);
-
-tff.setClock(0);
-tff.tick([0]);
-tff.setClock(1);
-tff.tick([0]);
-test("T=0 rising edge holds Q", tff.tick([0])[0] === 0, "0", tff.tick([0])[0]);
+test("T-FF initial state Q=0", tffRun.outputsAt(0)[0] === 0, "0", tffRun.outputsAt(0)[0]);
+test("T=1 rising edge toggles 0→1", tffRun.outputsAt(1)[0] === 1, "1", tffRun.outputsAt(1)[0]);
+test("T=1 rising edge toggles 1→0", tffRun.outputsAt(3)[0] === 0, "0", tffRun.outputsAt(3)[0]);
+test("T=0 rising edge holds Q", tffRun.outputsAt(5)[0] === 0, "0", tffRun.outputsAt(5)[0]);
 
 // ============================================================================
 // JK FLIP-FLOP TESTS
 // ============================================================================
 testSection("JK FLIP-FLOP TESTS");
 
-const jkff = createJKFlipFlop();
-
-jkff.setClock(0);
-jkff.tick([0, 0]);
-test("JK-FF initial state Q=0", jkff.tick([0, 0])[0] === 0, "0", jkff.tick([0, 0])[0]);
-
-jkff.setClock(1);
-jkff.tick([1, 0]);
-test("J=1, K=0 sets Q=1", jkff.tick([1, 0])[0] === 1, "1", jkff.tick([1, 0])[0]);
+// Each [J, K] pair holds for one clock period, with the rising edge on its second tick
+const jkRun = createJKFlipFlop().run({
+	ticks: 12,
+	clock: { period: 2 },
+	stimulus: { repeat: [[0, 0], [1, 0], [0, 0], [0, 1], [1, 1], [1, 1]], hold: 2 },
+});
 
-jkff.setClock(0);
-jkff.tick([0, 0]);
-jkff.setClock(1);
-jkff.tick([0, 0]);
-test("J=0, K=0 holds Q=1", jkff.tick([0, 0])[0] === 1, "1", jkff.tick([0, 0])[0]);
-
-jkff.setClock(0);
-jkff.tick([0, 1]);
-jkff.setClock(1);
-jkff.tick([0, 1]);
-test("J=0, K=1 resets Q=0", jkff.tick([0, 1])[0] === 0, "0", jkff.tick([0, 1])[0]);
-
-jkff.setClock(0);
-jkff.tick([1, 1]);
-jkff.setClock(1);
-jkff.tick([1, 1]);
-test("J=1, K=1 toggles 0→1", jkff.tick([1, 1])[0] === 1, "1", jkff.tick([1, 1])[0]);
-
-jkff.setClock(0);
-jkff.tick([1, 1]);
-jkff.setClock(1);
-jkff.tick([1, 1]);
-test("J=1, K=1 toggles 1→0", jkff.tick([1, 1])[0] === 0, "0", jkff.tick([1, 1])[0]);
+test("JK-FF initial state Q=0", jkRun.outputsAt(1)[0] === 0, "0", jkRun.outputsAt(1)[0]);
+test("J=1, K=0 sets Q=1", jkRun.outputsAt(3)[0] === 1, "1", jkRun.outputsAt(3)[0]);
+test("J=0, K=0 holds Q=1", jkRun.outputsAt(5)[0] === 1, "1", jkRun.outputsAt(5)[0]);
+test("J=0, K=1 resets Q=0", jkRun.outputsAt(7)[0] === 0, "0", jkRun.outputsAt(7)[0]);
+test("J=1, K=1 toggles 0→1", jkRun.outputsAt(9)[0] === 1, "1", jkRun.outputsAt(9)[0]);
+test("J=1, K=1 toggles 1→0", jkRun.outputsAt(11)[0] === 0, "0", jkRun.outputsAt(11)[0]);
 
 // ============================================================================
 // 2-TO-1 MULTIPLEXER TESTS
@@ -271,40 +272,1149 @@ test(
 // ============================================================================
 testSection("4-BIT COUNTER TESTS");
 
-const counter = create4BitCounter();
+// Inputs are [ENABLE, RESET]; rising clock edges on ticks 1, 3, 5, 7 and 9
+const counterRun = create4BitCounter().run({
+	ticks: 10,
+	clock: { period: 2 },
+	stimulus: [
+		{ tick: 0, inputs: [1, 1] }, // Reset
+		{ tick: 2, inputs: { 1: 0 } }, // Count to 3
+		{ tick: 8, inputs: { 0: 0 } }, // Test hold
+	],
+});
+
+test("Counter after reset = 0", JSON.stringify(counterRun.outputsAt(2)) === JSON.stringify([0, 0, 0, 0]), "[0,0,0,0]", counterRun.outputsAt(2));
+test("Counter counts to 3", JSON.stringify(counterRun.outputsAt(7)) === JSON.stringify([1, 1, 0, 0]), "[1,1,0,0]", counterRun.outputsAt(7));
+test("Counter holds when disabled", JSON.stringify(counterRun.outputsAt(9)) === JSON.stringify([1, 1, 0, 0]), "[1,1,0,0]", counterRun.outputsAt(9));
+test("Trace keeps only value changes", JSON.stringify(counterRun.signals.Q1) === JSON.stringify([[0, 0], [5, 1]]), "[[0,0],[5,1]]", JSON.stringify(counterRun.signals.Q1));
+
+// ============================================================================
+// BUS SIGNAL TESTS
+// ============================================================================
+testSection("BUS SIGNAL TESTS");
+
+const busA = new InputNode(0, "A", 8);
+const busB = new InputNode(1, "B", 8);
+const busEnable = new InputNode(2, "EN");
+const busCircuit = new Circuit("BusOps", [
+	new GateNode("AND", [busA, busB], 0, "A_AND_B"),
+	new GateNode("AND", [busA, busEnable], 0, "A_IF_EN"),
+	new ConcatNode([new SliceNode(busA, 4, 4), new SliceNode(busA, 0, 4)], "SWAP"),
+	new GateNode("NOT", [busB], 0, "NOT_B"),
+]);
+busCircuit.registerGate("AND", STANDARD_GATES.AND);
+busCircuit.registerGate("NOT", STANDARD_GATES.NOT);
 
-counter.setClock(0);
-counter.tick([1, 1]); // Reset
-counter.setClock(1);
-counter.tick([1, 1]);
+const busOut = busCircuit.tick([0xf0, 0x3c, 1]);
+test("8-bit AND of 0xF0 and 0x3C = 0x30", busOut[0] === 0x30, "48", busOut[0]);
+test("1-bit enable is broadcast across the bus", busOut[1] === 0xf0, "240", busOut[1]);
+test("Slice + concat swaps nibbles", busOut[2] === 0x0f, "15", busOut[2]);
+test("NOT stays within the bus width", busOut[3] === 0xc3, "195", busOut[3]);
 test(
-	"Counter after reset = 0",
-	JSON.stringify(counter.tick([1, 0])) === JSON.stringify([0, 0, 0, 0]),
-	"[0,0,0,0]",
-	counter.tick([1, 0])
+	"Input and output widths are reported",
+	JSON.stringify(busCircuit.getInputWidths()) === JSON.stringify([8, 8, 1]) &&
+		JSON.stringify(busCircuit.getOutputWidths()) === JSON.stringify([8, 8, 8, 8]),
+	"[8,8,1] / [8,8,8,8]",
+	`${busCircuit.getInputWidths()} / ${busCircuit.getOutputWidths()}`
+);
+
+// ============================================================================
+// FOUR-VALUED LOGIC TESTS
+// ============================================================================
+testSection("FOUR-VALUED LOGIC TESTS");
+
+const xCounter = create4BitCounter();
+xCounter.setLogicMode("four-valued", { unknownInitialState: true });
+xCounter.setClock(0);
+const unresetCount = xCounter.tick([1, 0]);
+test(
+	"Counter without reset stays unknown",
+	unresetCount.every((v) => v === LOGIC_X),
+	"[X,X,X,X]",
+	unresetCount
+);
+xCounter.tick([1, 1]);
+const resetCount = xCounter.tick([1, 1]);
+test("Reset clears X to 0", JSON.stringify(resetCount) === JSON.stringify([0, 0, 0, 0]), "[0,0,0,0]", resetCount);
+
+const xStartFlop = new Circuit("XStartFlop", [new FlipFlopNode("D", [new InputNode(0, "D")], { clock: new ClockNode("CLK"), initialValue: 1 }, "Q")]);
+xStartFlop.setLogicMode("four-valued", { unknownInitialState: true });
+const xStartCopy = xStartFlop.clone();
+xStartFlop.setLogicMode("binary");
+const xStartStates = [xStartCopy.tick([0])[0], xStartFlop.tick([0])[0], xStartFlop.rootNodes[0].initialValue];
+test("Unknown initial state covers flip-flops and is undone with the mode", JSON.stringify(xStartStates) === JSON.stringify([LOGIC_X, 1, 1]), "[X,1,1]", xStartStates);
+
+const xBus = busCircuit.clone();
+xBus.setLogicMode("four-valued");
+const xBusOut = xBus.tick([0xf0, LOGIC_X, 0]);
+test("Bus gates pass X on unless another operand decides every bit", JSON.stringify([xBusOut[0], xBusOut[1], xBusOut[3]]) === JSON.stringify([LOGIC_X, 0, LOGIC_X]), "[X,0,X]", [xBusOut[0], xBusOut[1], xBusOut[3]]);
+
+const xSwaps = [LOGIC_X, LOGIC_Z].map((value) => xBus.tick([value, 0, 0])[2]);
+const xConcat = new Circuit("XConcat", [new ConcatNode([new InputNode(0, "LO"), new InputNode(1, "HI", 2)])]);
+xConcat.setLogicMode("four-valued");
+xSwaps.push(xConcat.tick([1, LOGIC_X])[0], xConcat.tick([LOGIC_Z, 3])[0]);
+test("Slices and concatenations of an X or Z operand are X", JSON.stringify(xSwaps) === JSON.stringify([LOGIC_X, LOGIC_X, LOGIC_X, LOGIC_X]), "[X,X,X,X]", xSwaps);
+
+const driverA = new InputNode(0, "DA");
+const enableA = new InputNode(1, "ENA");
+const driverB = new InputNode(2, "DB");
+const enableB = new InputNode(3, "ENB");
+const sharedBus = new Circuit("SharedBus", [
+	new GateNode("RESOLVE", [new GateNode("TRI", [driverA, enableA]), new GateNode("TRI", [driverB, enableB])], 0, "BUS"),
+]);
+sharedBus.setLogicMode("four-valued");
+
+test("Only driver A enabled drives its value", sharedBus.tick([1, 1, 0, 0])[0] === 1, "1", sharedBus.tick([1, 1, 0, 0])[0]);
+test("No driver enabled floats the bus", sharedBus.tick([1, 0, 0, 0])[0] === LOGIC_Z, "Z", sharedBus.tick([1, 0, 0, 0])[0]);
+test("Conflicting drivers resolve to X", sharedBus.tick([1, 1, 0, 1])[0] === LOGIC_X, "X", sharedBus.tick([1, 1, 0, 1])[0]);
+test("Agreeing drivers resolve cleanly", sharedBus.tick([0, 1, 0, 1])[0] === 0, "0", sharedBus.tick([0, 1, 0, 1])[0]);
+
+// A registered gate shadowing a standard name (here AND as an OR) still wins in four-valued mode
+const shadowedAnd = new Circuit("ShadowedAnd", [new GateNode("AND", [new InputNode(0, "A"), new InputNode(1, "B")], 0, "Y")]);
+shadowedAnd.registerGate("AND", (inputs) => inputs[0] | inputs[1]);
+shadowedAnd.setLogicMode("four-valued");
+const shadowedOut = [[1, 0], [1, LOGIC_X], [0, LOGIC_X], [0, LOGIC_Z]].map((row) => shadowedAnd.tick(row)[0]);
+test("Registered gates are used in four-valued mode and pass X on", JSON.stringify(shadowedOut) === JSON.stringify([1, 1, LOGIC_X, LOGIC_X]), "[1,1,X,X]", shadowedOut);
+
+// ============================================================================
+// SCHEDULER TESTS
+// ============================================================================
+testSection("SCHEDULER TESTS");
+
+const scheduler = new Scheduler();
+const fired = [];
+scheduler.scheduleEvent(5, () => fired.push("late"));
+scheduler.scheduleEvent(2, () => fired.push("first"));
+const cancelled = scheduler.scheduleEvent(2, () => fired.push("cancelled"));
+scheduler.scheduleEvent(2, () => fired.push("second"));
+scheduler.cancelEvent(cancelled);
+
+scheduler.consumeEventsForTick(2).forEach((e) => e.callback());
+test(
+	"Same-tick events fire in scheduling order, cancelled skipped",
+	JSON.stringify(fired) === JSON.stringify(["first", "second"]),
+	'["first","second"]',
+	JSON.stringify(fired)
+);
+test("Later events stay queued", scheduler.size === 1 && scheduler.nextEventTick() === 5, "1 event at tick 5", `${scheduler.size} at ${scheduler.nextEventTick()}`);
+
+scheduler.scheduleEvent(3, () => fired.push("missed"));
+const catchUp = scheduler.consumeEventsForTick(4);
+test("Events for a tick already passed fire on the next consume", catchUp.length === 1 && catchUp[0].targetTick === 3 && scheduler.size === 1, "tick 3 event at tick 4", catchUp.map((e) => e.targetTick).join(","));
+
+const clearedEvent = scheduler.scheduleEvent(8, () => {});
+scheduler.clear();
+const cancelAfterClear = scheduler.cancelEvent(clearedEvent);
+test("Events dropped by clear() cannot be cancelled again", cancelAfterClear === false && scheduler.size === 0, "false, 0", `${cancelAfterClear}, ${scheduler.size}`);
+
+const bigScheduler = new Scheduler();
+for (let i = 0; i < 20000; i++) bigScheduler.scheduleEvent((i * 7919) % 1000, () => {});
+let drained = 0;
+for (let t = 0; t < 1000; t++) {
+	if (bigScheduler.hasEventsForTick(t)) drained += bigScheduler.consumeEventsForTick(t).length;
+}
+test("20k events drain tick by tick", drained === 20000 && bigScheduler.size === 0, "20000", drained);
+
+const busyCircuit = new Circuit("Busy", new InputNode(0, "A"));
+for (let i = 0; i < 20000; i++) busyCircuit.scheduler.scheduleEvent(1000 + i, () => {});
+const busyStart = Date.now();
+for (let t = 0; t < 200; t++) busyCircuit.evaluate([t % 2]);
+const busyCycle = busyCircuit.history[0].subHistory[0];
+test("Delta cycles record pending counts, not queue copies", busyCycle.pendingBefore === 20000 && busyCycle.pendingAfter === 20000 && Date.now() - busyStart < 1000, "20000 pending, under 1s", `${busyCycle.pendingBefore} pending, ${Date.now() - busyStart}ms`);
+
+// ============================================================================
+// COMPILED CIRCUIT TESTS
+// ============================================================================
+testSection("COMPILED CIRCUIT TESTS");
+
+const counterRef = create4BitCounter(1);
+const counterFast = create4BitCounter(1).compile();
+let compiledMatches = true;
+for (let t = 0; t < 200; t++) {
+	const clk = t % 4 < 2 ? 0 : 1;
+	const inputs = [t % 7 === 0 ? 0 : 1, t < 8 ? 1 : 0];
+	counterRef.setClock(clk);
+	counterFast.setClock(clk);
+	if (JSON.stringify(counterRef.tick(inputs)) !== JSON.stringify(counterFast.tick(inputs))) {
+		compiledMatches = false;
+		break;
+	}
+}
+test("Compiled delayed counter matches evaluate for 200 ticks", compiledMatches, "true", compiledMatches);
+
+const makeFlopMix = () => {
+	const [a, b, s] = [new InputNode(0, "A"), new InputNode(1, "B"), new InputNode(2, "S")];
+	const jk = new FlipFlopNode("JK", [new GateNode("XOR", [a, b], 1), b], { clock: new ClockNode("CLK"), edge: "falling", set: s, delay: 2 }, "JK");
+	const latch = new LatchNode("D", [new GateNode("AND", [jk, a])], { gate: b, level: "low" }, "L");
+	const circuit = new Circuit("FlopMix", [jk, latch, new GateNode("OR", [jk, latch], 1)]);
+	["XOR", "AND", "OR"].forEach((type) => circuit.registerGate(type, STANDARD_GATES[type]));
+	return circuit;
+};
+const flopRef = makeFlopMix();
+const flopFast = makeFlopMix().compile();
+let flopsMatch = true;
+for (let t = 0; t < 300 && flopsMatch; t++) {
+	const clk = (t * 7) % 5 < 2 ? 1 : 0;
+	const inputs = [(t * 5) % 3 === 0 ? 1 : 0, (t * 3) % 7 < 3 ? 1 : 0, t % 23 === 0 ? 1 : 0];
+	flopRef.setClock(clk);
+	flopFast.setClock(clk);
+	flopsMatch = JSON.stringify(flopRef.tick(inputs)) === JSON.stringify(flopFast.tick(inputs));
+}
+test("Compiled flip-flops and latches match evaluate for 300 ticks", flopsMatch, "true", flopsMatch);
+
+const compiledAdder = create4BitRippleCarryAdder().compile();
+const compiledSum = compiledAdder.tick([1, 1, 1, 0, 1, 0, 0, 0, 0]);
+test("Compiled ripple-carry adder: 7 + 1 = 8", JSON.stringify(compiledSum) === JSON.stringify([0, 0, 0, 1, 0]), "[0,0,0,1,0]", compiledSum);
+
+// Each stage reads the previous one twice, so naive evaluation is exponential
+let fanOut = new InputNode(0, "SEED");
+for (let i = 0; i < 24; i++) fanOut = new GateNode("XOR", [fanOut, new GateNode("NOT", [fanOut])]);
+const fanOutCircuit = new Circuit("FanOut", [fanOut]);
+fanOutCircuit.registerGate("XOR", STANDARD_GATES.XOR);
+fanOutCircuit.registerGate("NOT", STANDARD_GATES.NOT);
+const fanOutCompiled = fanOutCircuit.compile();
+test("Compiled fan-out chain evaluates each node once", fanOutCompiled.nodeCount === 49 && fanOutCompiled.tick([0])[0] === 1, "49 nodes, output 1", `${fanOutCompiled.nodeCount} nodes`);
+
+// ============================================================================
+// BIT-PARALLEL EVALUATION TESTS
+// ============================================================================
+testSection("BIT-PARALLEL EVALUATION TESTS");
+
+const adderVectors = [
+	[1, 0, 1, 0, 1, 1, 0, 0, 0], // 5 + 3
+	[1, 1, 1, 1, 1, 0, 0, 0, 0], // 15 + 1
+	[0, 0, 0, 0, 0, 0, 0, 0, 1], // 0 + 0 + carry
+];
+const manyOut = create4BitRippleCarryAdder().evaluateMany(adderVectors);
+const tickOut = adderVectors.map((v) => create4BitRippleCarryAdder().tick(v));
+test("evaluateMany matches tick for each vector", JSON.stringify(manyOut) === JSON.stringify(tickOut), JSON.stringify(tickOut), JSON.stringify(manyOut));
+
+const parityInputs = Array.from({ length: 16 }, (_, i) => new InputNode(i, `P${i}`));
+const parity = new Circuit("Parity16", [new GateNode("XOR", parityInputs, 0, "PARITY")]);
+parity.registerGate("XOR", STANDARD_GATES.XOR);
+const parityTable = parity.generateTruthTable(null, { bitParallel: true });
+const parityCorrect = parityTable.every((row) => row.outputs[0] === row.inputs.reduce((a, b) => a ^ b, 0));
+test("16-input bit-parallel truth table has 65536 correct rows", parityTable.length === 65536 && parityCorrect, "65536 rows", parityTable.length);
+
+const fullAdderTable = createFullAdder().generateTruthTable();
+const fullAdderTableFast = createFullAdder().generateTruthTable(null, { bitParallel: true });
+test("Bit-parallel truth table matches the cloned one", JSON.stringify(fullAdderTable) === JSON.stringify(fullAdderTableFast), "equal", "different");
+
+const fourValuedMany = new Circuit("FourValuedXor", [new GateNode("XOR", [new InputNode(0, "A"), new InputNode(1, "B")], 0, "Y")]);
+fourValuedMany.setLogicMode("four-valued");
+const fourValuedRows = fourValuedMany.evaluateMany([[1, LOGIC_X], [1, 0]]);
+test("evaluateMany falls back to evaluate() for what compile() does not support", fourValuedRows.join(";") === "X;1", "X;1", fourValuedRows.join(";"));
+let brokenManyError = null;
+try {
+	new Circuit("Broken", [new GateNode("FOO", [new InputNode(0, "A")], 0, "Y")]).evaluateMany([]);
+} catch (error) {
+	brokenManyError = error.message;
+}
+test("evaluateMany reports compile() errors that are not about support", brokenManyError === 'Gate "FOO" is not registered.', 'Gate "FOO" is not registered.', brokenManyError);
+
+// ============================================================================
+// DELAY MODEL TESTS
+// ============================================================================
+testSection("DELAY MODEL TESTS");
+
+function pulseResponse(pulseWidth, model, rejectThreshold = null) {
+	const buffer = new GateNode("OR", [new InputNode(0, "IN")], 3, "BUF3");
+	if (model) buffer.setDelayModel(model, { rejectThreshold });
+	const circuit = new Circuit("DelayLine", [buffer]);
+	circuit.registerGate("OR", STANDARD_GATES.OR);
+	const wave = [];
+	for (let t = 0; t < 12; t++) wave.push(circuit.tick([t >= 2 && t < 2 + pulseWidth ? 1 : 0])[0]);
+	return wave.join("");
+}
+
+test("Transport delay passes a 2-tick pulse", pulseResponse(2, null) === "000001100000", "000001100000", pulseResponse(2, null));
+test("Inertial delay swallows a pulse shorter than the delay", pulseResponse(2, "inertial") === "000000000000", "000000000000", pulseResponse(2, "inertial"));
+test("Inertial delay passes a pulse as long as the delay", pulseResponse(3, "inertial") === "000001110000", "000001110000", pulseResponse(3, "inertial"));
+test("Pulse-reject threshold 1 passes a 2-tick pulse", pulseResponse(2, "inertial", 1) === "000001100000", "000001100000", pulseResponse(2, "inertial", 1));
+test("Pulse-reject threshold 1 rejects a 1-tick pulse", pulseResponse(1, "inertial", 1) === "000000000000", "000000000000", pulseResponse(1, "inertial", 1));
+
+// ============================================================================
+// RISE/FALL DELAY TESTS
+// ============================================================================
+testSection("RISE/FALL DELAY TESTS");
+
+const slowRiseInverter = new GateNode("NOT", [new InputNode(0, "A")], { rise: { min: 1, typ: 2, max: 4 }, fall: 1 }, "INV");
+const riseFall = new Circuit("RiseFall", [slowRiseInverter]);
+riseFall.registerGate("NOT", STANDARD_GATES.NOT);
+const typWave = [];
+for (let t = 0; t < 12; t++) typWave.push(riseFall.tick([t >= 1 && t < 6 ? 1 : 0])[0]);
+
+test("Typical corner: output rises 2 ticks after the input falls", typWave.join("") === "000000001111", "000000001111", typWave.join(""));
+const maxWave = riseFall.rerunAtCorner("max").map((out) => out[0]).join("");
+test("Worst-case rerun delays the rise to 4 ticks", maxWave === "000000000011", "000000000011", maxWave);
+const minWave = riseFall.rerunAtCorner("min").map((out) => out[0]).join("");
+test("Best-case rerun lets the first 1-tick glitch through", minWave === "010000011111", "010000011111", minWave);
+
+// ============================================================================
+// LOOP DIAGNOSTIC TESTS
+// ============================================================================
+testSection("LOOP DIAGNOSTIC TESTS");
+
+const loopA = new GateNode("AND", [new InputNode(0, "EN")], 0, "LOOP_A");
+const loopB = new GateNode("NOT", [loopA], 0, "LOOP_B");
+loopA.inputNodes.push(loopB);
+const looped = new Circuit("Looped", [loopB]);
+looped.registerGate("AND", STANDARD_GATES.AND);
+looped.registerGate("NOT", STANDARD_GATES.NOT);
+
+const [foundLoop] = looped.findCombinationalLoops();
+test("Static check names the nodes on a loop without feedback", foundLoop && foundLoop.nodes.join(",") === "LOOP_B,LOOP_A" && foundLoop.zeroDelay, "LOOP_B,LOOP_A (zero delay)", JSON.stringify(foundLoop));
+let loopError = null;
+try {
+	looped.tick([1]);
+} catch (error) {
+	loopError = error.message;
+}
+test("evaluate() rejects the loop instead of overflowing the stack", loopError !== null && loopError.includes("LOOP_B -> LOOP_A -> LOOP_B"), "error naming the loop", loopError);
+
+const loopFreeBase = new Circuit("LoopFree", [new GateNode("NOT", [new InputNode(0, "A")], 0, "NA")]);
+loopFreeBase.tick([0]);
+const loopFreeClone = loopFreeBase.clone(false);
+loopFreeClone.rootNodes.push(loopB);
+let lateLoopError = null;
+try {
+	loopFreeClone.tick([1]);
+} catch (error) {
+	lateLoopError = error.message;
+}
+test("Outputs added to a checked circuit are checked for loops", lateLoopError !== null && lateLoopError.includes("LOOP_B -> LOOP_A -> LOOP_B"), "error naming the loop", lateLoopError);
+
+const longChain = Array.from({ length: 20000 }).reduce((node, _, i) => new GateNode("NOT", [node], 0, `CHAIN${i}`), new InputNode(0, "A"));
+test("Loop search handles chains deeper than the call stack", findCycles(collectNodes([longChain])).length === 0, 0, findCycles(collectNodes([longChain])).length);
+test("Feedback loops are not reported", createDFlipFlop().findCombinationalLoops().length === 0, 0, createDFlipFlop().findCombinationalLoops().length);
+
+const ringState = new FeedbackNode(null, 0, 2, "RING");
+const ringInverter = new GateNode("NOT", [ringState], 0, "RING_INV");
+ringState.inputNode = ringInverter;
+const ring = new Circuit("RingOscillator", [ringInverter]);
+ring.registerGate("NOT", STANDARD_GATES.NOT);
+ring.registerFeedbackNode(ringState);
+
+const ringReport = ring.diagnoseOscillation();
+test("Ring oscillator is reported as oscillating", ringReport.status === "oscillating" && ringReport.period === 4, "oscillating, period 4", `${ringReport.status}, period ${ringReport.period}`);
+test("Oscillation report names the loop", ringReport.loop.includes("RING") && ringReport.loop.includes("RING_INV"), "RING, RING_INV", JSON.stringify(ringReport.loop));
+test("Oscillation report shows the repeating values", ringReport.sequence.RING.join("") === "0011" || ringReport.sequence.RING.join("") === "1100", "0011", JSON.stringify(ringReport.sequence));
+const settled = createDFlipFlop().diagnoseOscillation([1], { clockLevel: 1 });
+test("A flip-flop with fixed inputs settles", settled.status === "stable", "stable", settled.status);
+
+// An unclocked RAM writes the inverse of what it reads every tick: only its contents change
+const toggleRam = new RamNode(new LiteralNode(0), null, null, { addressWidth: 1, dataWidth: 1 }, "TOGGLE_RAM");
+toggleRam.dataNode = new GateNode("NOT", [toggleRam], 0, "TOGGLE_INV");
+const ramReport = new Circuit("ToggleRam", [toggleRam]).diagnoseOscillation();
+test("RAM contents are part of the oscillation state", ramReport.status === "oscillating" && ramReport.period === 2, "oscillating, period 2", `${ramReport.status}, period ${ramReport.period}`);
+
+// ============================================================================
+// STATIC TIMING ANALYSIS TESTS
+// ============================================================================
+testSection("STATIC TIMING ANALYSIS TESTS");
+
+const rippleAdder = create4BitRippleCarryAdder();
+const lookaheadAdder = create4BitCarryLookaheadAdder();
+let adderMismatches = 0;
+for (let v = 0; v < 512; v++) {
+	const inputs = Array.from({ length: 9 }, (_, i) => (v >> i) & 1);
+	if (JSON.stringify(rippleAdder.clone(false).tick(inputs)) !== JSON.stringify(lookaheadAdder.clone(false).tick(inputs))) adderMismatches++;
+}
+test("Carry lookahead adder matches the ripple carry adder", adderMismatches === 0, 0, adderMismatches);
+
+const rippleTiming = create4BitRippleCarryAdder(1).analyzeTiming({ clockPeriod: 6 });
+const lookaheadTiming = create4BitCarryLookaheadAdder(1).analyzeTiming({ clockPeriod: 6 });
+test("Ripple carry critical path is 9 gate delays", rippleTiming.criticalDelay === 9, 9, rippleTiming.criticalDelay);
+test("Ripple carry critical path ends at the carry out", rippleTiming.criticalPath.at(-1).name === "Cout", "Cout", rippleTiming.criticalPath.at(-1).name);
+test("Ripple carry misses a 6-tick clock by 3", rippleTiming.slack === -3, -3, rippleTiming.slack);
+test("Carry lookahead critical path is 4 gate delays", lookaheadTiming.criticalDelay === 4, 4, lookaheadTiming.criticalDelay);
+test("Carry lookahead meets a 6-tick clock with slack 2", lookaheadTiming.slack === 2, 2, lookaheadTiming.slack);
+
+const registerTiming = create4BitCounter().analyzeTiming();
+const registerEndpoints = registerTiming.endpoints.filter((e) => e.kind === "register").length;
+test("Flip-flops are timed as register endpoints", registerEndpoints === 4, 4, registerEndpoints);
+
+const setResetOnly = new Circuit("SetResetOnly", [new FlipFlopNode("D", [], { set: new InputNode(0, "S"), reset: new InputNode(1, "R") }, "Q")]);
+const setResetTiming = setResetOnly.analyzeTiming();
+test("Flip-flops with only set and reset have no register endpoint", setResetTiming.endpoints.every((e) => e.kind !== "register"), "no register endpoints", JSON.stringify(setResetTiming.endpoints.map((e) => e.kind)));
+
+const timedChain = Array.from({ length: 20000 }).reduce((node) => new GateNode("NOT", [node], 1), new InputNode(0, "A"));
+const timedChainDelay = new Circuit("TimedChain", [timedChain]).analyzeTiming().criticalDelay;
+test("Timing handles chains deeper than the call stack", timedChainDelay === 20000, 20000, timedChainDelay);
+
+const ramData = new GateNode("NOT", [new GateNode("NOT", [new InputNode(1, "DATA", 8)], 1)], 1);
+const timedRam = new Circuit("TimedRam", [new RamNode(new InputNode(0, "ADDR", 2), ramData, new InputNode(2, "WE"), { addressWidth: 2, dataWidth: 8, clock: new ClockNode("CLK") }, "RAM")]);
+const ramEndpoint = timedRam.analyzeTiming().endpoints.find((e) => e.kind === "memory");
+test("RAM write pins are timing endpoints", ramEndpoint?.name === "RAM" && ramEndpoint.arrival === 2, "RAM at 2", JSON.stringify(ramEndpoint));
+
+// ============================================================================
+// HAZARD ANALYSIS TESTS
+// ============================================================================
+testSection("HAZARD ANALYSIS TESTS");
+
+// F = A·B + ¬A·C glitches when A switches while B = C = 1
+const hazA = new InputNode(0, "A");
+const hazB = new InputNode(1, "B");
+const hazC = new InputNode(2, "C");
+const hazardous = new Circuit("StaticHazard", [
+	new GateNode("OR", [new GateNode("AND", [hazA, hazB]), new GateNode("AND", [new GateNode("NOT", [hazA]), hazC])], 0, "F"),
+]);
+hazardous.registerGate("AND", STANDARD_GATES.AND);
+hazardous.registerGate("OR", STANDARD_GATES.OR);
+hazardous.registerGate("NOT", STANDARD_GATES.NOT);
+
+const hazardReport = hazardous.analyzeHazards({ hazardFreeCover: true });
+const [staticHazard] = hazardReport.hazards;
+test("Finds the single static-1 hazard", hazardReport.hazards.length === 1 && staticHazard.type === "static-1", "1 static-1 hazard", JSON.stringify(hazardReport.hazards));
+test("Reports the triggering transition", staticHazard.input === "A" && staticHazard.from.join("") === "011" && staticHazard.to.join("") === "111", "A: 011 -> 111", `${staticHazard.input}: ${staticHazard.from.join("")} -> ${staticHazard.to.join("")}`);
+test("Adds the consensus term B AND C", hazardReport.consensusTerms.length === 1 && hazardReport.consensusTerms[0].term === "B AND C", "B AND C", JSON.stringify(hazardReport.consensusTerms));
+test("Hazard-free cover has no hazards", hazardReport.cover.analyzeHazards().hazardFree, true, hazardReport.cover.analyzeHazards().hazards.length);
+test("Hazard-free cover keeps the function", JSON.stringify(hazardReport.cover.generateTruthTable()) === JSON.stringify(hazardous.generateTruthTable()), "same truth table", "different");
+
+// A·¬A can pulse before A·B rises, so G may change three times when A rises with B = 1
+const dynA = new InputNode(0, "A");
+const dynamic = new Circuit("DynamicHazard", [
+	new GateNode("OR", [new GateNode("AND", [dynA, new GateNode("NOT", [dynA])]), new GateNode("AND", [dynA, new InputNode(1, "B")])], 0, "G"),
+]);
+dynamic.registerGate("AND", STANDARD_GATES.AND);
+dynamic.registerGate("OR", STANDARD_GATES.OR);
+dynamic.registerGate("NOT", STANDARD_GATES.NOT);
+const dynamicTypes = dynamic.analyzeHazards().hazards.map((h) => `${h.type}@${h.from.join("")}`);
+test("Finds a dynamic hazard", dynamicTypes.includes("dynamic@01"), "dynamic@01", JSON.stringify(dynamicTypes));
+
+// Every input of the wide gate switches when W does: 2^21 interleavings
+const wideW = new InputNode(0, "W");
+const wideFanIn = new Circuit("WideFanIn", [new GateNode("AND", Array.from({ length: 21 }, (_, i) => (i % 2 ? wideW : new GateNode("NOT", [wideW]))), 0, "Z")]);
+let wideHazardError = null;
+try {
+	wideFanIn.analyzeHazards();
+} catch (error) {
+	wideHazardError = error.message;
+}
+test("Gates with too many switching inputs are rejected", wideHazardError === 'Hazard analysis cannot order the changes of 21 switching inputs of gate "Z": 2097152 interleavings is more than 1048576.', "too many interleavings", wideHazardError);
+
+// ============================================================================
+// CLOCK DOMAIN TESTS
+// ============================================================================
+testSection("CLOCK DOMAIN TESTS");
+
+const fastClk = new ClockNode("FAST_CLK", "fast");
+const slowClk = new ClockNode("SLOW_CLK", "slow");
+const domains = new Circuit("TwoDomains", [fastClk, slowClk]);
+domains.addClock("fast", { period: 2 });
+domains.addClock("slow", { period: 5, dutyCycle: 0.4, phase: 1 });
+
+const fastWave = [];
+const slowWave = [];
+const slowEdges = [];
+for (let t = 0; t < 10; t++) {
+	const [fast, slow] = domains.tick();
+	fastWave.push(fast);
+	slowWave.push(slow);
+	if (domains.getEdgeTrigger("slow") === "POSITIVE EDGE TRIGGER") slowEdges.push(t);
+}
+test("Clocks toggle on their own as ticks advance", fastWave.join("") === "0101010101", "0101010101", fastWave.join(""));
+test("Duty cycle and phase shape the second clock", slowWave.join("") === "1000110001", "1000110001", slowWave.join(""));
+test("Edges are reported per clock domain", slowEdges.join(",") === "4,9", "4,9", slowEdges.join(","));
+
+const compiledDomains = domains.compile();
+const compiledSlow = Array.from({ length: 10 }, () => compiledDomains.tick()[1]).join("");
+test("Compiled circuit follows the named clocks", compiledSlow === slowWave.join(""), slowWave.join(""), compiledSlow);
+const resumed = domains.clone(true);
+const resumedWave = Array.from({ length: 5 }, () => resumed.tick()[1]).join("");
+test("Clone with state keeps the clock phase", resumedWave === "10001", "10001", resumedWave);
+domains.scheduler.clear();
+const unscheduled = domains.clone(true);
+const unscheduledWave = Array.from({ length: 4 }, () => unscheduled.tick()[0]).join("");
+test("Clone with state re-arms clocks whose edges were cleared", unscheduledWave === "0101", "0101", unscheduledWave);
+domains.reset();
+const restartedWave = Array.from({ length: 10 }, () => domains.tick()[1]).join("");
+test("reset() restarts named clocks whose edges were cleared", restartedWave === slowWave.join(""), slowWave.join(""), restartedWave);
+
+const rerunCounter = create4BitCounter();
+const rerunOptions = { ticks: 8, clock: { period: 2 }, stimulus: () => [1, 0] };
+const firstCount = rerunCounter.run(rerunOptions).toString();
+rerunCounter.reset();
+const secondCount = rerunCounter.run(rerunOptions).toString();
+test("reset() starts the count over", secondCount === firstCount && rerunCounter.history.length === 8, firstCount, secondCount);
+
+let unknownClockError = null;
+try {
+	new Circuit("Unbound", [new ClockNode("X", "missing")]).tick();
+} catch (error) {
+	unknownClockError = error.message;
+}
+test("Reading an undefined clock domain throws", unknownClockError === 'Unknown clock "missing".', 'Unknown clock "missing".', unknownClockError);
+
+// ============================================================================
+// MEMORY TESTS
+// ============================================================================
+testSection("MEMORY TESTS");
+
+// Bytes 0x12 0x34 0xAB 0xCD from address 0x0002, then end of file
+const intelHex = ":040002001234ABCD3C\n:00000001FF\n";
+const rom = new Circuit("Rom", [new RomNode(new InputNode(0, "ADDR", 4), { addressWidth: 4, contents: intelHex }, "ROM")]);
+const romReads = [2, 3, 4, 5, 0].map((address) => rom.clone(false).tick([address])[0]);
+test("ROM reads Intel HEX contents asynchronously", JSON.stringify(romReads) === JSON.stringify([0x12, 0x34, 0xab, 0xcd, 0]), "[18,52,171,205,0]", JSON.stringify(romReads));
+
+const logisimRom = new RomNode(null, { addressWidth: 3, dataWidth: 16, contents: "v2.0 raw\n3*beef 1 # comment\n2*0 ff" });
+test("ROM loads Logisim raw hex with repeats", Array.from(logisimRom.contents).join(",") === "48879,48879,48879,1,0,0,255,0", "48879,48879,48879,1,0,0,255,0", Array.from(logisimRom.contents).join(","));
+
+let checksumError = null;
+try {
+	new RomNode(null, { addressWidth: 4, contents: ":040002001234ABCD3D" });
+} catch (error) {
+	checksumError = error.message;
+}
+test("Bad Intel HEX checksums are rejected", checksumError === "Intel HEX line 1 has a bad checksum.", "bad checksum", checksumError);
+
+// Inputs are [ADDR, DATA, WE]; rising clock edges on odd ticks
+const ramClk = new ClockNode("RAM_CLK");
+const ramInputs = [new InputNode(0, "ADDR", 2), new InputNode(1, "DATA", 8), new InputNode(2, "WE")];
+const syncRam = new Circuit("SyncRam", [
+	new RamNode(...ramInputs, { addressWidth: 2, dataWidth: 8, syncRead: true, clock: ramClk, contents: [7, 0, 0, 0] }, "RAM"),
+]);
+const ramRun = syncRam.run({
+	ticks: 8,
+	clock: { period: 2 },
+	stimulus: [
+		{ tick: 0, inputs: { ADDR: 0, DATA: 42, WE: 1 } },
+		{ tick: 2, inputs: { ADDR: 1, DATA: 99 } },
+		{ tick: 4, inputs: { ADDR: 0, WE: 0 } },
+	],
+});
+test("Synchronous read returns the word from before the write", ramRun.valueAt("RAM", 1) === 7, 7, ramRun.valueAt("RAM", 1));
+test("Synchronous read holds between edges", ramRun.valueAt("RAM", 2) === 7, 7, ramRun.valueAt("RAM", 2));
+test("Written word reads back on a later edge", ramRun.valueAt("RAM", 5) === 42, 42, ramRun.valueAt("RAM", 5));
+const ramNode = syncRam.rootNodes[0];
+test("Writes only happen on clock edges", Array.from(ramNode.contents).join(",") === "42,99,0,0", "42,99,0,0", Array.from(ramNode.contents).join(","));
+test("A fresh clone starts from the initial contents", Array.from(syncRam.clone(false).rootNodes[0].contents).join(",") === "7,0,0,0", "7,0,0,0", Array.from(syncRam.clone(false).rootNodes[0].contents).join(","));
+
+const asyncRam = new Circuit("AsyncRam", [
+	new RamNode(new InputNode(0, "ADDR", 2), new InputNode(1, "DATA", 8), new InputNode(2, "WE"), { addressWidth: 2, dataWidth: 8 }, "RAM"),
+]);
+asyncRam.tick([3, 0x5a, 1]);
+const asyncRead = asyncRam.tick([3, 0, 0])[0];
+test("Unclocked RAM writes each tick and reads asynchronously", asyncRead === 0x5a, 90, asyncRead);
+
+const alwaysRam = new Circuit("AlwaysRam", [new RamNode(new InputNode(0, "ADDR", 2), new InputNode(1, "DATA", 8), null, { addressWidth: 2, dataWidth: 8 }, "RAM")]);
+alwaysRam.tick([1, 0x33]);
+alwaysRam.tick([2, 0x44]);
+const alwaysContents = Array.from(alwaysRam.rootNodes[0].contents).join(",");
+test("RAM without a write enable writes every tick", alwaysContents === "0,51,68,0", "0,51,68,0", alwaysContents);
+
+// ============================================================================
+// FLIP-FLOP PRIMITIVE TESTS
+// ============================================================================
+testSection("FLIP-FLOP PRIMITIVE TESTS");
+
+// Rising clock edges on odd ticks
+const dPrimNode = new FlipFlopNode(
+	"D",
+	[new InputNode(0, "D")],
+	{ clock: new ClockNode("CLK"), enable: new InputNode(1, "EN"), reset: new InputNode(2, "RST") },
+	"Q"
+);
+const dPrim = new Circuit("DFF", [dPrimNode]);
+const dPrimRun = dPrim.run({
+	ticks: 10,
+	clock: { period: 2 },
+	stimulus: [
+		{ tick: 0, inputs: { D: 1, EN: 1 } },
+		{ tick: 2, inputs: { D: 0, EN: 0 } },
+		{ tick: 4, inputs: { EN: 1 } },
+		{ tick: 6, inputs: { D: 1 } },
+		{ tick: 8, inputs: { RST: 1 } },
+	],
+});
+const dPrimWave = dPrimRun.signals.Q.map(([tick, value]) => `${tick}:${value}`).join(",");
+test("D flip-flop captures on enabled rising edges and resets at once", dPrimWave === "0:0,1:1,5:0,7:1,8:0", "0:0,1:1,5:0,7:1,8:0", dPrimWave);
+test("Flip-flops describe their pins in toString", dPrimNode.toString() === "Q = DFF(D, ↑CLK, EN: EN, RST: RST)", "Q = DFF(D, ↑CLK, EN: EN, RST: RST)", dPrimNode.toString());
+test("Inspector pin names follow the inputs", dPrimNode.inputPinNames.join(",") === "D,CLK,EN,RST", "D,CLK,EN,RST", dPrimNode.inputPinNames.join(","));
+
+const tPrim = new Circuit("TFF", [
+	new FlipFlopNode("T", [new InputNode(0, "T")], { clock: new ClockNode("CLK"), edge: "falling", initialValue: 1, set: new InputNode(1, "S") }, "Q"),
+]);
+const tPrimRun = tPrim.run({
+	ticks: 10,
+	clock: { period: 2 },
+	stimulus: [
+		{ tick: 0, inputs: { T: 1 } },
+		{ tick: 5, inputs: { S: 1 } },
+		{ tick: 6, inputs: { S: 0 } },
+	],
+});
+const tPrimWave = tPrimRun.toString().split("\n").pop();
+test("T flip-flop toggles on falling edges from its initial value", tPrimWave === "Q    1100110011", "Q    1100110011", tPrimWave);
+
+const lateFlopInput = new InputNode(0, "D");
+const lateFlop = new Circuit("LateFlop", [lateFlopInput]);
+lateFlop.setClock(0);
+lateFlop.tick([1]);
+lateFlop.rootNodes.push(new FlipFlopNode("D", [lateFlopInput], { clock: new ClockNode("CLK") }, "Q"));
+lateFlop.setClock(1);
+const lateFlopQ = lateFlop.tick([1])[1];
+test("Flip-flops added after the first tick are clocked", lateFlopQ === 1, 1, lateFlopQ);
+
+const lateState = new FeedbackNode(null, 0, 0, "LATE_STATE");
+const lateStateCircuit = new Circuit("LateState", [lateState]);
+lateStateCircuit.registerFeedbackNode(lateState);
+lateStateCircuit.setClock(0);
+lateStateCircuit.tick([1]);
+lateState.inputNode = new FlipFlopNode("D", [new InputNode(0, "D")], { clock: new ClockNode("CLK") }, "Q");
+lateStateCircuit.setClock(1);
+lateStateCircuit.tick([1]);
+const lateStateQ = lateStateCircuit.tick([1])[0];
+test("Flip-flops wired in through a FeedbackNode after the first tick are clocked", lateStateQ === 1, 1, lateStateQ);
+
+const jkPrim = new Circuit("JKFF", [new FlipFlopNode("JK", [new InputNode(0, "J"), new InputNode(1, "K")], { clock: new ClockNode("CLK") }, "Q")]);
+const jkPrimRun = jkPrim.run({
+	ticks: 10,
+	clock: { period: 2 },
+	stimulus: (tick) => [[1, 0], [0, 0], [1, 1], [1, 1], [0, 1]][tick >> 1],
+});
+const jkPrimWave = jkPrimRun.toString().split("\n").pop();
+test("JK flip-flop sets, holds, toggles and resets", jkPrimWave === "Q    0111100110", "Q    0111100110", jkPrimWave);
+
+const dLatch = new LatchNode("D", [new InputNode(0, "D")], { gate: new InputNode(1, "G") }, "L");
+const latchRun = new Circuit("DLatch", [dLatch]).run({
+	ticks: 6,
+	stimulus: (tick) => ({ D: tick % 2, G: tick < 3 ? 1 : 0 }),
+});
+const latchWave = latchRun.toString().split("\n").pop();
+test("D latch is transparent while its gate is high", latchWave === "L  010000", "L  010000", latchWave);
+
+const srLatch = new LatchNode("SR", [new InputNode(0, "S"), new InputNode(1, "R")], { gate: new InputNode(2, "G"), level: "low" }, "SR");
+const srState = new Circuit("SRLatch", [srLatch]);
+const srValues = [
+	[1, 0, 0],
+	[0, 0, 0],
+	[0, 1, 1],
+	[1, 1, 0],
+].map((inputs) => srState.tick(inputs)[0]);
+test("SR latch holds while closed and resets when S and R are both set", srValues.join("") === "1110", "1110", srValues.join(""));
+
+const resumedDPrim = dPrim.clone(true).rootNodes[0];
+test("Clone with state keeps the stored bit", resumedDPrim.currentValue === 0 && resumedDPrim.prevClockLevel === dPrimNode.prevClockLevel, "0", resumedDPrim.currentValue);
+
+let jkPinError = null;
+try {
+	new FlipFlopNode("JK", [new InputNode(0, "J")], { clock: new ClockNode("CLK") }, "BAD");
+} catch (error) {
+	jkPinError = error.message;
+}
+test("Flip-flops check their number of inputs", jkPinError === 'JK flip-flop "BAD" needs inputs J, K, got 1.', 'JK flip-flop "BAD" needs inputs J, K, got 1.', jkPinError);
+
+// ============================================================================
+// STANDARD GATE LIBRARY TESTS
+// ============================================================================
+testSection("STANDARD GATE LIBRARY TESTS");
+
+// No registerGate() calls: standard gates resolve by name
+const libInputs = [0, 1, 2, 3, 4, 5].map((i) => new InputNode(i, `I${i}`));
+const invertingGates = new Circuit("Inverting", [
+	new GateNode("NAND", libInputs.slice(0, 2)),
+	new GateNode("NOR", libInputs.slice(0, 2)),
+	new GateNode("XNOR", libInputs.slice(0, 2)),
+	new GateNode("BUF", [libInputs[0]]),
+]);
+const invertingRows = invertingGates.generateTruthTable().map((row) => row.outputs.join("")).join(",");
+test("NAND, NOR, XNOR and BUF resolve without registration", invertingRows === "1110,1000,1001,0011", "1110,1000,1001,0011", invertingRows);
+
+// Inputs are [I0..I3, S0, S1]
+const libMux4 = new Circuit("Mux4", [new GateNode("MUX4", libInputs, 0, "Y")]);
+const muxPicks = [0, 1, 2, 3].map((sel) => libMux4.tick([0, 0, 0, 0, sel & 1, sel >> 1].map((v, i) => (i === sel ? 1 : v)))[0]);
+test("MUX4 routes the selected data input", muxPicks.join("") === "1111", "1111", muxPicks.join(""));
+test("Parameterized gates print like function calls", libMux4.rootNodes[0].toString() === "MUX4(I0, I1, I2, I3, I4, I5)", "MUX4(I0, I1, I2, I3, I4, I5)", libMux4.rootNodes[0].toString());
+
+const decoder3 = new GateNode("DECODER3", libInputs.slice(0, 3), 0, "DEC");
+const decoded = new Circuit("Decoder3", [decoder3]).tick([1, 0, 1])[0];
+test("DECODER3 gives an 8-bit one-hot word", decoder3.width === 8 && decoded === 0b100000, "width 8, 32", `width ${decoder3.width}, ${decoded}`);
+const ownDecoder = new GateNode("DECODER3", libInputs.slice(0, 3), 0, "OWN");
+const ownDecoderCircuit = new Circuit("OwnDecoder", [ownDecoder]);
+ownDecoderCircuit.registerGate("DECODER3", (bits) => bits[0] & bits[1] & bits[2]);
+const ownDecoded = ownDecoderCircuit.tick([1, 1, 1])[0];
+test("A registered gate sets the width of a standard gate it shadows", ownDecoder.width === 1 && ownDecoderCircuit.getOutputWidths()[0] === 1 && ownDecoded === 1, "width 1, 1", `width ${ownDecoder.width}, ${ownDecoded}`);
+
+const wordGates = new Circuit("WordGates", [
+	new GateNode("DEMUX4", libInputs.slice(0, 3)),
+	new GateNode("PRIORITY4", libInputs.slice(0, 4)),
+	new GateNode("COMPARATOR2", libInputs.slice(0, 4)),
+	new GateNode("MAJORITY", libInputs.slice(0, 3)),
+]);
+const wordValues = wordGates.tick([1, 0, 1, 0]).join(",");
+test("DEMUX, PRIORITY, COMPARATOR and MAJORITY", wordValues === "4,6,2,1", "4,6,2,1", wordValues);
+test("Compiled circuits use the same gates", wordGates.compile().tick([1, 0, 1, 0]).join(",") === wordValues, wordValues, wordGates.compile().tick([1, 0, 1, 0]).join(","));
+
+const fourValuedMux = new Circuit("FourValuedMux", [new GateNode("MUX2", libInputs.slice(0, 3))]);
+fourValuedMux.setLogicMode("four-valued");
+const muxKnown = fourValuedMux.tick([1, LOGIC_X, 0])[0];
+const muxUnknown = fourValuedMux.tick([1, LOGIC_X, 1])[0];
+test("Four-valued MUX ignores an unknown unselected input", muxKnown === 1 && muxUnknown === LOGIC_X, "1, X", `${muxKnown}, ${muxUnknown}`);
+
+// ============================================================================
+// LOOKUP TABLE TESTS
+// ============================================================================
+testSection("LOOKUP TABLE TESTS");
+
+const lutInputs = ["A", "B", "C"].map((name, i) => new InputNode(i, name));
+const majorityLut = new LutNode(lutInputs, { minterms: [3, 5, 6, 7] }, 0, "MAJ");
+const lutCircuit = new Circuit("MajorityLut", [majorityLut]);
+const lutColumn = lutCircuit.generateTruthTable().map((row) => row.outputs[0]).join("");
+test("LUT from minterms follows truth table row order", lutColumn === "00010111", "00010111", lutColumn);
+test("LUT prints its output column", majorityLut.toString() === "LUT[00010111](A, B, C)", "LUT[00010111](A, B, C)", majorityLut.toString());
+
+const simplifiedLut = lutCircuit.simplify();
+const simplifiedColumn = simplifiedLut.generateTruthTable().map((row) => row.outputs[0]).join("");
+const lutGateTypes = new Set();
+simplifiedLut.rootNodes.forEach(function collect(node) {
+	if (node instanceof GateNode) {
+		lutGateTypes.add(node.gateType);
+		node.inputNodes.forEach(collect);
+	}
+});
+test("simplify() turns a LUT into AND/OR gates", simplifiedColumn === lutColumn && !lutGateTypes.has("LUT"), "00010111 without LUT", `${simplifiedColumn} using ${[...lutGateTypes]}`);
+
+const lutJson = JSON.parse(JSON.stringify(majorityLut));
+const restoredLut = LutNode.fromJSON(lutJson, lutInputs);
+test("LUT survives a JSON round trip", lutJson.truthTable === "00010111" && restoredLut.minterms.join(",") === "3,5,6,7", "3,5,6,7", restoredLut.minterms.join(","));
+test("Compiled and cloned circuits evaluate LUTs", lutCircuit.compile().tick([1, 0, 1])[0] === 1 && lutCircuit.clone().tick([1, 0, 0])[0] === 0, "1 then 0", `${lutCircuit.compile().tick([1, 0, 1])[0]} then ${lutCircuit.clone().tick([1, 0, 0])[0]}`);
+
+let lutSizeError = null;
+try {
+	new LutNode(lutInputs, { truthTable: "0110" }, 0, "BAD");
+} catch (error) {
+	lutSizeError = error.message;
+}
+test("LUT tables must match the input count", lutSizeError === 'LUT "BAD" has 3 inputs, so its truth table needs 8 rows, got 4.', "needs 8 rows", lutSizeError);
+
+// ============================================================================
+// EXPRESSION PARSER TESTS
+// ============================================================================
+testSection("EXPRESSION PARSER TESTS");
+
+const outputColumns = (circuit) => circuit.generateTruthTable().map((row) => row.outputs.join("")).join(",");
+
+const parsedAdder = parseExpression("Sum = A ^ B\nCarry = A & B", { name: "ParsedHalfAdder" });
+test("Definitions become named outputs over named inputs", parsedAdder.getInputNames().join(",") === "A,B" && outputColumns(parsedAdder) === outputColumns(createHalfAdder()), outputColumns(createHalfAdder()), outputColumns(parsedAdder));
+
+const precedence = parseExpression("!A | B & C ^ D");
+test("NOT binds tighter than AND, then XOR, then OR", precedence.toString() === "Output[0] = ¬(A) OR B AND C XOR D", "¬(A) OR B AND C XOR D", precedence.toString());
+
+const nested = parseExpression("(A OR b) and ~((C NAND D) NAND E)");
+test("Parentheses survive printing and parsing back", nested.toString() === "Output[0] = (A OR b) AND ¬((C NAND D) NAND E)", "(A OR b) AND ¬((C NAND D) NAND E)", nested.toString());
+const andRun = parseExpression("A & B & C");
+test("A run of one operator builds an n-ary gate", andRun.rootNodes[0].inputNodes.length === 3, 3, andRun.rootNodes[0].inputNodes.length);
+const wideNand = parseExpression("Y = NAND(A, B, C)");
+test("NAND, NOR and XNOR with more than two inputs print as calls", wideNand.rootNodes[0].toString() === "NAND(A, B, C)", "NAND(A, B, C)", wideNand.rootNodes[0].toString());
+let chainError = null;
+try {
+	parseExpression("Y = A NOR B NOR C");
+} catch (error) {
+	chainError = error.message;
+}
+test("NAND, NOR and XNOR chains are rejected", chainError === "NOR does not chain; use parentheses or NOR(...) (line 1, column 13).", "NOR does not chain ... column 13", chainError);
+
+const parsedLatch = parseExpression("Q = D & EN | Q & !EN");
+const latchTicks = [
+	[1, 1],
+	[0, 0],
+	[0, 1],
+].map((inputs) => parsedLatch.tick(inputs)[0]);
+test("Self-referencing definitions become feedback", parsedLatch.feedbackNodes.length === 1 && latchTicks.join("") === "110", "110", latchTicks.join(""));
+
+const counterText = create4BitCounter().toString();
+const parsedCounter = parseExpression(counterText);
+test("Circuit.toString() parses back to the same text", parsedCounter.toString() === counterText, counterText, parsedCounter.toString());
+
+const flopText = "Q = TFF(T AND ¬(Q), ↓CLK, RST: R)\nL = DLATCH(D, ¬G)\nS = SRFF(SET: T)\nOutput[0] = Q\nOutput[1] = L XOR S";
+const parsedFlops = parseExpression(flopText);
+const flopTicks = [[1, 0, 0, 0], [1, 0, 1, 0], [1, 0, 0, 1], [0, 1, 0, 0]].map((inputs, tick) => {
+	parsedFlops.setClock(1 - (tick % 2));
+	return parsedFlops.tick(inputs).join("");
+});
+test("Flip-flops and latches parse back from toString()", parsedFlops.toString() === flopText && parsedFlops.feedbackNodes.length === 0 && flopTicks.join(",") === "01,10,10,01", "01,10,10,01", `${flopTicks.join(",")}\n${parsedFlops.toString()}`);
+
+const calls = parseExpression("MUX2(A, B, S); LUT[0110](A, B) ; 1");
+test("Gate calls, LUTs and constants", outputColumns(calls) === "001,001,011,111,111,011,101,101", "001,001,011,111,111,011,101,101", outputColumns(calls));
+
+let parseError = null;
+try {
+	parseExpression("Y = A & (B | C");
+} catch (error) {
+	parseError = error.message;
+}
+test("Syntax errors report line and column", parseError === 'Expected ")" at the end of the line (line 1, column 15).', 'Expected ")" ... column 15', parseError);
+let semicolonError = null;
+try {
+	parseExpression("X = A; Y = B &\nZ = C | ; W = D");
+} catch (error) {
+	semicolonError = error.message;
+}
+test("Statements after a semicolon keep their line and column", semicolonError === 'Expected an input, constant or ( at the end of the line (line 1, column 15).', "line 1, column 15", semicolonError);
+
+const clockNames = parseExpression("Y = CLK_EN & CK", { clocks: ["CK"] });
+test("Only the names given as clocks read the clock", clockNames.getInputNames().join(",") === "CLK_EN" && clockNames.rootNodes[0].inputNodes[1] instanceof ClockNode, "input CLK_EN, clock CK", clockNames.getInputNames().join(","));
+
+// ============================================================================
+// SIMPLIFY OPTIONS TESTS
+// ============================================================================
+testSection("SIMPLIFY OPTIONS TESTS");
+
+// BCD to 7-segment decoder: rows 10-15 are never driven
+const bcdInputs = ["D", "C", "B", "A"].map((name, i) => new InputNode(i, name));
+const segmentMinterms = {
+	a: [0, 2, 3, 5, 6, 7, 8, 9],
+	b: [0, 1, 2, 3, 4, 7, 8, 9],
+	c: [0, 1, 3, 4, 5, 6, 7, 8, 9],
+	d: [0, 2, 3, 5, 6, 8, 9],
+	e: [0, 2, 6, 8],
+	f: [0, 4, 5, 6, 8, 9],
+	g: [2, 3, 4, 5, 6, 8, 9],
+};
+const sevenSegment = new Circuit(
+	"SevenSegment",
+	Object.entries(segmentMinterms).map(([name, minterms]) => new LutNode(bcdInputs, { minterms }, 0, name)),
 );
+const bcdDontCares = [10, 11, 12, 13, 14, 15];
+
+// 000 and 001 merge into 00-, while 111 merges with nothing in the first round
+const isolatedMinterm = new Circuit("IsolatedMinterm", [new LutNode(bcdInputs.slice(0, 3), { minterms: [0, 1, 7] }, 0, "Y")]);
+const isolatedSimplified = isolatedMinterm.simplify({ method: "exact" });
+test("Prime implicants that stop merging early are kept", outputColumns(isolatedSimplified) === outputColumns(isolatedMinterm) && isolatedSimplified.rootNodes[0].inputNodes.length === 2, outputColumns(isolatedMinterm), outputColumns(isolatedSimplified));
+const bcdColumns = (circuit) =>
+	circuit
+		.generateTruthTable()
+		.slice(0, 10)
+		.map((row) => row.outputs.join(""))
+		.join(",");
+const andGateCount = (circuit) => {
+	const gates = new Set();
+	circuit.rootNodes.forEach(function collect(node) {
+		if (node instanceof GateNode) {
+			if (node.gateType === "AND") gates.add(node);
+			node.inputNodes.forEach(collect);
+		}
+	});
+	return gates.size;
+};
+
+const plainSegments = sevenSegment.simplify();
+const dontCareSegments = sevenSegment.simplify({ dontCares: bcdDontCares });
+test("Don't-cares keep the care rows and shrink the logic", bcdColumns(dontCareSegments) === bcdColumns(sevenSegment) && andGateCount(dontCareSegments) < andGateCount(plainSegments), `fewer than ${andGateCount(plainSegments)} ANDs`, andGateCount(dontCareSegments));
+test("Simplified circuits keep the input names", dontCareSegments.getInputNames().join("") === "DCBA", "DCBA", dontCareSegments.getInputNames().join(""));
 
-// Count to 3
-counter.setClock(0);
-counter.tick([1, 0]);
-counter.setClock(1);
-counter.tick([1, 0]);
-counter.setClock(0);
-counter.tick([1, 0]);
-counter.setClock(1);
-counter.tick([1, 0]);
-counter.setClock(0);
-counter.tick([1, 0]);
-counter.setClock(1);
-const count3 = counter.tick([1, 0]);
-test("Counter counts to 3", JSON.stringify(count3) === JSON.stringify([1, 1, 0, 0]), "[1,1,0,0]", count3);
-
-// Test hold
-counter.setClock(0);
-counter.tick([0, 0]);
-counter.setClock(1);
-const held = counter.tick([0, 0]);
-test("Counter holds when disabled", JSON.stringify(held) === JSON.stringify([1, 1, 0, 0]), "[1,1,0,0]", held);
+const sharedSegments = sevenSegment.simplify({ dontCares: bcdDontCares, multiOutput: true });
+test("Multi-output mode shares AND gates between outputs", bcdColumns(sharedSegments) === bcdColumns(sevenSegment) && andGateCount(sharedSegments) < andGateCount(dontCareSegments), `fewer than ${andGateCount(dontCareSegments)} ANDs`, andGateCount(sharedSegments));
+test("Segment c reduces to single literals", sharedSegments.rootNodes[2].toString() === "¬(B) OR A OR C", "¬(B) OR A OR C", sharedSegments.rootNodes[2].toString());
+
+const perOutput = lutCircuit.simplify({ dontCares: [[0, 1, 2, 4]] });
+test("Per-output don't-cares can make an output constant", perOutput.rootNodes[0] instanceof LiteralNode && perOutput.rootNodes[0].value === 1, "LiteralNode 1", perOutput.rootNodes[0].toString());
+
+let dontCareError = null;
+try {
+	lutCircuit.simplify({ dontCares: [8] });
+} catch (error) {
+	dontCareError = error.message;
+}
+test("Don't-care rows must exist", dontCareError === "Don't-care row 8 is out of range for 3 inputs.", "row 8 out of range", dontCareError);
+
+// ============================================================================
+// ESPRESSO MINIMIZATION TESTS
+// ============================================================================
+testSection("ESPRESSO MINIMIZATION TESTS");
+
+// 20 inputs: far too many rows for the exact method
+const wideControl = parseExpression(
+	"Y = A&B | A&B&C | !A&C | B&C | D&E&F | D&E&!F | G&!H&I | !(J|K) & L | M^N | O&P&Q&R | S&T&!O | S&T&!P | S&T&!Q | S&T&!R",
+	{ name: "WideControl" },
+);
+const wideSimplified = wideControl.simplify();
+let wideSeed = 12345;
+let wideMismatches = 0;
+for (let k = 0; k < 500; k++) {
+	const vector = Array.from({ length: wideControl.inputLength }, () => {
+		wideSeed = (Math.imul(wideSeed, 1103515245) + 12345) >>> 0;
+		return wideSeed >>> 31;
+	});
+	if (wideControl.evaluate(vector)[0] !== wideSimplified.evaluate(vector)[0]) wideMismatches++;
+}
+const wideProducts = wideSimplified.rootNodes[0].inputNodes.length;
+test("20-input logic simplifies heuristically", wideControl.inputLength === 20 && wideMismatches === 0 && wideProducts === 9, "9 products, 0 mismatches", `${wideProducts} products, ${wideMismatches} mismatches`);
+
+const espressoSegments = sevenSegment.simplify({ dontCares: bcdDontCares, method: "espresso" });
+test("Espresso honours don't-cares", bcdColumns(espressoSegments) === bcdColumns(sevenSegment) && espressoSegments.rootNodes[2].toString() === "¬(B) OR A OR C", "¬(B) OR A OR C", espressoSegments.rootNodes[2].toString());
+
+const espressoMajority = lutCircuit.simplify({ method: "espresso" });
+test("Espresso finds the minimal majority cover", outputColumns(espressoMajority) === outputColumns(lutCircuit) && espressoMajority.rootNodes[0].inputNodes.length === 3, 3, espressoMajority.rootNodes[0].inputNodes.length);
+
+let espressoError = null;
+try {
+	parsedLatch.simplify({ method: "espresso" });
+} catch (error) {
+	espressoError = error.message;
+}
+test("Espresso rejects sequential logic", espressoError === 'Cube covers do not support FeedbackNode "Q".', "FeedbackNode error", espressoError);
+
+let methodError = null;
+try {
+	lutCircuit.simplify({ method: "fast" });
+} catch (error) {
+	methodError = error.message;
+}
+test("simplify() checks the method name", methodError === 'Unknown simplify() method "fast". Use auto, exact, espresso.', "unknown method", methodError);
+
+const multiOutputErrors = [
+	() => sevenSegment.simplify({ method: "espresso", multiOutput: true }),
+	() => wideControl.simplify({ multiOutput: true }),
+].map((simplifyCall) => {
+	try {
+		simplifyCall();
+		return null;
+	} catch (error) {
+		return error.message;
+	}
+});
+test("Shared covers need the exact method", multiOutputErrors.join(" | ") === 'simplify({ multiOutput: true }) needs method "exact", not "espresso". | simplify({ multiOutput: true }) needs method "exact", which "auto" only picks up to 10 inputs; "WideControl" has 20.', "both rejected", multiOutputErrors.join(" | "));
+
+// ============================================================================
+// SEQUENTIAL SIMPLIFY TESTS
+// ============================================================================
+testSection("SEQUENTIAL SIMPLIFY TESTS");
+
+const runTicks = (circuit, vectors) =>
+	vectors
+		.map((inputs, t) => {
+			circuit.setClock(t % 2);
+			return circuit.tick(inputs).join("");
+		})
+		.join(" ");
+
+const seqCounter = create4BitCounter();
+const simplifiedCounter = seqCounter.simplify({ sequential: true });
+const counterVectors = Array.from({ length: 40 }, (_, t) => [t % 7 === 3 ? 0 : 1, t === 13 ? 1 : 0]);
+const seqCounterRun = runTicks(seqCounter, counterVectors);
+const seqSimplifiedRun = runTicks(simplifiedCounter, counterVectors);
+test("Simplified counter counts like the original", seqSimplifiedRun === seqCounterRun && simplifiedCounter.rootNodes.every((node) => node instanceof FlipFlopNode) && simplifiedCounter.rootNodes.map((node) => node.name).join(",") === "Q0,Q1,Q2,Q3", seqCounterRun, seqSimplifiedRun);
+
+// State S0 = S1 = 1 is unreachable, so its rows (EN S0 S1 = x11) are don't-cares
+const mod3 = parseExpression("S0 = !EN & S0 | EN & !S0 & !S1 | S0 & S1\nS1 = !EN & S1 | EN & S0", { name: "Mod3" });
+const simplifiedMod3 = mod3.simplify({ sequential: true, dontCares: [3, 7] });
+const mod3Vectors = [1, 1, 1, 0, 1, 1, 0, 0, 1, 1, 1, 1].map((enable) => [enable]);
+const mod3NextS0 = simplifiedMod3.toString().split("\n")[0];
+test("Next-state logic drops terms for unreachable states", mod3NextS0 === "S0 = ¬(EN) AND S0 OR EN AND ¬(S0) AND ¬(S1)", "S0 = ¬(EN) AND S0 OR EN AND ¬(S0) AND ¬(S1)", mod3NextS0);
+test("Simplified FSM steps like the original", runTicks(simplifiedMod3, mod3Vectors) === runTicks(mod3.clone(), mod3Vectors), runTicks(mod3.clone(), mod3Vectors), runTicks(simplifiedMod3, mod3Vectors));
+
+const redundantFlop = parseExpression("Q = DFF(A & B | A & !B, ↑CLK, EN: E | E & Q)\nY = Q & A | Q & !A");
+const simplifiedFlop = redundantFlop.simplify({ sequential: true });
+const flopVectors = Array.from({ length: 16 }, (_, t) => [(t >> 1) % 2, t % 3 === 0 ? 1 : 0, t % 5 === 0 ? 0 : 1]);
+test("Flip-flop inputs are simplified", simplifiedFlop.toString().split("\n")[0] === "Q = DFF(A, ↑CLK, EN: E)" && runTicks(simplifiedFlop, flopVectors) === runTicks(redundantFlop.clone(), flopVectors), "Q = DFF(A, ↑CLK, EN: E)", simplifiedFlop.toString());
+
+let sequentialError = null;
+try {
+	rom.simplify({ sequential: true });
+} catch (error) {
+	sequentialError = error.message;
+}
+test("Memories are not simplified", /^simplify\(\{ sequential: true \}\) only handles FeedbackNode and flip-flop state, not RomNode/.test(sequentialError ?? ""), "RomNode error", sequentialError);
+
+// ============================================================================
+// TECHNOLOGY MAPPING TESTS
+// ============================================================================
+testSection("TECHNOLOGY MAPPING TESTS");
+
+// Distinct "TYPE/fan-in" pairs of every gate, feedback loops included
+const gateShapes = (circuit) => {
+	const shapes = new Set();
+	const seen = new Set();
+	[...circuit.rootNodes, ...circuit.feedbackNodes].forEach(function collect(node) {
+		if (seen.has(node)) return;
+		seen.add(node);
+		if (node instanceof GateNode) {
+			shapes.add(`${node.gateType}/${node.inputNodes.length}`);
+			node.inputNodes.forEach(collect);
+		} else if (node instanceof FeedbackNode && node.inputNode) {
+			collect(node.inputNode);
+		} else if (node instanceof FlipFlopNode) {
+			node.inputNodes.forEach(collect);
+		}
+	});
+	return [...shapes].sort().join(",");
+};
+
+const nandAdder = createFullAdder().mapToUniversalGates("NAND");
+test("Full adder maps to 2-input NANDs", gateShapes(nandAdder) === "NAND/2" && outputColumns(nandAdder) === outputColumns(createFullAdder()), "NAND/2", gateShapes(nandAdder));
+test("Mapping keeps input and output names", nandAdder.getInputNames().join(",") === "A,B,Cin" && nandAdder.rootNodes.map((node) => node.name).join(",") === "Sum,Cout", "A,B,Cin -> Sum,Cout", `${nandAdder.getInputNames()} -> ${nandAdder.rootNodes.map((node) => node.name)}`);
+
+const wideAnd = parseExpression("Y = A & B & C & D & E");
+const cappedNor = wideAnd.mapToUniversalGates("NOR", { maxFanIn: 2 });
+test("Fan-in cap splits wide gates into trees", gateShapes(cappedNor) === "NOR/2" && outputColumns(cappedNor) === outputColumns(wideAnd), "NOR/2", gateShapes(cappedNor));
+
+const norCounter = create4BitCounter().mapToUniversalGates("NOR", { maxFanIn: 3 });
+const norCounterVectors = Array.from({ length: 24 }, (_, t) => [t % 5 === 2 ? 0 : 1, t === 17 ? 1 : 0]);
+test("Mapped counter keeps its feedback and counts the same", /^NOR\/[23](,NOR\/[23])*$/.test(gateShapes(norCounter)) && runTicks(norCounter, norCounterVectors) === runTicks(create4BitCounter(), norCounterVectors), runTicks(create4BitCounter(), norCounterVectors), runTicks(norCounter, norCounterVectors));
+
+const flopLogic = parseExpression("Q = JKFF(A ^ B, A | B, ↓CLK, EN: !E, SET: A & E)\nY = Q XOR B");
+const nandFlops = flopLogic.mapToUniversalGates("NAND");
+const flopLogicVectors = Array.from({ length: 32 }, (_, t) => [t % 3 === 0 ? 1 : 0, (t >> 1) % 2, t % 7 === 5 ? 1 : 0]);
+test("Mapped flip-flops keep their pins and step the same", gateShapes(nandFlops) === "NAND/2" && nandFlops.rootNodes[0] instanceof FlipFlopNode && runTicks(nandFlops, flopLogicVectors) === runTicks(flopLogic, flopLogicVectors), runTicks(flopLogic, flopLogicVectors), runTicks(nandFlops, flopLogicVectors));
+
+const libraryCalls = parseExpression("Y = MUX2(A, B, S); Z = LUT[0110](A, B); W = A");
+const mappedCalls = libraryCalls.mapToUniversalGates("NAND");
+test("Library gates and LUTs are decomposed", gateShapes(mappedCalls) === "NAND/2" && outputColumns(mappedCalls) === outputColumns(libraryCalls) && mappedCalls.rootNodes[2].toString() === "(A NAND A) NAND (A NAND A)", "(A NAND A) NAND (A NAND A)", mappedCalls.rootNodes[2].toString());
+
+const wideRipple = parseExpression(Array.from({ length: 20 }, (_, i) => `S${i} = A${i} ^ B${i} ^ ${i ? `C${i - 1}` : "CIN"}; C${i} = A${i} & B${i} | ${i ? `C${i - 1}` : "CIN"} & (A${i} ^ B${i})`).join("\n"));
+const wideRippleStart = Date.now();
+const wideRippleNand = wideRipple.mapToUniversalGates("NAND");
+test("Verification scales to a 41-input adder", wideRippleNand.isEquivalent(wideRipple).equivalent && Date.now() - wideRippleStart < 2000, "verified in under 2s", `${Date.now() - wideRippleStart}ms`);
+
+const unusedInput = new Circuit("UnusedInput", [new GateNode("AND", [new InputNode(0, "A"), new InputNode(2, "B")], 0, "Y")], { inputs: [new InputNode(1, "UNUSED")] });
+const unusedInputNames = unusedInput.mapToUniversalGates("NAND").getInputNames().join(",");
+test("Declared but unused inputs survive mapping", unusedInputNames === "A,UNUSED,B", "A,UNUSED,B", unusedInputNames);
+
+let mappingError = null;
+try {
+	nandAdder.mapToUniversalGates("XOR");
+} catch (error) {
+	mappingError = error.message;
+}
+test("Only NAND and NOR are universal targets", mappingError === 'Cannot map to "XOR" gates. Use NAND or NOR.', "NAND or NOR", mappingError);
+
+// ============================================================================
+// EQUIVALENCE CHECKING TESTS
+// ============================================================================
+testSection("EQUIVALENCE CHECKING TESTS");
+
+const adderBySimulation = rippleAdder.isEquivalent(lookaheadAdder);
+const adderByBdd = rippleAdder.isEquivalent(lookaheadAdder, { method: "bdd" });
+test("Ripple-carry and carry-lookahead adders are equivalent", adderBySimulation.equivalent && adderBySimulation.method === "simulation" && adderByBdd.equivalent, "equivalent both ways", `${adderBySimulation.equivalent}/${adderByBdd.equivalent}`);
+
+const wideCheck = wideControl.isEquivalent(wideSimplified);
+test("Wide circuits are checked with BDDs", wideCheck.equivalent && wideCheck.method === "bdd", "equivalent via bdd", `${wideCheck.equivalent} via ${wideCheck.method}`);
+
+const absorbing = parseExpression("Y = A & B | C");
+const broken = parseExpression("Y = A & B | C & !A");
+const brokenCheck = absorbing.isEquivalent(broken, { method: "bdd" });
+const brokenMismatch = brokenCheck.mismatches[0];
+test("A mismatch comes with a counterexample", !brokenCheck.equivalent && brokenCheck.counterexample.join("") === "101" && brokenMismatch.expected === 1 && brokenMismatch.actual === 0, "101: 1 vs 0", `${brokenCheck.counterexample?.join("")}: ${brokenMismatch?.expected} vs ${brokenMismatch?.actual}`);
+
+const aFirst = parseExpression("Y = A & !B");
+const bFirst = parseExpression("Y = !B & A");
+test("Inputs can be matched by name", !aFirst.isEquivalent(bFirst).equivalent && aFirst.isEquivalent(bFirst, { match: "name" }).equivalent, "differs by index, equal by name", `${aFirst.isEquivalent(bFirst).equivalent}/${aFirst.isEquivalent(bFirst, { match: "name" }).equivalent}`);
+
+let equivalenceError = null;
+try {
+	mod3.isEquivalent(simplifiedMod3);
+} catch (error) {
+	equivalenceError = error.message;
+}
+test("Sequential circuits are rejected", equivalenceError === 'Equivalence checking only compares combinational logic, but "Mod3" has FeedbackNode "S0".', "FeedbackNode error", equivalenceError);
+
+// ============================================================================
+// BDD TESTS
+// ============================================================================
+testSection("BDD TESTS");
+
+const pairNames = ["A0", "A1", "A2", "A3", "B0", "B1", "B2", "B3"];
+const pairwise = parseExpression("Y = A0 & B0 | A1 & B1 | A2 & B2 | A3 & B3", { inputs: pairNames });
+const naturalOrder = pairwise.toBdd({ order: pairNames.map((_, i) => i) });
+const siftedOrder = pairwise.toBdd({ order: pairNames.map((_, i) => i), reorder: true });
+const naturalSize = naturalOrder.bdd.size(naturalOrder.outputs);
+const siftedSize = siftedOrder.bdd.size(siftedOrder.outputs);
+test("Sifting shrinks a bad variable order", naturalSize === 30 && siftedSize === 8 && siftedOrder.bdd.satCount(siftedOrder.outputs[0]) === naturalOrder.bdd.satCount(naturalOrder.outputs[0]), "30 -> 8 nodes", `${naturalSize} -> ${siftedSize} nodes`);
+
+const majority = parseExpression("Y = A & B | A & C | B & C");
+const majorityBdd = majority.toBdd();
+test("Satisfying assignments are counted", majorityBdd.bdd.satCount(majorityBdd.outputs[0]) === 4, 4, majorityBdd.bdd.satCount(majorityBdd.outputs[0]));
+
+const adderBdd = rippleAdder.toBdd({ reorder: true });
+const muxAdder = bddToCircuit(adderBdd.bdd, adderBdd.outputs, { inputNames: rippleAdder.getInputNames() });
+const muxAdderMatches = JSON.stringify(muxAdder.generateTruthTable()) === JSON.stringify(rippleAdder.generateTruthTable());
+test("BDDs convert back to an equivalent mux circuit", muxAdderMatches && muxAdder.getInputNames().join() === rippleAdder.getInputNames().join(), "equivalent", muxAdderMatches);
+
+const unusedVariables = [parseExpression("Y = A | !A"), parseExpression("Y = A & C | B & !B | D & !D")].map((circuit) => {
+	const { bdd, outputs } = circuit.toBdd();
+	return bddToCircuit(bdd, outputs, { inputNames: circuit.getInputNames() }).getInputNames().join(",");
+});
+test("Variables no BDD depends on stay inputs", unusedVariables.join(" | ") === "A | A,C,B,D", "A | A,C,B,D", unusedVariables.join(" | "));
+
+const majorityRows = majority.symbolicTruthTable();
+const majorityText = majorityRows.map((row) => `${row.inputs.join("")}:${row.outputs.join("")}`).join(" ");
+test("Symbolic truth table merges rows with don't-care inputs", majorityText === "00-:0 010:0 011:1 100:0 101:1 11-:1", "00-:0 010:0 011:1 100:0 101:1 11-:1", majorityText);
+
+// ============================================================================
+// INPUT SEARCH TESTS
+// ============================================================================
+testSection("INPUT SEARCH TESTS");
+
+const adderSearch = rippleAdder.findAllInputs([1, 1, 1, 1, 1], { limit: 2 });
+test("Finds the only inputs that set every adder output", adderSearch.length === 1 && adderSearch[0].inputs.every((bit) => bit === 1), "one solution, all ones", adderSearch.map((solution) => solution.inputs.join("")).join(","));
+
+const majoritySearch = majority.findAllInputs({ Y: 1 });
+test("Enumerates every solution", majoritySearch.length === 4 && majoritySearch.every((solution) => majority.evaluate(solution.inputs)[0] === 1), 4, majoritySearch.length);
+
+test("Reports unsatisfiable targets as null", parseExpression("Y = A & !A").findInputs({ Y: 1 }) === null && rippleAdder.findInputs({ 0: 1 }, { inputs: [0, 0, 0, 0, 0, 0, 0, 0, 0] }) === null, null, "a solution");
+
+const latch = parseExpression("Q = D & EN | Q & !EN");
+const latchSearch = latch.findAllInputs({ Q: 1 }, { state: { Q: 0 } });
+test("FeedbackNode state can be assumed", latchSearch.length === 1 && latchSearch[0].inputs.join("") === "11" && latch.findAllInputs({ Q: 1 }).length === 4, "D=1 EN=1", latchSearch.map((solution) => solution.inputs.join("")).join(","));
+
+const flopSearch = parseExpression("Q = DFF(D, ↑CLK, EN: EN, RST: RST)").findAllInputs({ Q: 1 }, { state: { Q: 0 } });
+const flopSolution = JSON.stringify(flopSearch.map(({ inputs, state }) => [inputs.join(""), state.CLK, state["Q.prevClock"]]));
+test("Flip-flops need an edge to load", flopSolution === '[["110",1,0]]', '[["110",1,0]]', flopSolution);
+
+const wideSearch = parseExpression(`Y = !(${Array.from({ length: 40 }, (_, i) => `A${i} ^ B${i}`).join(" | ")}); P = ${Array.from({ length: 40 }, (_, i) => `A${i}`).join(" ^ ")}`);
+const wideSolution = wideSearch.findInputs({ Y: 1, P: 1 });
+test("Searches 80-input circuits", wideSolution !== null && wideSearch.evaluate(wideSolution.inputs).join("") === "11", "11", wideSolution && wideSearch.evaluate(wideSolution.inputs).join(""));
+
+let searchError = null;
+try {
+	latch.findInputs({ R: 1 });
+} catch (error) {
+	searchError = error.message;
+}
+test("Unknown outputs are rejected", searchError === '"Expression" has no output "R".', '"Expression" has no output "R".', searchError);
+
+// ============================================================================
+// BOUNDED MODEL CHECKING TESTS
+// ============================================================================
+testSection("BOUNDED MODEL CHECKING TESTS");
+
+const neverSkips = "!(Q0 ^ Q0_prev) & !(Q1 ^ Q1_prev) & !(Q2 ^ Q2_prev) | (Q0 ^ Q0_prev) & !(Q1 ^ Q1_prev ^ Q0_prev) & !(Q2 ^ Q2_prev ^ Q1_prev & Q0_prev)";
+const countsUp = parseExpression("Q0 = Q0 ^ EN; Q1 = Q1 ^ EN & Q0; Q2 = Q2 ^ EN & Q0 & Q1");
+countsUp.addAssertion("neverSkips", neverSkips);
+const countsUpCheck = countsUp.checkAssertions({ depth: 12 });
+test("A correct counter never skips a value", countsUpCheck.holds && countsUpCheck.depth === 12, "holds for 12 ticks", countsUpCheck.holds);
+
+const skipCounter = parseExpression("Q0 = Q0 ^ EN; Q1 = Q1 ^ EN & (Q0 | Q2); Q2 = Q2 ^ EN & Q0 & Q1");
+skipCounter.addAssertion("neverSkips", neverSkips);
+const skipCheck = skipCounter.checkAssertions({ depth: 12 });
+test("Finds the shortest run that skips a value", !skipCheck.holds && skipCheck.assertion === "neverSkips" && skipCheck.tick === 4 && skipCheck.trace.toString() === ["EN          11111", "Q0          10101", "Q1          01101", "Q2          00011", "neverSkips  11110"].join("\n"), "fails on tick 4", `${skipCheck.assertion} fails on tick ${skipCheck.tick}`);
+
+const arbiter = parseExpression("T = T ^ R0 & R1; G0 = R0 & (!R1 | !T); G1 = R1 & (!R0 | T | X)", { inputs: ["R0", "R1", "X"] });
+arbiter.addAssertion("oneHot", "!(G0 & G1)");
+const arbiterCheck = arbiter.checkAssertions({ depth: 6 });
+test("Grants that are not one-hot come with a failing stimulus", !arbiterCheck.holds && arbiterCheck.tick === 1 && arbiterCheck.trace.valueAt("G0", 1) === 1 && arbiterCheck.trace.valueAt("G1", 1) === 1 && arbiterCheck.trace.valueAt("oneHot", 1) === 0, "G0 and G1 on tick 1", arbiterCheck.trace?.toString());
+
+const clockedCounter = create4BitCounter();
+clockedCounter.addAssertion("belowThree", "!(Q0 & Q1)");
+const clockedCheck = clockedCounter.checkAssertions({ depth: 8 });
+const clockedReplay = create4BitCounter().run({ ticks: clockedCheck.trace.ticks, stimulus: (tick) => clockedCheck.trace.inputNames.map((name) => clockedCheck.trace.valueAt(name, tick)), clock: (tick) => clockedCheck.trace.valueAt("CLK", tick) });
+test("Clock levels are part of the failing stimulus", !clockedCheck.holds && clockedReplay.outputsAt(clockedCheck.tick).join("") === "1100", "1100", clockedReplay.outputsAt(clockedCheck.tick).join(""));
+
+const toggleFlop = new Circuit("Toggle", [new FlipFlopNode("T", [new InputNode(0, "T")], { clock: new ClockNode("CK") }, "Q")]);
+toggleFlop.addAssertion("staysLow", "!Q");
+const toggleCheck = toggleFlop.checkAssertions({ depth: 3 });
+test("Flip-flops are unrolled from their initial state", !toggleCheck.holds && toggleCheck.tick === 0 && toggleCheck.trace.valueAt("CK", 0) === 1, "tick 0, clock high", toggleCheck.trace?.toString());
+test("Failing stimuli name the clock after its ClockNode", !("CLK" in toggleCheck.trace.signals), "no CLK signal", Object.keys(toggleCheck.trace.signals).join(","));
+
+let assertionError = null;
+try {
+	countsUp.addAssertion("bounded", "Q3 | !Q3");
+} catch (error) {
+	assertionError = error.message;
+}
+test("Assertions must read signals of the circuit", assertionError === 'Assertion "bounded" reads "Q3", which is not an input, output, FeedbackNode, flip-flop or clock of "Expression".', "unknown signal error", assertionError);
 
 // ============================================================================
 // SUMMARY